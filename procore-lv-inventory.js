@@ -8,24 +8,348 @@
 const config = {
   apiBaseUrl: 'https://api.procore.com/rest/v1.0',
   appName: 'LV-Inventory-Tracker',
-  version: '1.0.0'
+  version: '1.0.0',
+  pageSize: 100, // Records per page when following Procore's paginated list endpoints
+  maxConcurrentRequests: 4,
+  maxRequestRetries: 5,
+  // Optional backend endpoint that performs the OAuth token exchange on the app's
+  // behalf. It receives the same JSON body as Procore's /oauth/token, adds the
+  // client secret server-side and returns Procore's response unchanged.
+  tokenProxyUrl: null
 };
 
+/**
+ * Error Classes
+ * Structured errors raised by ProcoreAPI so callers can tell what went wrong
+ */
+class ProcoreAPIError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProcoreAPIError';
+    this.status = details.status || null;
+    this.body = details.body !== undefined ? details.body : null;
+    this.endpoint = details.endpoint || null;
+    this.method = details.method || null;
+  }
+
+  // Build the error subclass matching a failed response's status
+  static async fromResponse(response, endpoint, method) {
+    let body = null;
+    try {
+      const text = await response.text();
+      try {
+        body = JSON.parse(text);
+      } catch (parseError) {
+        body = text || null;
+      }
+    } catch (readError) {
+      // The body is optional context; the status is what matters
+    }
+    
+    const details = { status: response.status, body, endpoint, method };
+    const message = ProcoreAPIError.extractMessage(body) ||
+      `API request failed: ${response.status} ${response.statusText}`;
+    
+    switch (response.status) {
+      case 401:
+        return new ProcoreAuthError(message, details);
+      case 403:
+        return new ProcorePermissionError(message, details);
+      case 404:
+        return new ProcoreNotFoundError(message, details);
+      case 409:
+      case 412:
+        return new ProcoreConflictError(message, details);
+      case 400:
+      case 422:
+        return new ProcoreValidationError(message, details);
+      default:
+        return new ProcoreAPIError(message, details);
+    }
+  }
+
+  // Pull a readable message out of Procore's error payloads
+  static extractMessage(body) {
+    if (!body) return '';
+    if (typeof body === 'string') return body.length <= 200 ? body : '';
+    if (body.message) return body.message;
+    if (typeof body.error === 'string') return body.error_description || body.error;
+    if (body.errors) {
+      if (typeof body.errors === 'string') return body.errors;
+      if (Array.isArray(body.errors)) return body.errors.join('; ');
+      return Object.entries(body.errors)
+        .map(([field, messages]) => `${field} ${[].concat(messages).join(', ')}`)
+        .join('; ');
+    }
+    return '';
+  }
+}
+
+// Missing, expired or revoked credentials; the user needs to log in again
+class ProcoreAuthError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, { status: 401, ...details });
+    this.name = 'ProcoreAuthError';
+  }
+}
+
+// Authenticated, but the Procore user lacks access to the resource
+class ProcorePermissionError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, { status: 403, ...details });
+    this.name = 'ProcorePermissionError';
+  }
+}
+
+// The requested record does not exist or is not visible to the user
+class ProcoreNotFoundError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = 'ProcoreNotFoundError';
+  }
+}
+
+// The record changed since it was read; an If-Match precondition failed
+class ProcoreConflictError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ProcoreConflictError';
+  }
+}
+
+// Procore rejected the submitted data
+class ProcoreValidationError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ProcoreValidationError';
+  }
+}
+
+// The request never got a response (offline, DNS, CORS, etc.)
+class ProcoreNetworkError extends ProcoreAPIError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ProcoreNetworkError';
+    this.cause = details.cause || null;
+  }
+}
+
+// The user's inventory role doesn't allow the action (raised by the app, not by Procore)
+class LVPermissionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LVPermissionError';
+    this.action = details.action || null;
+    this.role = details.role || null;
+    this.requiredRole = details.requiredRole || null;
+  }
+}
+
+/**
+ * Class: Request Scheduler
+ * Queues API calls with bounded concurrency, pauses while Procore's rate limit is
+ * exhausted and retries throttled or failed requests with exponential backoff
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseDelay = options.baseDelay || 1000; // ms before the first retry
+    this.maxDelay = options.maxDelay || 60000;
+    this.queue = [];
+    this.pending = new Set(); // Every job that has not settled, including those waiting to retry
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+  }
+
+  // Queue a request. task(signal) must perform the fetch and return its Response.
+  // options: { signal, idempotent } - only idempotent requests are retried on 5xx/network errors
+  schedule(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        idempotent: options.idempotent !== false,
+        controller: new AbortController(),
+        callerSignal: options.signal || null,
+        attempt: 0,
+        retryTimer: null,
+        settled: false,
+        resolve,
+        reject
+      };
+      
+      if (job.callerSignal) {
+        if (job.callerSignal.aborted) {
+          reject(this.createAbortError());
+          return;
+        }
+        job.onAbort = () => this.cancelJob(job);
+        job.callerSignal.addEventListener('abort', job.onAbort);
+      }
+      
+      this.pending.add(job);
+      this.queue.push(job);
+      this.processQueue();
+    });
+  }
+
+  // Start queued jobs up to the concurrency limit, unless rate limited
+  processQueue() {
+    if (this.resumeTimer) return;
+    
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0 && this.queue.length > 0) {
+      this.resumeTimer = setTimeout(() => {
+        this.resumeTimer = null;
+        this.processQueue();
+      }, wait);
+      return;
+    }
+    
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  // Execute a job and decide whether to resolve, retry or fail it
+  async run(job) {
+    this.active++;
+    
+    try {
+      const response = await job.task(job.controller.signal);
+      this.updateRateLimit(response);
+      
+      const retryable = response.status === 429 || (response.status >= 500 && job.idempotent);
+      if (retryable && job.attempt < this.maxRetries) {
+        job.attempt++;
+        const delay = this.getRetryDelay(response, job.attempt);
+        if (response.status === 429) {
+          // Everyone waits, not just this request
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+        this.retryLater(job, delay);
+      } else {
+        this.settle(job, null, response);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError' && job.idempotent && job.attempt < this.maxRetries) {
+        job.attempt++;
+        this.retryLater(job, this.getRetryDelay(null, job.attempt));
+      } else {
+        this.settle(job, error);
+      }
+    } finally {
+      this.active--;
+      this.processQueue();
+    }
+  }
+
+  // Put a job back at the front of the queue after a delay
+  retryLater(job, delay) {
+    if (job.settled) return;
+    
+    job.retryTimer = setTimeout(() => {
+      job.retryTimer = null;
+      if (job.settled) return;
+      this.queue.unshift(job);
+      this.processQueue();
+    }, delay);
+  }
+
+  // Track Procore's X-Rate-Limit headers and pause once the window is used up
+  updateRateLimit(response) {
+    const remaining = parseInt(response.headers.get('X-Rate-Limit-Remaining'), 10);
+    if (isNaN(remaining) || remaining > 0) return;
+    
+    // X-Rate-Limit-Reset is the epoch second at which the window resets
+    const reset = parseInt(response.headers.get('X-Rate-Limit-Reset'), 10);
+    const resumeAt = !isNaN(reset) ? reset * 1000 : Date.now() + this.baseDelay;
+    this.pausedUntil = Math.max(this.pausedUntil, Math.min(resumeAt, Date.now() + this.maxDelay));
+  }
+
+  // Honor Retry-After when present, otherwise back off exponentially with jitter
+  getRetryDelay(response, attempt) {
+    const retryAfter = response ? response.headers.get('Retry-After') : null;
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = !isNaN(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (!isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), this.maxDelay);
+      }
+    }
+    
+    const exponential = this.baseDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * this.baseDelay;
+    return Math.min(exponential + jitter, this.maxDelay);
+  }
+
+  // Cancel a single job wherever it is: queued, waiting to retry or in flight
+  cancelJob(job) {
+    if (job.settled) return;
+    
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+    if (job.retryTimer) {
+      clearTimeout(job.retryTimer);
+    }
+    job.controller.abort();
+    this.settle(job, this.createAbortError());
+  }
+
+  // Cancel every outstanding request
+  cancelAll() {
+    Array.from(this.pending).forEach(job => this.cancelJob(job));
+  }
+
+  // Resolve or reject a job exactly once
+  settle(job, error, response = null) {
+    if (job.settled) return;
+    job.settled = true;
+    this.pending.delete(job);
+    
+    if (job.callerSignal && job.onAbort) {
+      job.callerSignal.removeEventListener('abort', job.onAbort);
+    }
+    
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(response);
+    }
+  }
+
+  createAbortError() {
+    return new DOMException('Request was cancelled', 'AbortError');
+  }
+}
+
 /**
  * Class: Procore API Integration
- * Handles authentication and API requests to Procore
+ * Handles authentication and API requests to Procore.
+ * Uses the authorization code flow with PKCE so no client secret is needed in
+ * the browser; set options.tokenProxyUrl to exchange codes through a backend instead.
  */
 class ProcoreAPI {
-  constructor(clientId, clientSecret, redirectUri) {
+  constructor(clientId, redirectUri, options = {}) {
     this.clientId = clientId;
-    this.clientSecret = clientSecret;
     this.redirectUri = redirectUri;
+    this.tokenProxyUrl = options.tokenProxyUrl || null;
+    this.scheduler = new RequestScheduler({
+      maxConcurrent: config.maxConcurrentRequests,
+      maxRetries: config.maxRequestRetries,
+      ...options.scheduler
+    });
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiry = null;
+    this.refreshPromise = null;
   }
 
   // Initialize authentication
+  // Resolves with a usable access token or throws ProcoreAuthError; call login() to sign in
   async authenticate() {
     // Check if we have a valid token
     if (this.accessToken && new Date() < this.tokenExpiry) {
@@ -37,52 +361,135 @@ class ProcoreAPI {
       return await this.refreshAccessToken();
     }
 
-    // Otherwise, redirect to authorization page
-    const authUrl = `${config.apiBaseUrl}/oauth/authorize?client_id=${this.clientId}&response_type=code&redirect_uri=${encodeURIComponent(this.redirectUri)}`;
-    window.location.href = authUrl;
+    throw new ProcoreAuthError('Not signed in to Procore');
   }
 
-  // Handle OAuth callback and token exchange
-  async handleCallback(authCode) {
-    const response = await fetch(`${config.apiBaseUrl}/oauth/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        grant_type: 'authorization_code',
-        code: authCode,
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
-        redirect_uri: this.redirectUri
-      })
+  // Send the user to Procore to sign in
+  async login() {
+    await this.startAuthorization();
+  }
+
+  // Redirect to Procore's authorization page with a PKCE challenge and CSRF state
+  async startAuthorization() {
+    const codeVerifier = this.generateRandomString(64);
+    const state = this.generateRandomString(32);
+    const codeChallenge = await this.createCodeChallenge(codeVerifier);
+    
+    // The verifier and state must survive the redirect but not outlive the tab
+    sessionStorage.setItem('oauthCodeVerifier', codeVerifier);
+    sessionStorage.setItem('oauthState', state);
+    
+    // Remember the deep link so it can be reopened after login
+    sessionStorage.setItem('postLoginHash', window.location.hash);
+    
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      response_type: 'code',
+      redirect_uri: this.redirectUri,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      state
     });
+    
+    window.location.href = `${config.apiBaseUrl}/oauth/authorize?${params.toString()}`;
+  }
 
-    const data = await response.json();
-    this.setTokens(data);
-    return data.access_token;
+  // Handle OAuth callback and token exchange
+  async handleCallback(authCode, returnedState) {
+    const expectedState = sessionStorage.getItem('oauthState');
+    const codeVerifier = sessionStorage.getItem('oauthCodeVerifier');
+    
+    // Each authorization attempt can only be completed once
+    sessionStorage.removeItem('oauthState');
+    sessionStorage.removeItem('oauthCodeVerifier');
+    
+    if (!expectedState || !returnedState || returnedState !== expectedState) {
+      throw new Error('OAuth state mismatch; the login response did not originate from this app');
+    }
+    
+    if (!codeVerifier) {
+      throw new Error('Missing PKCE code verifier for this login attempt');
+    }
+    
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code: authCode,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier
+    });
   }
 
   // Refresh access token
   async refreshAccessToken() {
-    const response = await fetch(`${config.apiBaseUrl}/oauth/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    // Concurrent callers share one refresh since Procore refresh tokens are single-use
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestToken({
         grant_type: 'refresh_token',
-        refresh_token: this.refreshToken,
-        client_id: this.clientId,
-        client_secret: this.clientSecret
-      })
-    });
+        refresh_token: this.refreshToken
+      }).catch(error => {
+        this.clearTokens();
+        throw error instanceof ProcoreNetworkError
+          ? error
+          : new ProcoreAuthError('Your Procore session has expired', { body: error.body });
+      }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
 
+  // Post a token request directly to Procore (public PKCE client) or via the token proxy
+  async requestToken(params) {
+    const tokenUrl = this.tokenProxyUrl || `${config.apiBaseUrl}/oauth/token`;
+    
+    let response;
+    try {
+      response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ...params,
+          client_id: this.clientId
+        })
+      });
+    } catch (error) {
+      throw new ProcoreNetworkError('Could not reach the Procore login service', { endpoint: tokenUrl, cause: error });
+    }
+    
+    if (!response.ok) {
+      const error = await ProcoreAPIError.fromResponse(response, tokenUrl, 'POST');
+      throw new ProcoreAuthError(`Token request failed: ${error.message}`, error);
+    }
+    
     const data = await response.json();
     this.setTokens(data);
     return data.access_token;
   }
 
+  // Generate a cryptographically random URL-safe string
+  generateRandomString(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return this.base64UrlEncode(bytes);
+  }
+
+  // Derive the S256 code challenge from a code verifier
+  async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return this.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  // Base64url-encode bytes without padding (RFC 7636)
+  base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
   // Store tokens and set expiry
   setTokens(data) {
     this.accessToken = data.access_token;
@@ -98,6 +505,17 @@ class ProcoreAPI {
     localStorage.setItem('tokenExpiry', this.tokenExpiry.toString());
   }
 
+  // Forget tokens after they've been rejected
+  clearTokens() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.tokenExpiry = null;
+    
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenExpiry');
+  }
+
   // Load tokens from localStorage
   loadTokens() {
     this.accessToken = localStorage.getItem('accessToken');
@@ -107,33 +525,152 @@ class ProcoreAPI {
   }
 
   // Make an authenticated API request
-  async request(endpoint, method = 'GET', data = null) {
+  // options: { signal, headers } - an AbortSignal that cancels the request, and extra headers
+  async request(endpoint, method = 'GET', data = null, options = {}) {
+    const response = await this.send(endpoint, method, data, options);
+    if (response.status === 204) return null;
+    return await response.json();
+  }
+
+  // Send an authenticated API request through the scheduler and return the raw response.
+  // A 401 triggers one token refresh and replay before surfacing ProcoreAuthError.
+  async send(endpoint, method = 'GET', data = null, options = {}) {
     const token = await this.authenticate();
     
-    const options = {
+    const fetchOptions = {
       method,
       headers: {
         'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...options.headers
       }
     };
 
     if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-      options.body = JSON.stringify(data);
+      fetchOptions.body = JSON.stringify(data);
     }
 
-    const response = await fetch(`${config.apiBaseUrl}${endpoint}`, options);
+    let response;
+    try {
+      response = await this.scheduler.schedule(
+        signal => fetch(`${config.apiBaseUrl}${endpoint}`, { ...fetchOptions, signal }),
+        { signal: options.signal, idempotent: method !== 'POST' && method !== 'PATCH' }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ProcoreNetworkError('Could not reach Procore', { endpoint, method, cause: error });
+    }
+    
+    if (response.status === 401 && !options.isReplay && this.refreshToken) {
+      // Another request may already have refreshed the token we used
+      if (token === this.accessToken) {
+        await this.refreshAccessToken();
+      }
+      return this.send(endpoint, method, data, { ...options, isReplay: true });
+    }
     
     if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+      const error = await ProcoreAPIError.fromResponse(response, endpoint, method);
+      if (error instanceof ProcoreAuthError) {
+        this.clearTokens();
+      }
+      throw error;
     }
     
-    return await response.json();
+    return response;
+  }
+
+  // Cancel every queued, retrying or in-flight request
+  cancelPendingRequests() {
+    this.scheduler.cancelAll();
+  }
+
+  // Iterate over every record of a paginated list endpoint, fetching pages on demand
+  // options: { perPage, params, signal } where params are extra query parameters
+  async *paginate(endpoint, options = {}) {
+    const perPage = options.perPage || config.pageSize;
+    let page = 1;
+    let fetched = 0;
+    
+    while (true) {
+      const response = await this.send(this.buildUrl(endpoint, {
+        ...options.params,
+        page,
+        per_page: perPage
+      }), 'GET', null, { signal: options.signal });
+      const records = await response.json();
+      
+      for (const record of records) {
+        yield record;
+      }
+      fetched += records.length;
+      
+      if (records.length === 0 || !this.hasNextPage(response, fetched, records.length, perPage)) {
+        return;
+      }
+      page++;
+    }
+  }
+
+  // Fetch every page of a list endpoint into a single array
+  async requestAll(endpoint, options = {}) {
+    const records = [];
+    for await (const record of this.paginate(endpoint, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  // Decide whether another page exists, preferring the Link header, then Total
+  hasNextPage(response, fetched, pageLength, perPage) {
+    const link = response.headers.get('Link');
+    if (link) {
+      return Boolean(this.parseLinkHeader(link).next);
+    }
+    
+    const total = parseInt(response.headers.get('Total'), 10);
+    if (!isNaN(total)) {
+      return fetched < total;
+    }
+    
+    // Without headers, a short page means we've reached the end
+    return pageLength >= perPage;
+  }
+
+  // Parse an RFC 5988 Link header into a map of rel => URL
+  parseLinkHeader(header) {
+    const links = {};
+    header.split(',').forEach(part => {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+      if (match) {
+        links[match[2].trim()] = match[1];
+      }
+    });
+    return links;
+  }
+
+  // Append query parameters to an endpoint that may already have some
+  buildUrl(endpoint, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query.append(key, value);
+      }
+    });
+    
+    const queryString = query.toString();
+    if (!queryString) return endpoint;
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}${queryString}`;
+  }
+
+  // Get companies the user can access
+  async getCompanies() {
+    return this.requestAll('/companies');
   }
 
   // Get projects
   async getProjects(companyId) {
-    return this.request(`/companies/${companyId}/projects`);
+    return this.requestAll(`/companies/${companyId}/projects`);
   }
 
   // Get project details
@@ -155,16 +692,58 @@ class LVInventoryItem {
     this.manufacturer = data.manufacturer || '';
     this.partNumber = data.partNumber || '';
     this.description = data.description || '';
-    this.unitOfMeasure = data.unitOfMeasure || ''; // Feet, Each, Box, etc.
-    this.quantityAvailable = data.quantityAvailable || 0;
-    this.quantityAllocated = data.quantityAllocated || 0;
+    this.unitOfMeasure = data.unitOfMeasure || ''; // Stock unit that quantities and cost are kept in: Feet, Each, etc.
+    this.purchaseUnit = data.purchaseUnit || ''; // Unit the item is bought in, e.g. Box; blank when it is the stock unit
+    this.purchaseFactor = data.purchaseFactor || 1; // Stock units per purchase unit, e.g. 1000 Feet per Box
+    this.issueUnit = data.issueUnit || ''; // Unit the field draws the item in; blank when it is the stock unit
+    this.issueFactor = data.issueFactor || 1; // Stock units per issue unit
     this.reorderThreshold = data.reorderThreshold || 0;
     this.reorderQuantity = data.reorderQuantity || 0;
-    this.location = data.location || ''; // Warehouse, Job Site, etc.
+    this.location = data.location || ''; // Default location for new stock: Warehouse, Job Site, etc.
     this.cost = data.cost || 0;
+    this.lastCost = data.lastCost || 0; // Latest PO unit cost, per stock unit
+    this.vendor = data.vendor || ''; // Supplier the item was last bought from
+    this.vendorId = data.vendorId || null; // Procore vendor ID, when known
     this.lastUpdated = data.lastUpdated || new Date();
     this.createdAt = data.createdAt || new Date();
+    this.version = data.version || 0; // Bumped by every write to Procore; sent as the If-Match ETag
+    this.updatedBy = data.updatedBy || null; // { id, name } of whoever wrote the current version
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.deletedBy = data.deletedBy || null; // { id, name } of whoever moved it there
     this.customFields = data.customFields || {};
+    this.reels = (data.reels || []).map(reel => new LVCableReel(reel)); // Cable items only
+    
+    // Stock per location: { [location]: { available, allocated } }
+    this.stockByLocation = {};
+    if (data.stockByLocation && Object.keys(data.stockByLocation).length > 0) {
+      Object.entries(data.stockByLocation).forEach(([location, stock]) => {
+        this.stockByLocation[location] = {
+          available: stock.available || 0,
+          allocated: stock.allocated || 0
+        };
+      });
+    } else if (data.quantityAvailable || data.quantityAllocated) {
+      // Items saved before per-location tracking hold all their stock at one location
+      this.stockByLocation[this.defaultLocation] = {
+        available: data.quantityAvailable || 0,
+        allocated: data.quantityAllocated || 0
+      };
+    }
+  }
+
+  // Location that unqualified adjustments apply to
+  get defaultLocation() {
+    return this.location || 'Unassigned';
+  }
+
+  // Available quantity across all locations
+  get quantityAvailable() {
+    return Object.values(this.stockByLocation).reduce((sum, stock) => sum + stock.available, 0);
+  }
+
+  // Allocated quantity across all locations
+  get quantityAllocated() {
+    return Object.values(this.stockByLocation).reduce((sum, stock) => sum + stock.allocated, 0);
   }
 
   // Calculate total quantity
@@ -172,6 +751,35 @@ class LVInventoryItem {
     return this.quantityAvailable + this.quantityAllocated;
   }
 
+  // Locations currently holding stock of this item
+  get locations() {
+    return Object.keys(this.stockByLocation).filter(location => {
+      const stock = this.stockByLocation[location];
+      return stock.available > 0 || stock.allocated > 0;
+    });
+  }
+
+  // Get the stock record for a location, creating it if requested
+  getLocationStock(location, create = false) {
+    if (!this.stockByLocation[location]) {
+      if (!create) {
+        return { available: 0, allocated: 0 };
+      }
+      this.stockByLocation[location] = { available: 0, allocated: 0 };
+    }
+    return this.stockByLocation[location];
+  }
+
+  // Drop empty locations other than the default one
+  pruneEmptyLocations() {
+    Object.keys(this.stockByLocation).forEach(location => {
+      const stock = this.stockByLocation[location];
+      if (location !== this.defaultLocation && stock.available === 0 && stock.allocated === 0) {
+        delete this.stockByLocation[location];
+      }
+    });
+  }
+
   // Check if reorder is needed
   get needsReorder() {
     return this.quantityAvailable <= this.reorderThreshold;
@@ -188,1198 +796,9161 @@ class LVInventoryItem {
       partNumber: this.partNumber,
       description: this.description,
       unitOfMeasure: this.unitOfMeasure,
+      purchaseUnit: this.purchaseUnit,
+      purchaseFactor: this.purchaseFactor,
+      issueUnit: this.issueUnit,
+      issueFactor: this.issueFactor,
       quantityAvailable: this.quantityAvailable,
       quantityAllocated: this.quantityAllocated,
       reorderThreshold: this.reorderThreshold,
       reorderQuantity: this.reorderQuantity,
       location: this.location,
+      stockByLocation: this.stockByLocation,
+      reels: this.reels.map(reel => reel.toJSON()),
       cost: this.cost,
+      lastCost: this.lastCost,
+      vendor: this.vendor,
+      vendorId: this.vendorId,
       lastUpdated: this.lastUpdated,
       createdAt: this.createdAt,
+      version: this.version,
+      updatedBy: this.updatedBy,
+      deletedAt: this.deletedAt,
+      deletedBy: this.deletedBy,
       customFields: this.customFields
     };
   }
 }
 
 /**
- * Class: Inventory Manager
- * Manages the inventory items and operations
+ * Class: Cable Reel
+ * A reel or spool of a cable item, tracked by the sequential footage marks printed on the jacket
  */
-class LVInventoryManager {
-  constructor(procoreApi) {
-    this.procoreApi = procoreApi;
-    this.items = [];
-    this.categories = [
-      'Cable',
-      'Connectors',
-      'Devices',
-      'Network Equipment',
-      'Access Control',
-      'Audio/Visual',
-      'Security',
-      'Telecommunications',
-      'Fiber Optics',
-      'Tools',
-      'Mounting Hardware',
-      'Conduit & Raceways',
-      'Other'
-    ];
-    
-    this.subCategories = {
-      'Cable': ['Cat5e', 'Cat6', 'Cat6A', 'Fiber', 'Coaxial', 'Speaker', 'Security', 'Fire Alarm'],
-      'Connectors': ['RJ45', 'F-Type', 'BNC', 'Fiber', 'Terminal Blocks'],
-      'Devices': ['WAPs', 'Cameras', 'Card Readers', 'Speakers', 'Sensors'],
-      // Additional subcategories can be added
-    };
+class LVCableReel {
+  constructor(data = {}) {
+    this.id = data.id || ''; // Reel tag, e.g. "R-0042"
+    this.startingLength = data.startingLength || 0; // In the item's unit (Feet or Meter)
+    this.startMark = data.startMark || 0; // Footage mark at the free end of a full reel
+    this.markDirection = data.markDirection === 'down' ? 'down' : 'up'; // Whether marks count up or down as cable is pulled
+    this.location = data.location || '';
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date();
     
-    this.unitOptions = ['Each', 'Box', 'Feet', 'Meter', 'Roll', 'Pair', 'Set', 'Lot'];
+    // Pulls in order: { id, startMark, endMark, length, skippedLength, destination, notes, userName, timestamp }
+    this.pulls = (data.pulls || []).map(pull => ({ ...pull }));
   }
 
-  // Load inventory from API or local storage
-  async loadInventory(projectId) {
-    try {
-      // Try to load from Procore custom fields or API endpoint
-      const response = await this.procoreApi.request(`/projects/${projectId}/custom_fields/low_voltage_inventory`);
-      this.items = response.map(item => new LVInventoryItem(item));
-    } catch (error) {
-      console.warn('Could not load inventory from API, checking local storage', error);
-      
-      // Fallback to local storage
-      const storedItems = localStorage.getItem(`inventory_${projectId}`);
-      if (storedItems) {
-        this.items = JSON.parse(storedItems).map(item => new LVInventoryItem(item));
-      }
-    }
-    
-    return this.items;
+  // Footage mark at the free end of the cable right now
+  get currentMark() {
+    return this.pulls.length > 0 ? this.pulls[this.pulls.length - 1].endMark : this.startMark;
   }
 
-  // Save inventory to API and local storage
-  async saveInventory(projectId) {
-    try {
-      // Save to Procore custom fields or API endpoint
-      await this.procoreApi.request(
-        `/projects/${projectId}/custom_fields/low_voltage_inventory`,
-        'PUT',
-        this.items.map(item => item.toJSON())
-      );
-    } catch (error) {
-      console.warn('Could not save inventory to API, saving to local storage', error);
-    }
-    
-    // Always save to local storage as backup
-    localStorage.setItem(`inventory_${projectId}`, JSON.stringify(this.items.map(item => item.toJSON())));
-    
-    return true;
+  // Length taken off the reel so far, including footage skipped between logged pulls
+  get usedLength() {
+    return Math.abs(this.currentMark - this.startMark);
   }
 
-  // Add a new inventory item
-  addItem(itemData) {
-    const newItem = new LVInventoryItem({
-      ...itemData,
-      id: Date.now().toString(),
-      createdAt: new Date(),
-      lastUpdated: new Date()
-    });
-    
-    this.items.push(newItem);
-    return newItem;
+  // Length still on the reel
+  get remainingLength() {
+    return Math.max(this.startingLength - this.usedLength, 0);
   }
 
-  // Update an existing inventory item
-  updateItem(itemId, updates) {
-    const index = this.items.findIndex(item => item.id === itemId);
-    if (index === -1) {
-      throw new Error(`Item with ID ${itemId} not found`);
-    }
-    
-    const updatedItem = new LVInventoryItem({
-      ...this.items[index].toJSON(),
-      ...updates,
-      lastUpdated: new Date()
-    });
-    
-    this.items[index] = updatedItem;
-    return updatedItem;
+  // Mark at the inner end of the cable, after which the reel is empty
+  get endOfReelMark() {
+    return this.markDirection === 'up'
+      ? this.startMark + this.startingLength
+      : this.startMark - this.startingLength;
   }
 
-  // Delete an inventory item
-  deleteItem(itemId) {
-    const index = this.items.findIndex(item => item.id === itemId);
-    if (index === -1) {
-      throw new Error(`Item with ID ${itemId} not found`);
-    }
-    
-    this.items.splice(index, 1);
-    return true;
+  get isEmpty() {
+    return this.remainingLength <= 0;
   }
 
-  // Adjust quantity (add or remove)
-  adjustQuantity(itemId, quantityChange, isAllocation = false) {
-    const item = this.items.find(item => item.id === itemId);
-    if (!item) {
-      throw new Error(`Item with ID ${itemId} not found`);
-    }
-    
-    if (isAllocation) {
-      // Moving between available and allocated
-      if (quantityChange > 0 && item.quantityAvailable < quantityChange) {
-        throw new Error('Cannot allocate more than available quantity');
-      }
-      
-      item.quantityAvailable -= quantityChange;
-      item.quantityAllocated += quantityChange;
-    } else {
-      // Adding or removing from available inventory
-      item.quantityAvailable += quantityChange;
-      if (item.quantityAvailable < 0) {
-        item.quantityAvailable = 0;
-      }
-    }
-    
-    item.lastUpdated = new Date();
-    return item;
+  // Whether a run of the given length can be pulled from this reel in one piece
+  canCover(runLength) {
+    return this.remainingLength >= runLength;
   }
 
-  // Get items that need reordering
-  getItemsNeedingReorder() {
-    return this.items.filter(item => item.needsReorder);
+  // Length between two marks, or null if the marks run against the reel's direction
+  lengthBetween(fromMark, toMark) {
+    const length = this.markDirection === 'up' ? toMark - fromMark : fromMark - toMark;
+    return length >= 0 ? length : null;
   }
 
-  // Search items by various criteria
-  searchItems(criteria = {}) {
-    return this.items.filter(item => {
-      for (const [key, value] of Object.entries(criteria)) {
-        if (!item[key] || !item[key].toString().toLowerCase().includes(value.toLowerCase())) {
-          return false;
-        }
-      }
-      return true;
-    });
+  // Serialize for storage/API
+  toJSON() {
+    return {
+      id: this.id,
+      startingLength: this.startingLength,
+      startMark: this.startMark,
+      markDirection: this.markDirection,
+      location: this.location,
+      notes: this.notes,
+      createdAt: this.createdAt,
+      pulls: this.pulls
+    };
   }
+}
 
-  // Generate inventory reports
-  generateInventoryReport(filters = {}) {
-    // Filter items based on provided filters
-    let reportItems = this.items;
-    
-    if (Object.keys(filters).length > 0) {
-      reportItems = this.searchItems(filters);
-    }
-    
-    // Calculate summary statistics
-    const totalItems = reportItems.length;
-    const totalValue = reportItems.reduce((sum, item) => 
-      sum + (item.cost * item.totalQuantity), 0);
-    const lowStockItems = reportItems.filter(item => item.needsReorder).length;
-    
-    // Group by category
-    const byCategory = {};
-    reportItems.forEach(item => {
-      byCategory[item.category] = byCategory[item.category] || { count: 0, value: 0 };
-      byCategory[item.category].count++;
-      byCategory[item.category].value += (item.cost * item.totalQuantity);
-    });
-    
+/**
+ * Class: Kit
+ * An assembly installed as a unit, e.g. a camera drop, made of inventory items in fixed quantities
+ */
+class LVKit {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.projectId = data.projectId || null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    // Components: { itemId, quantity } with the quantity per kit in the item's stock unit
+    this.components = (data.components || []).map(component => ({
+      itemId: component.itemId,
+      quantity: Number(component.quantity) || 0
+    }));
+    this.createdAt = data.createdAt || new Date();
+    this.lastUpdated = data.lastUpdated || new Date();
+  }
+
+  // Serialize for storage/API
+  toJSON() {
     return {
-      totalItems,
-      totalValue,
-      lowStockItems,
-      byCategory,
-      items: reportItems.map(item => item.toJSON())
+      id: this.id,
+      projectId: this.projectId,
+      name: this.name,
+      description: this.description,
+      components: this.components,
+      createdAt: this.createdAt,
+      lastUpdated: this.lastUpdated
     };
   }
+}
+
+/**
+ * Class: Inventory Transaction
+ * Represents a single ledger entry recording a change to an inventory item
+ */
+class LVInventoryTransaction {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.projectId = data.projectId || null;
+    this.itemId = data.itemId || null;
+    this.itemLabel = data.itemLabel || ''; // Manufacturer and part number at the time of the change
+    this.type = data.type || ''; // create, update, delete, restore, purge, undo, add, remove, allocate, deallocate, transfer, denied
+    this.source = data.source || 'manual'; // manual, po_sync, receiving, import, rfi, kit
+    this.location = data.location || ''; // Location the change applied to (source location for transfers)
+    this.toLocation = data.toLocation || ''; // Destination location for transfers
+    this.reference = data.reference || ''; // PO number or other external reference
+    this.quantityChange = data.quantityChange || 0; // In the item's stock unit
+    this.enteredQuantity = data.enteredQuantity || null; // Quantity as entered, when it was in another unit
+    this.enteredUnit = data.enteredUnit || '';
+    this.availableBefore = data.availableBefore || 0;
+    this.availableAfter = data.availableAfter || 0;
+    this.allocatedBefore = data.allocatedBefore || 0;
+    this.allocatedAfter = data.allocatedAfter || 0;
+    this.changes = data.changes || {}; // Field-level { from, to } pairs for updates
+    this.notes = data.notes || '';
+    this.userId = data.userId || null;
+    this.userName = data.userName || 'Unknown User';
+    this.timestamp = data.timestamp || new Date();
+  }
 
-  // Export inventory to CSV
-  exportToCSV() {
-    const headers = [
-      'ID', 'Category', 'Sub-Category', 'Manufacturer', 'Part Number', 
-      'Description', 'Unit', 'Quantity Available', 'Quantity Allocated',
-      'Total Quantity', 'Reorder Threshold', 'Reorder Quantity',
-      'Location', 'Cost', 'Total Value', 'Last Updated'
-    ];
-    
-    const rows = this.items.map(item => [
-      item.id,
-      item.category,
-      item.subCategory,
-      item.manufacturer,
-      item.partNumber,
-      item.description,
-      item.unitOfMeasure,
-      item.quantityAvailable,
-      item.quantityAllocated,
-      item.totalQuantity,
-      item.reorderThreshold,
-      item.reorderQuantity,
-      item.location,
-      item.cost,
-      (item.cost * item.totalQuantity).toFixed(2),
-      new Date(item.lastUpdated).toLocaleDateString()
-    ]);
-    
-    // Convert to CSV
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
-    
-    return csvContent;
+  // Serialize for storage/API
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      itemId: this.itemId,
+      itemLabel: this.itemLabel,
+      type: this.type,
+      source: this.source,
+      location: this.location,
+      toLocation: this.toLocation,
+      reference: this.reference,
+      quantityChange: this.quantityChange,
+      enteredQuantity: this.enteredQuantity,
+      enteredUnit: this.enteredUnit,
+      availableBefore: this.availableBefore,
+      availableAfter: this.availableAfter,
+      allocatedBefore: this.allocatedBefore,
+      allocatedAfter: this.allocatedAfter,
+      changes: this.changes,
+      notes: this.notes,
+      userId: this.userId,
+      userName: this.userName,
+      timestamp: this.timestamp
+    };
   }
 }
 
 /**
- * Class: User Interface Manager
- * Handles the UI components for the inventory management system
+ * Class: Classification Rules
+ * Company-configurable rules deciding which POs and RFIs are low voltage work and which category
+ * and subcategory new items go in. Rules are checked in priority order and the first match wins.
  */
-class LVInventoryUI {
-  constructor(inventoryManager, procoreApi) {
-    this.inventoryManager = inventoryManager;
-    this.procoreApi = procoreApi;
-    this.currentProject = null;
+class LVClassificationRules {
+  constructor(data = {}) {
+    // Rules: { id, type: 'keyword' | 'regex' | 'costCode', pattern, priority, lowVoltage, category, subCategory }
+    // lowVoltage is true or false for rules that decide low voltage work, null for category-only rules
+    const rules = Array.isArray(data.rules) ? data.rules : LVClassificationRules.defaultRules();
+    this.rules = rules.map((rule, index) => ({
+      id: rule.id || `rule-${index + 1}`,
+      type: rule.type || 'keyword',
+      pattern: rule.pattern || '',
+      priority: Number(rule.priority) || 0,
+      lowVoltage: rule.lowVoltage === true || rule.lowVoltage === false ? rule.lowVoltage : null,
+      category: rule.category || '',
+      subCategory: rule.subCategory || ''
+    }));
   }
 
-  // Initialize the UI
-  async initialize() {
-    // Load saved tokens
-    this.procoreApi.loadTokens();
-    
-    // Check if we're on a callback URL
-    const urlParams = new URLSearchParams(window.location.search);
-    const authCode = urlParams.get('code');
-    
-    if (authCode) {
+  // Rules used until a company saves its own
+  static defaultRules() {
+    const rule = (type, pattern, priority, fields) => ({ type, pattern, priority, lowVoltage: null, category: '', subCategory: '', ...fields });
+    const rules = [
+      // Low voltage work; bare "data" and substrings like "lv" in "silver" no longer count
+      rule('keyword', 'low voltage, structured cabling, data cabling', 100, { lowVoltage: true }),
+      rule('keyword', 'line voltage, medium voltage, high voltage', 90, { lowVoltage: false }),
+      rule('keyword', 'communications, telecom, access control, cctv', 80, { lowVoltage: true }),
+      rule('costCode', '27', 70, { lowVoltage: true }), // Division 27 - Communications
+      rule('costCode', '28', 70, { lowVoltage: true }), // Division 28 - Electronic Safety and Security
+      rule('keyword', 'LV, network', 60, { lowVoltage: true }),
+      rule('keyword', 'cable', 10, { lowVoltage: true }),
+      
+      // Categories, most specific first
+      rule('regex', '\\b(?:rj-?45|keystone|jack|modular plug)s?\\b', 100, { category: 'Connectors', subCategory: 'RJ45' }),
+      rule('regex', '\\bf-?type\\b|\\bf connector', 100, { category: 'Connectors', subCategory: 'F-Type' }),
+      rule('regex', '\\bbnc\\b', 100, { category: 'Connectors', subCategory: 'BNC' }),
+      rule('regex', '\\b(?:lc|sc|st|mpo|mtp)\\b.*\\bconnector', 100, { category: 'Connectors', subCategory: 'Fiber' }),
+      rule('regex', '\\b(?:fiber|fibre)\\b.*\\b(?:cable|trunk|jumper)', 76, { category: 'Cable', subCategory: 'Fiber' }),
+      rule('regex', '\\bspeaker\\s+(?:wire|cable)', 76, { category: 'Cable', subCategory: 'Speaker' }),
+      rule('regex', '\\bfire alarm (?:wire|cable)|\\bfpl[pr]?\\b', 76, { category: 'Cable', subCategory: 'Fire Alarm' }),
+      rule('regex', '\\bcat\\s*-?6a\\b', 75, { category: 'Cable', subCategory: 'Cat6A' }),
+      rule('regex', '\\bcat\\s*-?6\\b', 74, { category: 'Cable', subCategory: 'Cat6' }),
+      rule('regex', '\\bcat\\s*-?5e\\b', 73, { category: 'Cable', subCategory: 'Cat5e' }),
+      rule('regex', '\\b(?:rg-?(?:6|59|11)|coax(?:ial)?)\\b', 72, { category: 'Cable', subCategory: 'Coaxial' }),
+      rule('keyword', 'cable, wire', 60, { category: 'Cable' }),
+      rule('keyword', 'connector, terminal', 55, { category: 'Connectors' }),
+      rule('keyword', 'camera', 51, { category: 'Devices', subCategory: 'Cameras' }),
+      rule('keyword', 'sensor', 50, { category: 'Devices', subCategory: 'Sensors' }),
+      rule('keyword', 'switch, router, access point', 45, { category: 'Network Equipment' }),
+      rule('keyword', 'card reader, door', 40, { category: 'Access Control' }),
+      rule('keyword', 'speaker, microphone, projector', 35, { category: 'Audio/Visual' }),
+      rule('keyword', 'alarm, motion, security', 30, { category: 'Security' }),
+      rule('keyword', 'phone, telecom', 25, { category: 'Telecommunications' }),
+      rule('keyword', 'fiber', 20, { category: 'Fiber Optics' }),
+      rule('keyword', 'tool', 15, { category: 'Tools' }),
+      rule('keyword', 'bracket, mount', 10, { category: 'Mounting Hardware' }),
+      rule('keyword', 'conduit, raceway, tray', 5, { category: 'Conduit & Raceways' })
+    ];
+    return rules.map((data, index) => ({ ...data, id: `default-${index + 1}` }));
+  }
+
+  // Problem with a rule that would stop it working, or null
+  validateRule(rule, categories = []) {
+    if (!String(rule.pattern || '').trim()) {
+      return 'Enter a pattern';
+    }
+    if (!['keyword', 'regex', 'costCode'].includes(rule.type)) {
+      return `Unknown rule type "${rule.type}"`;
+    }
+    if (rule.type === 'regex') {
       try {
-        await this.procoreApi.handleCallback(authCode);
-        // Remove the code from URL
-        window.history.replaceState({}, document.title, window.location.pathname);
+        new RegExp(rule.pattern, 'i');
       } catch (error) {
-        console.error('Authentication error:', error);
-        this.showError('Authentication failed. Please try again.');
-        return;
+        return error.message; // e.g. "Invalid regular expression: /(a/: Unterminated group"
       }
     }
-    
-    // Check if we're authenticated
-    try {
-      await this.procoreApi.authenticate();
-      this.renderProjectSelector();
-    } catch (error) {
-      console.error('Authentication required:', error);
-      this.renderLoginButton();
+    if (!Number.isFinite(Number(rule.priority))) {
+      return 'Priority must be a number';
+    }
+    if (rule.lowVoltage === null && !rule.category) {
+      return 'Choose a category or whether matches are low voltage';
+    }
+    if (rule.category && categories.length > 0 && !categories.includes(rule.category)) {
+      return `Unknown category "${rule.category}"`;
+    }
+    if (rule.subCategory && !rule.category) {
+      return 'A subcategory needs a category';
     }
+    return null;
   }
 
-  // Render login button when not authenticated
-  renderLoginButton() {
-    const container = document.getElementById('app-container');
-    container.innerHTML = `
-      <div class="login-container">
-        <h1>Low Voltage Inventory Tracker</h1>
-        <p>Please login with your Procore account to continue</p>
-        <button id="login-button" class="btn btn-primary">Login with Procore</button>
-      </div>
-    `;
+  // Whether a rule matches input: { text, costCodes }
+  matches(rule, input) {
+    const text = String(input.text || '');
     
-    document.getElementById('login-button').addEventListener('click', () => {
-      this.procoreApi.authenticate();
-    });
+    switch (rule.type) {
+      case 'keyword':
+        // Whole words, so "lv" doesn't match "silver"; plurals count
+        return rule.pattern.split(',').map(keyword => keyword.trim()).filter(Boolean).some(keyword => {
+          const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+          return new RegExp(`(?:^|[^a-z0-9])${escaped}(?:s|es)?(?![a-z0-9])`, 'i').test(text);
+        });
+      case 'regex':
+        try {
+          return new RegExp(rule.pattern, 'i').test(text);
+        } catch (error) {
+          return false;
+        }
+      case 'costCode': {
+        // Cost codes are compared without separators, so "27" matches "27-15-13" and "271513"
+        const normalize = code => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const prefix = normalize(rule.pattern);
+        return Boolean(prefix) && (input.costCodes || []).some(code => normalize(code).startsWith(prefix));
+      }
+      default:
+        return false;
+    }
   }
 
-  // Render project selector after authentication
-  async renderProjectSelector() {
-    try {
-      const container = document.getElementById('app-container');
-      container.innerHTML = `
-        <h1>Low Voltage Inventory Tracker</h1>
-        <div class="loading">Loading projects...</div>
-      `;
-      
-      // Get company ID from user profile or settings
-      const userInfo = await this.procoreApi.request('/me');
-      const companies = await this.procoreApi.request('/companies');
-      
-      if (companies.length === 0) {
-        throw new Error('No companies found for this user');
-      }
-      
-      // For simplicity, use the first company
-      const companyId = companies[0].id;
-      
-      // Get projects for this company
-      const projects = await this.procoreApi.getProjects(companyId);
-      
-      container.innerHTML = `
-        <h1>Low Voltage Inventory Tracker</h1>
-        <div class="project-selector">
-          <label for="project-select">Select Project:</label>
-          <select id="project-select" class="form-control">
-            <option value="">-- Select a Project --</option>
-            ${projects.map(project => `
-              <option value="${project.id}">${project.name}</option>
-            `).join('')}
-          </select>
-        </div>
-        <div id="project-content"></div>
-      `;
-      
-      document.getElementById('project-select').addEventListener('change', (e) => {
-        const projectId = e.target.value;
-        if (projectId) {
-          this.loadProject(projectId);
-        } else {
-          document.getElementById('project-content').innerHTML = '';
+  // Matching rules, highest priority first (ties keep their order in the list)
+  findMatches(input) {
+    return this.rules
+      .map((rule, index) => ({ rule, index }))
+      .filter(({ rule }) => this.matches(rule, input))
+      .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index)
+      .map(({ rule }) => rule);
+  }
+
+  // Low voltage decision with the rule that made it; value is null when no rule decides
+  classifyLowVoltage(input) {
+    const rule = this.findMatches(input).find(rule => rule.lowVoltage !== null) || null;
+    return { value: rule ? rule.lowVoltage : null, rule };
+  }
+
+  // Whether text and cost codes describe low voltage work
+  isLowVoltage(input) {
+    return this.classifyLowVoltage(input).value === true;
+  }
+
+  // Category and subcategory with the rule that chose them; 'Other' when no rule does
+  categorize(input) {
+    const rule = this.findMatches(input).find(rule => rule.category) || null;
+    return {
+      category: rule ? rule.category : 'Other',
+      subCategory: rule ? rule.subCategory : '',
+      rule
+    };
+  }
+
+  // Whether the company added cost-code rules of its own. The default Division 27/28 rules don't
+  // count, since they would mean fetching the lines of every PO on every sync.
+  hasCustomCostCodeRules() {
+    const defaults = LVClassificationRules.defaultRules()
+      .filter(rule => rule.type === 'costCode')
+      .map(rule => `${rule.pattern}|${rule.lowVoltage}`);
+    return this.rules.some(rule => rule.type === 'costCode' && !defaults.includes(`${rule.pattern}|${rule.lowVoltage}`));
+  }
+
+  // Serialize for storage/API
+  toJSON() {
+    return { rules: this.rules };
+  }
+}
+
+/**
+ * Class: Offline Store
+ * Keeps a local copy of each project dataset, along with the server copy it was based on,
+ * and the queue of saves that have not reached Procore yet. Uses IndexedDB, falling back
+ * to localStorage in browsers without it.
+ */
+class LVOfflineStore {
+  constructor(dbName = `${config.appName}-offline`) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  // Open the database on first use; resolves null when IndexedDB can't be used
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
         }
+
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('datasets'); // { data, base, savedAt } keyed by projectId:name
+          db.createObjectStore('operations', { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Could not open IndexedDB, using local storage', request.error);
+          resolve(null);
+        };
       });
-      
-    } catch (error) {
-      console.error('Error loading projects:', error);
-      this.showError('Failed to load projects. Please try again later.');
     }
+    return this.dbPromise;
   }
 
-  // Load a specific project
-  async loadProject(projectId) {
-    try {
-      const projectContent = document.getElementById('project-content');
-      projectContent.innerHTML = '<div class="loading">Loading inventory...</div>';
-      
-      // Get project details
-      this.currentProject = await this.procoreApi.getProject(projectId);
-      
-      // Load inventory for this project
-      await this.inventoryManager.loadInventory(projectId);
-      
-      // Render the inventory interface
-      this.renderInventoryInterface();
-      
-    } catch (error) {
-      console.error('Error loading project:', error);
-      this.showError('Failed to load project data. Please try again later.');
-    }
+  // Run a request against one object store and resolve with its result once committed
+  async run(storeName, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
   }
 
-  // Render the main inventory interface
-  renderInventoryInterface() {
-    const projectContent = document.getElementById('project-content');
+  // Get the stored record for a project dataset, or null
+  async getDataset(projectId, name) {
+    const key = `${projectId}:${name}`;
+    if (!await this.open()) {
+      const stored = localStorage.getItem(`lv_offline_dataset_${key}`);
+      return stored ? JSON.parse(stored) : null;
+    }
+    return (await this.run('datasets', 'readonly', store => store.get(key))) || null;
+  }
+
+  // Replace the stored record for a project dataset
+  async putDataset(projectId, name, record) {
+    const key = `${projectId}:${name}`;
+    if (!await this.open()) {
+      localStorage.setItem(`lv_offline_dataset_${key}`, JSON.stringify(record));
+      return;
+    }
+    await this.run('datasets', 'readwrite', store => store.put(record, key));
+  }
+
+  // Queued operations for a project, oldest first
+  async getOperations(projectId) {
+    let operations;
+    if (!await this.open()) {
+      operations = JSON.parse(localStorage.getItem('lv_offline_operations') || '[]');
+    } else {
+      operations = await this.run('operations', 'readonly', store => store.getAll());
+    }
+    return operations
+      .filter(operation => String(operation.projectId) === String(projectId))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  // Append an operation to the queue
+  async addOperation(operation) {
+    if (!await this.open()) {
+      const operations = JSON.parse(localStorage.getItem('lv_offline_operations') || '[]');
+      const id = operations.reduce((max, queued) => Math.max(max, queued.id), 0) + 1;
+      operations.push({ ...operation, id });
+      localStorage.setItem('lv_offline_operations', JSON.stringify(operations));
+      return id;
+    }
+    return this.run('operations', 'readwrite', store => store.add(operation));
+  }
+
+  // Update a queued operation in place
+  async putOperation(operation) {
+    if (!await this.open()) {
+      const operations = JSON.parse(localStorage.getItem('lv_offline_operations') || '[]');
+      localStorage.setItem('lv_offline_operations', JSON.stringify(operations.map(queued => queued.id === operation.id ? operation : queued)));
+      return;
+    }
+    await this.run('operations', 'readwrite', store => store.put(operation));
+  }
+
+  // Remove operations that have been replayed
+  async deleteOperations(ids) {
+    if (ids.length === 0) return;
+    if (!await this.open()) {
+      const operations = JSON.parse(localStorage.getItem('lv_offline_operations') || '[]');
+      localStorage.setItem('lv_offline_operations', JSON.stringify(operations.filter(operation => !ids.includes(operation.id))));
+      return;
+    }
+    await this.run('operations', 'readwrite', store => {
+      ids.forEach(id => store.delete(id));
+      return null;
+    });
+  }
+}
+
+/**
+ * Class: Inventory Manager
+ * Manages the inventory items and operations
+ */
+class LVInventoryManager {
+  constructor(procoreApi) {
+    this.procoreApi = procoreApi;
+    this.items = [];
+    this.deletedItems = []; // Items in the trash, kept with their history until purged
+    this.lastChange = null; // The latest single-item change, for undo; see undoChange
+    this.kits = [];
+    this.transactions = [];
+    this.poPostings = {}; // Quantities posted from Procore PO lines, keyed by poId:lineItemId
+    this.matchReviews = {}; // PO lines whose item match waits for a person to confirm, same keys
+    this.classificationRules = new LVClassificationRules(); // Per company, see loadClassificationRules
+    this.currentUser = null;
+    this.role = 'viewer'; // The current user's role on the loaded project, see loadUserRole
+    this.roleAssignments = {}; // Per company: Procore user ID -> role, overriding the Procore mapping
+    this.companyId = null; // Company whose role assignments are loaded
     
-    projectContent.innerHTML = `
-      <div class="inventory-container">
-        <h2>${this.currentProject.name} - Low Voltage Inventory</h2>
-        
-        <div class="controls">
-          <button id="add-item-btn" class="btn btn-success">Add New Item</button>
-          <button id="export-csv-btn" class="btn btn-secondary">Export to CSV</button>
-          <button id="generate-report-btn" class="btn btn-info">Generate Report</button>
-          <div class="search-container">
-            <input type="text" id="search-input" class="form-control" placeholder="Search inventory...">
-          </div>
-        </div>
-        
-        <div class="inventory-table-container">
-          <table class="inventory-table">
-            <thead>
-              <tr>
-                <th>Category</th>
-                <th>Manufacturer</th>
-                <th>Part Number</th>
-                <th>Description</th>
-                <th>Available</th>
-                <th>Allocated</th>
-                <th>Location</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody id="inventory-table-body">
-              ${this.renderInventoryItems()}
-            </tbody>
-          </table>
-        </div>
-        
-        <div id="item-modal" class="modal">
-          <!-- Modal content will be dynamically inserted -->
-        </div>
-        
-        <div id="report-modal" class="modal">
-          <!-- Report content will be dynamically inserted -->
-        </div>
-      </div>
-    `;
+    // Roles from least to most access
+    this.roles = [
+      { key: 'viewer', label: 'Viewer' },
+      { key: 'fieldTech', label: 'Field Tech' },
+      { key: 'coordinator', label: 'Coordinator' },
+      { key: 'admin', label: 'PM / Admin' }
+    ];
     
-    // Add event listeners
-    document.getElementById('add-item-btn').addEventListener('click', () => {
-      this.showItemModal();
-    });
+    // The least role allowed to perform each action, and how the action reads in messages
+    this.permissions = {
+      viewCost: { role: 'coordinator', label: 'view costs' },
+      adjustStock: { role: 'fieldTech', label: 'adjust, transfer or receive stock' },
+      editItem: { role: 'coordinator', label: 'add or edit items' },
+      editCost: { role: 'admin', label: 'change item costs' },
+      deleteItem: { role: 'admin', label: 'delete items' },
+      syncProcore: { role: 'coordinator', label: 'sync purchase orders, RFIs and requisitions with Procore' },
+      manageSettings: { role: 'admin', label: 'manage classification rules and user roles' }
+    };
     
-    document.getElementById('export-csv-btn').addEventListener('click', () => {
-      this.exportInventory();
-    });
+    // Project datasets kept in Procore custom fields, with the localStorage keys used before the offline store
+    this.datasets = {
+      inventory: { field: 'low_voltage_inventory', legacyKey: 'inventory_' },
+      transactions: { field: 'low_voltage_inventory_transactions', legacyKey: 'inventory_transactions_' },
+      poPostings: { field: 'low_voltage_po_postings', legacyKey: 'inventory_po_postings_' },
+      matchReviews: { field: 'low_voltage_match_reviews', legacyKey: 'inventory_match_reviews_' },
+      kits: { field: 'low_voltage_kits', legacyKey: 'inventory_kits_' }
+    };
+    this.store = new LVOfflineStore();
+    this.projectId = null;
+    this.conflicts = []; // Inventory items changed both here and in Procore, see resolveConflicts
+    this.syncStatus = { pending: 0, syncing: false, lastError: null, lastSynced: null, dataChanged: false };
+    this.onSyncStatusChange = null; // Called with the sync status whenever it changes
+    this.syncPromise = null;
+    this.resyncRequested = false;
+    this.categories = [
+      'Cable',
+      'Connectors',
+      'Devices',
+      'Network Equipment',
+      'Access Control',
+      'Audio/Visual',
+      'Security',
+      'Telecommunications',
+      'Fiber Optics',
+      'Tools',
+      'Mounting Hardware',
+      'Conduit & Raceways',
+      'Other'
+    ];
     
-    document.getElementById('generate-report-btn').addEventListener('click', () => {
-      this.showReportModal();
-    });
+    this.subCategories = {
+      'Cable': ['Cat5e', 'Cat6', 'Cat6A', 'Fiber', 'Coaxial', 'Speaker', 'Security', 'Fire Alarm'],
+      'Connectors': ['RJ45', 'F-Type', 'BNC', 'Fiber', 'Terminal Blocks'],
+      'Devices': ['WAPs', 'Cameras', 'Card Readers', 'Speakers', 'Sensors'],
+      // Additional subcategories can be added
+    };
     
-    document.getElementById('search-input').addEventListener('input', (e) => {
-      this.filterInventoryItems(e.target.value);
-    });
+    this.unitOptions = ['Each', 'Box', 'Bag', 'Feet', 'Meter', 'Roll', 'Pair', 'Set', 'Lot'];
     
-    // Add event listeners for item actions (edit, delete, adjust)
-    const tableBody = document.getElementById('inventory-table-body');
-    tableBody.addEventListener('click', (e) => {
-      const target = e.target;
-      const itemId = target.closest('tr')?.dataset.itemId;
+    // Length units relative to one meter; these convert for every item without per-item factors
+    this.lengthUnits = { Feet: 0.3048, Meter: 1 };
+  }
+
+  // Set the Procore user that changes are attributed to in the ledger
+  setCurrentUser(user) {
+    this.currentUser = user
+      ? { id: user.id, name: user.name || user.login || `User ${user.id}` }
+      : null;
+  }
+
+  // Map a Procore project user to a role from their permission template name and job title.
+  // Admin needs an exact title, so "Office Administrator" or "Assistant Project Manager" don't get it;
+  // the other roles match whole words. Anyone not recognized can look but not change anything
+  // until an admin assigns a role.
+  roleFromProcoreUser(user) {
+    const names = [user && user.permission_template && user.permission_template.name, user && user.job_title]
+      .filter(Boolean)
+      .map(name => String(name).trim().toLowerCase().replace(/\s+/g, ' '));
+    const text = names.join(' ');
+    
+    const adminNames = ['admin', 'administrator', 'company admin', 'project admin', 'project manager', 'pm', 'project executive', 'executive'];
+    if (names.some(name => adminNames.includes(name))) return 'admin';
+    if (/\b(?:coordinator|engineer|superintendent|purchasing|purchaser|procurement|assistant project manager|apm)\b/.test(text)) return 'coordinator';
+    if (/\b(?:field|foreman|technician|tech|installer|electrician)\b/.test(text)) return 'fieldTech';
+    return 'viewer';
+  }
+
+  // Work out the current user's role on a project. A company role assignment wins; otherwise the
+  // role follows their Procore project permissions, their company directory entry when they can't
+  // read the project directory, or the last role seen here when neither can be loaded.
+  async loadUserRole(projectId) {
+    // Actions refused from here on belong to this project's ledger
+    this.projectId = projectId;
+    const user = this.currentUser;
+    this.role = 'viewer';
+    if (!user) return this.role;
+    
+    if (this.isRole(this.roleAssignments[user.id])) {
+      this.role = this.roleAssignments[user.id];
+      return this.role;
+    }
+    
+    const cacheKey = `lv_role_${projectId}_${user.id}`;
+    try {
+      const projectUser = await this.procoreApi.request(`/projects/${projectId}/users/${user.id}`);
+      this.role = this.roleFromProcoreUser(projectUser);
+      localStorage.setItem(cacheKey, this.role);
+      return this.role;
+    } catch (error) {
+      if (!(error instanceof ProcoreNetworkError)) {
+        console.warn('Could not load project permissions from API', error);
+      }
       
-      if (!itemId) return;
+      // Users who can't read the project directory are looked up in the company directory instead
+      if (this.companyId && (error instanceof ProcorePermissionError || error instanceof ProcoreNotFoundError)) {
+        try {
+          const companyUser = await this.procoreApi.request(`/companies/${this.companyId}/users/${user.id}`);
+          this.role = this.roleFromProcoreUser(companyUser);
+          localStorage.setItem(cacheKey, this.role);
+          return this.role;
+        } catch (companyError) {
+          console.warn('Could not load company permissions from API', companyError);
+        }
+      }
+    }
+    
+    // A failed lookup keeps the last role seen here rather than locking the user out
+    if (this.isRole(localStorage.getItem(cacheKey))) {
+      this.role = localStorage.getItem(cacheKey);
+    }
+    return this.role;
+  }
+
+  // Load the company's role assignments, falling back to local storage
+  async loadRoleAssignments(companyId) {
+    this.companyId = companyId;
+    this.roleAssignments = {};
+    
+    try {
+      const data = await this.procoreApi.request(`/companies/${companyId}/custom_fields/low_voltage_roles`);
+      if (data && data.assignments) {
+        this.roleAssignments = data.assignments;
+      }
+    } catch (error) {
+      console.warn('Could not load role assignments from API, checking local storage', error);
       
-      if (target.classList.contains('edit-btn')) {
-        this.showItemModal(itemId);
-      } else if (target.classList.contains('delete-btn')) {
-        this.confirmDeleteItem(itemId);
-      } else if (target.classList.contains('adjust-btn')) {
-        this.showAdjustQuantityModal(itemId);
+      const storedAssignments = localStorage.getItem(`lv_roles_${companyId}`);
+      if (storedAssignments) {
+        this.roleAssignments = JSON.parse(storedAssignments).assignments || {};
       }
-    });
+    }
+    
+    return this.roleAssignments;
   }
 
-  // Render inventory items as table rows
-  renderInventoryItems() {
-    if (this.inventoryManager.items.length === 0) {
-      return `<tr><td colspan="8" class="empty-message">No inventory items found. Click "Add New Item" to get started.</td></tr>`;
+  // Save a company's role assignments to API and local storage. Users without an entry
+  // get their role from Procore.
+  async saveRoleAssignments(companyId, assignments) {
+    this.requirePermission('manageSettings');
+    
+    Object.entries(assignments).forEach(([userId, role]) => {
+      if (!this.isRole(role)) {
+        throw new Error(`Unknown role "${role}" for user ${userId}`);
+      }
+    });
+    
+    const data = { assignments: { ...assignments } };
+    this.roleAssignments = data.assignments;
+    
+    try {
+      await this.procoreApi.request(`/companies/${companyId}/custom_fields/low_voltage_roles`, 'PUT', data);
+    } catch (error) {
+      console.warn('Could not save role assignments to API, saving to local storage', error);
     }
     
-    return this.inventoryManager.items.map(item => `
-      <tr data-item-id="${item.id}" class="${item.needsReorder ? 'low-stock' : ''}">
-        <td>${item.category} ${item.subCategory ? `- ${item.subCategory}` : ''}</td>
-        <td>${item.manufacturer}</td>
-        <td>${item.partNumber}</td>
-        <td>${item.description}</td>
-        <td>${item.quantityAvailable} ${item.unitOfMeasure}</td>
-        <td>${item.quantityAllocated} ${item.unitOfMeasure}</td>
-        <td>${item.location}</td>
-        <td class="actions">
-          <button class="btn btn-sm btn-primary edit-btn">Edit</button>
-          <button class="btn btn-sm btn-warning adjust-btn">Adjust</button>
-          <button class="btn btn-sm btn-danger delete-btn">Delete</button>
-        </td>
-      </tr>
-    `).join('');
+    localStorage.setItem(`lv_roles_${companyId}`, JSON.stringify(data));
+    
+    return this.roleAssignments;
   }
 
-  // Filter inventory items based on search input
-  filterInventoryItems(searchTerm) {
-    if (!searchTerm) {
-      // If search is empty, show all items
-      document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
-      return;
+  // Whether a value is one of the role keys
+  isRole(role) {
+    return this.roles.some(definition => definition.key === role);
+  }
+
+  // Display name of a role, the current user's by default
+  getRoleLabel(role = this.role) {
+    const definition = this.roles.find(definition => definition.key === role);
+    return definition ? definition.label : role;
+  }
+
+  // Whether the current user's role allows an action (a key of this.permissions)
+  can(action) {
+    const permission = this.permissions[action];
+    if (!permission) {
+      throw new Error(`Unknown action: ${action}`);
     }
     
-    const filteredItems = this.inventoryManager.items.filter(item => {
-      const searchFields = [
-        item.category,
-        item.subCategory,
-        item.manufacturer,
-        item.partNumber,
-        item.description,
-        item.location
-      ];
-      
-      return searchFields.some(field => 
-        field.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+    const rank = role => this.roles.findIndex(definition => definition.key === role);
+    return rank(this.role) >= rank(permission.role);
+  }
+
+  // Throw an LVPermissionError unless the current role allows an action; refused attempts are
+  // recorded in the ledger against the item, when there is one
+  requirePermission(action, item = null) {
+    if (this.can(action)) return;
+    
+    const permission = this.permissions[action];
+    this.recordDeniedAction(action, item);
+    throw new LVPermissionError(
+      `Your ${this.getRoleLabel()} role can't ${permission.label}. Ask a ${this.getRoleLabel(permission.role)} to do it or to change your role.`,
+      { action, role: this.role, requiredRole: permission.role }
+    );
+  }
+
+  // Add a refused action to the ledger. It is saved with the next change rather than on its own,
+  // so repeated clicks on a refused action don't each queue a sync.
+  recordDeniedAction(action, item = null) {
+    const transaction = new LVInventoryTransaction({
+      id: this.generateId(),
+      projectId: item ? item.projectId : this.projectId,
+      itemId: item ? item.id : null,
+      itemLabel: item ? `${item.manufacturer} ${item.partNumber || item.description}`.trim() : '',
+      type: 'denied',
+      notes: `Tried to ${this.permissions[action].label} with the ${this.getRoleLabel()} role`,
+      userId: this.currentUser ? this.currentUser.id : null,
+      userName: this.currentUser ? this.currentUser.name : undefined,
+      timestamp: new Date()
     });
     
-    // Store original items temporarily
-    const originalItems = this.inventoryManager.items;
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  // Refused actions for the project, newest first
+  getDeniedActions() {
+    return this.transactions
+      .filter(transaction => transaction.type === 'denied')
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Generate a unique ID for records created within the same millisecond
+  generateId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  // Round-trip stored or server data through the models, so records saved by other versions
+  // of the app compare equal to the same records saved here
+  normalizeDataset(name, data) {
+    if (data === null || data === undefined) return null;
+    
+    switch (name) {
+      case 'inventory':
+        return JSON.parse(JSON.stringify(data.map(item => new LVInventoryItem(item).toJSON())));
+      case 'transactions':
+        return JSON.parse(JSON.stringify(data.map(transaction => new LVInventoryTransaction(transaction).toJSON())));
+      case 'kits':
+        return JSON.parse(JSON.stringify(data.map(kit => new LVKit(kit).toJSON())));
+      default:
+        return data;
+    }
+  }
+
+  // Serializable copy of an in-memory project dataset
+  getDatasetData(name) {
+    switch (name) {
+      case 'inventory':
+        return JSON.parse(JSON.stringify([...this.items, ...this.deletedItems].map(item => item.toJSON())));
+      case 'transactions':
+        return JSON.parse(JSON.stringify(this.transactions.map(transaction => transaction.toJSON())));
+      case 'poPostings':
+        return JSON.parse(JSON.stringify(this.poPostings));
+      case 'matchReviews':
+        return JSON.parse(JSON.stringify(this.matchReviews));
+      case 'kits':
+        return JSON.parse(JSON.stringify(this.kits.map(kit => kit.toJSON())));
+      default:
+        throw new Error(`Unknown dataset: ${name}`);
+    }
+  }
+
+  // Replace an in-memory project dataset with stored data
+  setDatasetData(name, data) {
+    switch (name) {
+      case 'inventory': {
+        const items = (data || []).map(item => new LVInventoryItem(item));
+        this.items = items.filter(item => !item.deletedAt);
+        this.deletedItems = items.filter(item => item.deletedAt);
+        break;
+      }
+      case 'transactions':
+        this.transactions = (data || []).map(transaction => new LVInventoryTransaction(transaction));
+        break;
+      case 'poPostings':
+        this.poPostings = data || {};
+        break;
+      case 'matchReviews':
+        this.matchReviews = data || {};
+        break;
+      case 'kits':
+        this.kits = (data || []).map(kit => new LVKit(kit));
+        break;
+      default:
+        throw new Error(`Unknown dataset: ${name}`);
+    }
+  }
+
+  // Load inventory, its ledger and PO sync records, preferring local copies with unsynced changes
+  async loadInventory(projectId) {
+    this.projectId = projectId;
+    this.conflicts = [];
+    this.lastChange = null;
     
-    // Replace with filtered items to render
-    this.inventoryManager.items = filteredItems;
-    document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
+    const operations = await this.store.getOperations(projectId);
+    for (const name of Object.keys(this.datasets)) {
+      const pending = operations.some(operation => operation.datasets.includes(name));
+      this.setDatasetData(name, await this.loadDataset(projectId, name, pending));
+    }
     
-    // Restore original items
-    this.inventoryManager.items = originalItems;
+    // Conflicts found by an earlier sync still wait for the user
+    const record = await this.store.getDataset(projectId, 'inventory');
+    this.conflicts = (record && record.conflicts) || [];
+    
+    await this.updateSyncStatus(projectId);
+    if (operations.length > 0) {
+      this.syncPendingChanges(projectId);
+    }
+    
+    return this.items;
   }
 
-  // Show modal for adding/editing items
-  showItemModal(itemId = null) {
-    const item = itemId 
-      ? this.inventoryManager.items.find(item => item.id === itemId)
-      : null;
+  // Load one project dataset. The server copy wins unless this device has changes that haven't
+  // reached it yet; those are merged in by syncPendingChanges instead of being overwritten here.
+  async loadDataset(projectId, name, pending = false) {
+    const { field, legacyKey } = this.datasets[name];
+    let record = await this.store.getDataset(projectId, name);
     
-    const modal = document.getElementById('item-modal');
+    if (!record) {
+      // Data saved before the offline store existed
+      const stored = localStorage.getItem(`${legacyKey}${projectId}`);
+      if (stored) {
+        record = { data: this.normalizeDataset(name, JSON.parse(stored)), base: null, savedAt: null };
+      }
+    }
     
-    modal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <h3>${item ? 'Edit Item' : 'Add New Item'}</h3>
-          <span class="close-modal">&times;</span>
-        </div>
-        <div class="modal-body">
-          <form id="item-form">
-            <div class="form-group">
-              <label for="category">Category:</label>
-              <select id="category" class="form-control" required>
-                <option value="">-- Select Category --</option>
-                ${this.inventoryManager.categories.map(cat => `
-                  <option value="${cat}" ${item && item.category === cat ? 'selected' : ''}>${cat}</option>
-                `).join('')}
-              </select>
-            </div>
-            
-            <div class="form-group">
-              <label for="subCategory">Sub-Category:</label>
-              <select id="subCategory" class="form-control">
-                <option value="">-- Select Sub-Category --</option>
-                ${item && this.inventoryManager.subCategories[item.category] 
-                  ? this.inventoryManager.subCategories[item.category].map(subCat => `
-                      <option value="${subCat}" ${item.subCategory === subCat ? 'selected' : ''}>${subCat}</option>
-                    `).join('') 
-                  : ''}
-              </select>
-            </div>
-            
-            <div class="form-group">
-              <label for="manufacturer">Manufacturer:</label>
-              <input type="text" id="manufacturer" class="form-control" value="${item ? item.manufacturer : ''}" required>
-            </div>
-            
-            <div class="form-group">
-              <label for="partNumber">Part Number:</label>
-              <input type="text" id="partNumber" class="form-control" value="${item ? item.partNumber : ''}">
-            </div>
-            
-            <div class="form-group">
-              <label for="description">Description:</label>
-              <textarea id="description" class="form-control" required>${item ? item.description : ''}</textarea>
-            </div>
-            
-            <div class="form-row">
-              <div class="form-group half">
-                <label for="unitOfMeasure">Unit of Measure:</label>
-                <select id="unitOfMeasure" class="form-control" required>
-                  ${this.inventoryManager.unitOptions.map(unit => `
-                    <option value="${unit}" ${item && item.unitOfMeasure === unit ? 'selected' : ''}>${unit}</option>
-                  `).join('')}
-                </select>
-              </div>
-              
-              <div class="form-group half">
-                <label for="cost">Cost per Unit:</label>
-                <input type="number" id="cost" class="form-control" value="${item ? item.cost : '0.00'}" step="0.01" min="0">
-              </div>
-            </div>
-            
-            <div class="form-row">
-              <div class="form-group half">
-                <label for="quantityAvailable">Quantity Available:</label>
-                <input type="number" id="quantityAvailable" class="form-control" value="${item ? item.quantityAvailable : '0'}" min="0" required>
-              </div>
-              
-              <div class="form-group half">
-                <label for="quantityAllocated">Quantity Allocated:</label>
-                <input type="number" id="quantityAllocated" class="form-control" value="${item ? item.quantityAllocated : '0'}" min="0">
-              </div>
-            </div>
-            
-            <div class="form-row">
-              <div class="form-group half">
-                <label for="reorderThreshold">Reorder Threshold:</label>
-                <input type="number" id="reorderThreshold" class="form-control" value="${item ? item.reorderThreshold : '0'}" min="0">
-              </div>
-              
-              <div class="form-group half">
-                <label for="reorderQuantity">Reorder Quantity:</label>
-                <input type="number" id="reorderQuantity" class="form-control" value="${item ? item.reorderQuantity : '0'}" min="0">
-              </div>
-            </div>
-            
-            <div class="form-group">
-              <label for="location">Storage Location:</label>
-              <input type="text" id="location" class="form-control" value="${item ? item.location : ''}">
-            </div>
-            
-            <div class="form-actions">
-              <button type="submit" class="btn btn-primary">${item ? 'Update Item' : 'Add Item'}</button>
-              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
-            </div>
-          </form>
-        </div>
-      </div>
-    `;
+    if (pending && record) {
+      return record.data;
+    }
     
-    modal.style.display = 'block';
+    try {
+      if (navigator.onLine === false) {
+        throw new ProcoreNetworkError('Offline', { endpoint: field, method: 'GET' });
+      }
+      const remote = this.normalizeDataset(name, await this.procoreApi.request(`/projects/${projectId}/custom_fields/${field}`));
+      await this.store.putDataset(projectId, name, { data: remote, base: remote, savedAt: null });
+      return remote;
+    } catch (error) {
+      console.warn(`Could not load ${name} from API, using the copy on this device`, error);
+      return record ? record.data : null;
+    }
+  }
+
+  // Save inventory and its records on this device, queue the change and sync it to Procore
+  async saveInventory(projectId) {
+    const changed = [];
+    for (const name of Object.keys(this.datasets)) {
+      if (await this.saveDataset(projectId, name)) {
+        changed.push(name);
+      }
+    }
     
-    // Add event listeners
-    modal.querySelector('.close-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    if (changed.length > 0) {
+      await this.store.addOperation({
+        projectId: String(projectId),
+        datasets: changed,
+        queuedAt: new Date().toISOString(),
+        userId: this.currentUser ? this.currentUser.id : null
+      });
+    }
     
-    modal.querySelector('.cancel-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    await this.updateSyncStatus(projectId);
+    if (changed.length > 0) {
+      // Not awaited: the change is safe locally and the status indicator reports progress
+      this.syncPendingChanges(projectId);
+    }
     
-    // Dynamic subcategory updates
-    const categorySelect = document.getElementById('category');
-    const subCategorySelect = document.getElementById('subCategory');
+    return true;
+  }
+
+  // Store a dataset locally; returns false when it hasn't changed since the last save
+  async saveDataset(projectId, name) {
+    const data = this.getDatasetData(name);
+    const record = await this.store.getDataset(projectId, name) || { base: null };
+    if (record.data !== undefined && JSON.stringify(record.data) === JSON.stringify(data)) {
+      return false;
+    }
     
-    categorySelect.addEventListener('change', () => {
-      const selectedCategory = categorySelect.value;
-      const subCategories = this.inventoryManager.subCategories[selectedCategory] || [];
-      
-      subCategorySelect.innerHTML = `
-        <option value="">-- Select Sub-Category --</option>
-        ${subCategories.map(subCat => `
-          <option value="${subCat}">${subCat}</option>
-        `).join('')}
-      `;
-    });
+    await this.store.putDataset(projectId, name, { ...record, data, savedAt: new Date().toISOString() });
+    return true;
+  }
+
+  // Replay queued operations against Procore. Runs one sync at a time; a save made while
+  // syncing triggers another pass once the current one finishes.
+  syncPendingChanges(projectId) {
+    if (this.syncPromise) {
+      this.resyncRequested = true;
+      return this.syncPromise;
+    }
     
-    // Form submission
-    document.getElementById('item-form').addEventListener('submit', (e) => {
-      e.preventDefault();
-      
-      const formData = {
-        category: document.getElementById('category').value,
-        subCategory: document.getElementById('subCategory').value,
-        manufacturer: document.getElementById('manufacturer').value,
-        partNumber: document.getElementById('partNumber').value,
-        description: document.getElementById('description').value,
-        unitOfMeasure: document.getElementById('unitOfMeasure').value,
-        cost: parseFloat(document.getElementById('cost').value) || 0,
-        quantityAvailable: parseInt(document.getElementById('quantityAvailable').value, 10) || 0,
-        quantityAllocated: parseInt(document.getElementById('quantityAllocated').value, 10) || 0,
-        reorderThreshold: parseInt(document.getElementById('reorderThreshold').value, 10) || 0,
-        reorderQuantity: parseInt(document.getElementById('reorderQuantity').value, 10) || 0,
-        location: document.getElementById('location').value,
-        projectId: this.currentProject.id
-      };
-      
+    // Other tabs share the queue, so they take turns where the browser supports Web Locks
+    const replay = () => this.replayOperations(projectId);
+    const exclusive = navigator.locks
+      ? () => navigator.locks.request(`${config.appName}-sync-${projectId}`, replay)
+      : replay;
+    
+    this.syncPromise = (async () => {
       try {
-        if (item) {
-          // Update existing item
-          this.inventoryManager.updateItem(item.id, formData);
-        } else {
-          // Add new item
-          this.inventoryManager.addItem(formData);
-        }
-        
-        // Save to Procore/localStorage
-        this.inventoryManager.saveInventory(this.currentProject.id);
-        
-        // Update the UI
-        document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
-        
-        // Close the modal
-        modal.style.display = 'none';
-        
-        // Show success message
-        this.showMessage(`Item successfully ${item ? 'updated' : 'added'}.`);
+        do {
+          this.resyncRequested = false;
+          await exclusive();
+        } while (this.resyncRequested && navigator.onLine !== false);
       } catch (error) {
-        console.error('Error saving item:', error);
-        this.showError(`Failed to ${item ? 'update' : 'add'} item: ${error.message}`);
+        // Callers don't wait for the sync, so failures are reported through the sync status
+        console.error('Error syncing queued changes:', error);
+        this.syncStatus.lastError = error.message;
+      } finally {
+        this.syncPromise = null;
+        this.syncStatus.syncing = false;
+        await this.updateSyncStatus(projectId).catch(() => this.notifySyncStatus());
       }
-    });
+    })();
+    
+    return this.syncPromise;
   }
 
-  // Show modal for adjusting quantity
-  showAdjustQuantityModal(itemId) {
-    const item = this.inventoryManager.items.find(item => item.id === itemId);
-    if (!item) return;
-    
-    const modal = document.getElementById('item-modal');
-    
-    modal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <h3>Adjust Inventory Quantity</h3>
-          <span class="close-modal">&times;</span>
-        </div>
-        <div class="modal-body">
-          <h4>${item.manufacturer} - ${item.partNumber}</h4>
-          <p>${item.description}</p>
-          
-          <div class="current-quantities">
-            <div class="quantity-box">
-              <span class="quantity-label">Available:</span>
-              <span class="quantity-value">${item.quantityAvailable} ${item.unitOfMeasure}</span>
-            </div>
-            <div class="quantity-box">
-              <span class="quantity-label">Allocated:</span>
-              <span class="quantity-value">${item.quantityAllocated} ${item.unitOfMeasure}</span>
-            </div>
-            <div class="quantity-box">
-              <span class="quantity-label">Total:</span>
-              <span class="quantity-value">${item.totalQuantity} ${item.unitOfMeasure}</span>
-            </div>
-          </div>
-          
-          <form id="adjust-form">
-            <div class="adjustment-type">
-              <div class="form-group">
-                <label>Adjustment Type:</label>
-                <div class="radio-group">
-                  <label>
-                    <input type="radio" name="adjustmentType" value="add" checked> 
-                    Add Inventory
-                  </label>
-                  <label>
-                    <input type="radio" name="adjustmentType" value="remove"> 
-                    Remove Inventory
-                  </label>
-                  <label>
-                    <input type="radio" name="adjustmentType" value="allocate"> 
-                    Allocate to Project
-                  </label>
-                  <label>
-                    <input type="radio" name="adjustmentType" value="deallocate"> 
-                    Return from Project
-                  </label>
-                </div>
-              </div>
-            </div>
-            
-            <div class="form-group">
-              <label for="adjustQuantity">Quantity:</label>
-              <input type="number" id="adjustQuantity" class="form-control" min="1" value="1" required>
-            </div>
-            
-            <div class="form-group">
-              <label for="adjustmentNotes">Notes:</label>
-              <textarea id="adjustmentNotes" class="form-control" placeholder="Reason for adjustment, PO#, etc."></textarea>
-            </div>
-            
-            <div class="form-actions">
-              <button type="submit" class="btn btn-primary">Adjust Quantity</button>
-              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
-            </div>
-          </form>
-        </div>
-      </div>
-    `;
-    
-    modal.style.display = 'block';
+  // Send each dataset with queued operations, merged with whatever changed on the server since
+  async replayOperations(projectId) {
+    if (navigator.onLine === false) return;
     
-    // Add event listeners
-    modal.querySelector('.close-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    const operations = await this.store.getOperations(projectId);
+    if (operations.length === 0) return;
     
-    modal.querySelector('.cancel-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    this.syncStatus.syncing = true;
+    this.notifySyncStatus();
     
-    // Form submission
-    document.getElementById('adjust-form').addEventListener('submit', (e) => {
-      e.preventDefault();
-      
-      const adjustmentType = document.querySelector('input[name="adjustmentType"]:checked').value;
-      const quantity = parseInt(document.getElementById('adjustQuantity').value, 10);
-      const notes = document.getElementById('adjustmentNotes').value;
+    const names = [...new Set(operations.flatMap(operation => operation.datasets))];
+    const synced = [];
+    for (const name of names) {
+      const endpoint = `/projects/${projectId}/custom_fields/${this.datasets[name].field}`;
+      const record = await this.store.getDataset(projectId, name);
       
       try {
-        switch (adjustmentType) {
-          case 'add':
-            this.inventoryManager.adjustQuantity(itemId, quantity, false);
-            break;
-          case 'remove':
-            this.inventoryManager.adjustQuantity(itemId, -quantity, false);
-            break;
-          case 'allocate':
-            this.inventoryManager.adjustQuantity(itemId, quantity, true);
-            break;
-          case 'deallocate':
-            this.inventoryManager.adjustQuantity(itemId, -quantity, true);
-            break;
+        let remote;
+        try {
+          remote = this.normalizeDataset(name, await this.procoreApi.request(endpoint));
+        } catch (error) {
+          if (!(error instanceof ProcoreNotFoundError)) throw error;
+          remote = null; // Never saved to Procore yet
         }
         
-        // Save to Procore/localStorage
-        this.inventoryManager.saveInventory(this.currentProject.id);
-        
-        // Update the UI
-        document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
+        // Inventory is written item by item so concurrent edits to other items aren't overwritten
+        let outcome;
+        if (name === 'inventory') {
+          outcome = await this.syncInventoryItems(endpoint, record, remote);
+        } else {
+          const merged = this.mergeDataset(record.base, record.data, remote);
+          await this.procoreApi.request(endpoint, 'PUT', merged);
+          outcome = { merged, base: merged, conflicts: [] };
+        }
         
-        // Close the modal
-        modal.style.display = 'none';
+        // Carry over anything saved locally while the requests were in flight
+        const latest = await this.store.getDataset(projectId, name);
+        const data = this.mergeDataset(record.data, latest.data, outcome.merged);
+        await this.store.putDataset(projectId, name, { ...latest, data, base: outcome.base, conflicts: outcome.conflicts });
         
-        // Show success message
-        this.showMessage('Quantity successfully adjusted.');
+        if (name === 'inventory') {
+          this.conflicts = outcome.conflicts;
+        }
+        if (outcome.conflicts.length === 0) {
+          synced.push(name);
+        }
         
-        // Log this transaction for audit trail (could be saved to Procore)
-        console.log('Inventory adjustment:', {
-          itemId,
-          adjustmentType,
-          quantity,
-          notes,
-          timestamp: new Date(),
-          user: 'Current User', // Would come from Procore user context
-          project: this.currentProject.id
-        });
+        if (String(projectId) === String(this.projectId)) {
+          const inMemory = this.getDatasetData(name);
+          const updated = this.mergeDataset(record.data, inMemory, outcome.merged);
+          if (JSON.stringify(updated) !== JSON.stringify(inMemory)) {
+            this.setDatasetData(name, updated);
+            this.syncStatus.dataChanged = true;
+          }
+        }
         
+        this.syncStatus.lastError = null;
+        this.syncStatus.lastSynced = new Date();
       } catch (error) {
-        console.error('Error adjusting quantity:', error);
-        this.showError(`Failed to adjust quantity: ${error.message}`);
+        console.warn(`Could not sync ${name} to API, keeping it queued`, error);
+        this.syncStatus.lastError = error.message;
+        if (error instanceof ProcoreNetworkError || error instanceof ProcoreAuthError) {
+          break;
+        }
+      }
+    }
+    
+    // An operation is done once every dataset it touched has reached Procore
+    const done = [];
+    for (const operation of operations) {
+      const remaining = operation.datasets.filter(name => !synced.includes(name));
+      if (remaining.length === 0) {
+        done.push(operation.id);
+      } else if (remaining.length < operation.datasets.length) {
+        await this.store.putOperation({ ...operation, datasets: remaining });
+      }
+    }
+    await this.store.deleteOperations(done);
+  }
+
+  // Three-way merge of a dataset keyed by record ID (lists) or key (maps). A record changed on
+  // only one side takes that side's version; one changed on both keeps this device's version.
+  mergeDataset(base, local, remote) {
+    const isList = Array.isArray(local);
+    const toMap = data => isList
+      ? new Map((data || []).map(record => [String(record.id), record]))
+      : new Map(Object.entries(data || {}));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    
+    const baseMap = toMap(base);
+    const localMap = toMap(local);
+    const remoteMap = remote === null || remote === undefined ? baseMap : toMap(remote);
+    const keys = [...new Set([...localMap.keys(), ...remoteMap.keys()])];
+    
+    const merged = new Map();
+    keys.forEach(key => {
+      const localRecord = localMap.get(key);
+      // Only the server changed it
+      const value = same(localRecord, baseMap.get(key)) ? remoteMap.get(key) : localRecord;
+      if (value !== undefined) {
+        merged.set(key, value);
       }
     });
+    
+    return isList ? [...merged.values()] : Object.fromEntries(merged);
   }
 
-  // Confirm before deleting an item
-  confirmDeleteItem(itemId) {
-    const item = this.inventoryManager.items.find(item => item.id === itemId);
-    if (!item) return;
+  // Whether the server copy of an item has moved on from the copy a local change was made to
+  isStaleItem(base, remote) {
+    if (!base || !remote) return Boolean(base) !== Boolean(remote);
+    if (base.version || remote.version) return base.version !== remote.version;
+    return JSON.stringify(base) !== JSON.stringify(remote); // Saved before items had versions
+  }
+
+  // Write each locally changed item on its own, guarded by its version. Items someone else saved
+  // since this device last saw them become conflicts instead of being overwritten.
+  // Returns { merged, base, conflicts }: the local result, the server state and the held items.
+  async syncInventoryItems(endpoint, record, remote) {
+    const toMap = items => new Map((items || []).map(item => [String(item.id), item]));
+    // Version and author change with every write; they don't make two copies different
+    const sameItem = (a, b) => JSON.stringify(a && { ...a, version: 0, updatedBy: null }) ===
+      JSON.stringify(b && { ...b, version: 0, updatedBy: null });
     
-    if (confirm(`Are you sure you want to delete "${item.manufacturer} ${item.partNumber}"? This cannot be undone.`)) {
-      try {
+    const baseMap = toMap(record.base);
+    const localMap = toMap(record.data);
+    const remoteMap = remote === null ? baseMap : toMap(remote);
+    const keys = [...new Set([...localMap.keys(), ...remoteMap.keys(), ...baseMap.keys()])];
+    
+    const merged = new Map();
+    const base = new Map();
+    const conflicts = [];
+    for (const key of keys) {
+      const baseItem = baseMap.get(key);
+      const localItem = localMap.get(key);
+      let remoteItem = remoteMap.get(key);
+      
+      if (sameItem(localItem, baseItem) || sameItem(localItem, remoteItem)) {
+        // Nothing of ours to write; take the server's copy
+        if (remoteItem) {
+          merged.set(key, remoteItem);
+          base.set(key, remoteItem);
+        }
+        continue;
+      }
+      
+      if (!this.isStaleItem(baseItem, remoteItem)) {
+        try {
+          const written = await this.writeInventoryItem(endpoint, key, localItem, baseItem);
+          if (written) {
+            merged.set(key, written);
+            base.set(key, written);
+          }
+          continue;
+        } catch (error) {
+          if (!(error instanceof ProcoreConflictError)) throw error;
+          // Someone saved it between our read and our write; maybe another tab with the same change
+          remoteItem = await this.fetchInventoryItem(endpoint, key);
+          if (sameItem(localItem, remoteItem)) {
+            if (remoteItem) {
+              merged.set(key, remoteItem);
+              base.set(key, remoteItem);
+            }
+            continue;
+          }
+        }
+      }
+      
+      conflicts.push({ key, local: localItem || null, remote: remoteItem || null }); // null when deleted
+      if (localItem) merged.set(key, localItem);
+      if (baseItem) base.set(key, baseItem);
+    }
+    
+    return { merged: [...merged.values()], base: [...base.values()], conflicts };
+  }
+
+  // Create, update or delete one inventory item, failing with ProcoreConflictError when the
+  // server's version is no longer the one the change was based on
+  async writeInventoryItem(endpoint, key, item, baseItem) {
+    const url = `${endpoint}/${encodeURIComponent(key)}`;
+    const headers = baseItem ? { 'If-Match': `"${baseItem.version || 0}"` } : { 'If-None-Match': '*' };
+    
+    if (!item) {
+      await this.procoreApi.request(url, 'DELETE', null, { headers });
+      return null;
+    }
+    
+    const versioned = {
+      ...item,
+      version: (baseItem ? baseItem.version || 0 : 0) + 1,
+      updatedBy: this.currentUser
+    };
+    const saved = await this.procoreApi.request(url, 'PUT', versioned, { headers });
+    return this.normalizeDataset('inventory', [saved && saved.id ? saved : versioned])[0];
+  }
+
+  // Current server copy of one inventory item, or null when it was deleted
+  async fetchInventoryItem(endpoint, key) {
+    try {
+      const item = await this.procoreApi.request(`${endpoint}/${encodeURIComponent(key)}`);
+      return this.normalizeDataset('inventory', [item])[0];
+    } catch (error) {
+      if (error instanceof ProcoreNotFoundError) return null;
+      throw error;
+    }
+  }
+
+  // Settle inventory conflicts with the user's picks ({ [key]: 'local' | 'remote' }), then sync
+  async resolveConflicts(projectId, choices) {
+    const record = await this.store.getDataset(projectId, 'inventory');
+    const conflicts = (record && record.conflicts) || [];
+    if (conflicts.length === 0) return 0;
+    
+    const toMap = items => new Map(items.map(item => [String(item.id), item]));
+    const data = toMap(record.data);
+    const base = toMap(record.base);
+    conflicts.forEach(conflict => {
+      // The server copy the user saw becomes the base, so keeping ours knowingly replaces it
+      if (conflict.remote) {
+        base.set(conflict.key, conflict.remote);
+      } else {
+        base.delete(conflict.key);
+      }
+      
+      if (choices[conflict.key] === 'remote') {
+        if (conflict.remote) {
+          data.set(conflict.key, conflict.remote);
+        } else {
+          data.delete(conflict.key);
+        }
+      }
+    });
+    
+    const resolved = [...data.values()];
+    await this.store.putDataset(projectId, 'inventory', {
+      ...record,
+      data: resolved,
+      base: [...base.values()],
+      conflicts: [],
+      savedAt: new Date().toISOString()
+    });
+    
+    if (String(projectId) === String(this.projectId)) {
+      this.setDatasetData('inventory', this.mergeDataset(record.data, this.getDatasetData('inventory'), resolved));
+    }
+    this.conflicts = [];
+    
+    await this.updateSyncStatus(projectId);
+    this.syncPendingChanges(projectId);
+    return conflicts.length;
+  }
+
+  // Refresh the pending operation count and tell the UI
+  async updateSyncStatus(projectId) {
+    const operations = await this.store.getOperations(projectId);
+    this.syncStatus.pending = operations.length;
+    this.notifySyncStatus();
+    return this.syncStatus;
+  }
+
+  // Online/offline, queued, syncing and conflict state
+  getSyncStatus() {
+    return {
+      ...this.syncStatus,
+      online: navigator.onLine !== false,
+      conflicts: this.conflicts.length
+    };
+  }
+
+  // Report the sync status to the UI listener
+  notifySyncStatus() {
+    const status = this.getSyncStatus();
+    this.syncStatus.dataChanged = false;
+    
+    if (this.onSyncStatusChange) {
+      this.onSyncStatusChange(status);
+    }
+  }
+
+  // Load the company's classification rules, falling back to the defaults
+  async loadClassificationRules(companyId) {
+    this.classificationRules = new LVClassificationRules();
+    
+    try {
+      const data = await this.procoreApi.request(`/companies/${companyId}/custom_fields/low_voltage_rules`);
+      if (data && Array.isArray(data.rules)) {
+        this.classificationRules = new LVClassificationRules(data);
+      }
+    } catch (error) {
+      console.warn('Could not load classification rules from API, checking local storage', error);
+      
+      const storedRules = localStorage.getItem(`lv_rules_${companyId}`);
+      if (storedRules) {
+        try {
+          this.classificationRules = new LVClassificationRules(JSON.parse(storedRules));
+        } catch (parseError) {
+          console.warn('Stored classification rules are unreadable, using the defaults', parseError);
+        }
+      }
+    }
+    
+    return this.classificationRules;
+  }
+
+  // Validate and save a company's classification rules to API and local storage
+  async saveClassificationRules(companyId, rules) {
+    this.requirePermission('manageSettings');
+    
+    const ruleSet = new LVClassificationRules({ rules });
+    ruleSet.rules.forEach((rule, index) => {
+      const problem = ruleSet.validateRule(rule, this.categories);
+      if (problem) {
+        throw new Error(`Rule ${index + 1}: ${problem}`);
+      }
+    });
+    
+    this.classificationRules = ruleSet;
+    
+    try {
+      await this.procoreApi.request(
+        `/companies/${companyId}/custom_fields/low_voltage_rules`,
+        'PUT',
+        ruleSet.toJSON()
+      );
+    } catch (error) {
+      console.warn('Could not save classification rules to API, saving to local storage', error);
+    }
+    
+    localStorage.setItem(`lv_rules_${companyId}`, JSON.stringify(ruleSet.toJSON()));
+    
+    return ruleSet;
+  }
+
+  // Capture the quantities of an item before/after a change
+  snapshotQuantities(item) {
+    return {
+      available: item.quantityAvailable,
+      allocated: item.quantityAllocated
+    };
+  }
+
+  // Append an entry to the transaction ledger
+  // details: { quantityChange, changes, notes, source, reference, location, toLocation }
+  recordTransaction(type, item, before, after, details = {}) {
+    const empty = { available: 0, allocated: 0 };
+    before = before || empty;
+    after = after || empty;
+    
+    const transaction = new LVInventoryTransaction({
+      id: this.generateId(),
+      projectId: item.projectId,
+      itemId: item.id,
+      itemLabel: `${item.manufacturer} ${item.partNumber || item.description}`.trim(),
+      type,
+      source: details.source,
+      location: details.location,
+      toLocation: details.toLocation,
+      reference: details.reference ? String(details.reference) : '',
+      quantityChange: details.quantityChange !== undefined
+        ? details.quantityChange
+        : after.available - before.available,
+      enteredQuantity: details.enteredQuantity,
+      enteredUnit: details.enteredUnit,
+      availableBefore: before.available,
+      availableAfter: after.available,
+      allocatedBefore: before.allocated,
+      allocatedAfter: after.allocated,
+      changes: details.changes,
+      notes: details.notes,
+      userId: this.currentUser ? this.currentUser.id : null,
+      userName: this.currentUser ? this.currentUser.name : undefined,
+      timestamp: new Date()
+    });
+    
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  // Get the ledger entries for an item, newest first
+  getItemHistory(itemId) {
+    return this.transactions
+      .filter(transaction => transaction.itemId === itemId)
+      .reverse()
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Add a new inventory item
+  addItem(itemData, details = {}) {
+    // Receiving may add an item for unmatched material; everything else is an item edit
+    this.requirePermission(details.source === 'receiving' ? 'adjustStock' : 'editItem');
+    
+    // Bulk imports and PO syncs create many items per millisecond; IDs in the trash stay taken too
+    let id = this.generateId();
+    while ([...this.items, ...this.deletedItems].some(item => item.id === id)) {
+      id = this.generateId();
+    }
+    
+    const newItem = new LVInventoryItem({
+      ...itemData,
+      id,
+      createdAt: new Date(),
+      lastUpdated: new Date()
+    });
+    
+    this.items.push(newItem);
+    this.recordTransaction('create', newItem, null, this.snapshotQuantities(newItem), details);
+    this.rememberChange('addition', null, newItem);
+    return newItem;
+  }
+
+  // Update an existing inventory item
+  updateItem(itemId, updates, details = {}) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    
+    const previousItem = this.items[index];
+    this.requirePermission('editItem', previousItem);
+    const previousData = previousItem.toJSON();
+    const { quantityAvailable, quantityAllocated, ...fieldUpdates } = updates;
+    const updatedItem = new LVInventoryItem({
+      ...previousData,
+      ...fieldUpdates,
+      lastUpdated: new Date()
+    });
+    
+    // Renaming the location of single-location stock moves that stock with it
+    const previousLocations = Object.keys(previousItem.stockByLocation);
+    if (fieldUpdates.location !== undefined &&
+        updatedItem.defaultLocation !== previousItem.defaultLocation &&
+        previousLocations.length === 1 && previousLocations[0] === previousItem.defaultLocation) {
+      updatedItem.stockByLocation = {
+        [updatedItem.defaultLocation]: { ...previousItem.stockByLocation[previousItem.defaultLocation] }
+      };
+    }
+    
+    // Edited totals are reconciled at the default location
+    const defaultStock = updatedItem.getLocationStock(updatedItem.defaultLocation, true);
+    if (quantityAvailable !== undefined) {
+      defaultStock.available += quantityAvailable - updatedItem.quantityAvailable;
+    }
+    if (quantityAllocated !== undefined) {
+      defaultStock.allocated += quantityAllocated - updatedItem.quantityAllocated;
+    }
+    if (defaultStock.available < 0 || defaultStock.allocated < 0) {
+      throw new Error(`Not enough stock at ${updatedItem.defaultLocation} for that change; adjust or transfer stock at the other locations instead`);
+    }
+    updatedItem.pruneEmptyLocations();
+    
+    // Record only the fields that actually changed
+    const updatedData = updatedItem.toJSON();
+    const changes = {};
+    Object.keys(updates).forEach(field => {
+      if (field === 'lastUpdated' || field === 'quantityAvailable' || field === 'quantityAllocated') return;
+      if (JSON.stringify(previousData[field]) !== JSON.stringify(updatedData[field])) {
+        changes[field] = { from: previousData[field], to: updatedData[field] };
+      }
+    });
+    if (changes.cost || changes.lastCost) {
+      this.requirePermission('editCost', previousItem);
+    }
+    
+    this.items[index] = updatedItem;
+    this.recordTransaction(
+      'update',
+      updatedItem,
+      this.snapshotQuantities(previousItem),
+      this.snapshotQuantities(updatedItem),
+      { ...details, changes }
+    );
+    this.rememberChange('edit', previousData, updatedItem);
+    return updatedItem;
+  }
+
+  // Move an inventory item to the trash. It keeps its stock and history and can be restored until purged.
+  deleteItem(itemId, details = {}) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    this.requirePermission('deleteItem', this.items[index]);
+    
+    const previousData = JSON.parse(JSON.stringify(this.items[index]));
+    const deletedItem = this.moveToTrash(index, details);
+    this.rememberChange('deletion', previousData, deletedItem);
+    return true;
+  }
+
+  // Move the item at an index of this.items to the trash and record it in the ledger
+  moveToTrash(index, details = {}) {
+    const [deletedItem] = this.items.splice(index, 1);
+    deletedItem.deletedAt = new Date();
+    deletedItem.deletedBy = this.currentUser ? { ...this.currentUser } : null;
+    this.deletedItems.push(deletedItem);
+    
+    this.recordTransaction('delete', deletedItem, this.snapshotQuantities(deletedItem), null, details);
+    return deletedItem;
+  }
+
+  // Items in the trash, most recently deleted first
+  getDeletedItems() {
+    return [...this.deletedItems].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  // Bring an item back from the trash with the stock it had when it was deleted
+  restoreItem(itemId, details = {}) {
+    const index = this.deletedItems.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Item with ID ${itemId} is not in the trash`);
+    }
+    this.requirePermission('deleteItem', this.deletedItems[index]);
+    
+    const [item] = this.deletedItems.splice(index, 1);
+    item.deletedAt = null;
+    item.deletedBy = null;
+    item.lastUpdated = new Date();
+    this.items.push(item);
+    
+    this.recordTransaction('restore', item, null, this.snapshotQuantities(item), details);
+    return item;
+  }
+
+  // Remove an item from the trash for good. Its ledger entries are kept.
+  purgeItem(itemId, details = {}) {
+    const index = this.deletedItems.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Item with ID ${itemId} is not in the trash`);
+    }
+    this.requirePermission('deleteItem', this.deletedItems[index]);
+    
+    const [item] = this.deletedItems.splice(index, 1);
+    this.recordTransaction('purge', item, null, null, details);
+    return true;
+  }
+
+  // Remember an item's state before and after the latest add, edit, adjustment or deletion so
+  // it can be undone. Only the latest change is kept; any newer one replaces it.
+  rememberChange(label, previousData, item) {
+    this.lastChange = {
+      id: this.generateId(),
+      label, // addition, edit, adjustment or deletion
+      itemId: item.id,
+      itemLabel: `${item.manufacturer} ${item.partNumber || item.description}`.trim(),
+      before: previousData, // null for an addition
+      after: JSON.parse(JSON.stringify(item))
+    };
+    return this.lastChange;
+  }
+
+  // Put the item touched by the latest change back the way it was. changeId must match that
+  // change, so an old undo button can't reverse something newer.
+  undoChange(changeId) {
+    const change = this.lastChange;
+    if (!change || change.id !== changeId) {
+      throw new Error('Only the most recent change can be undone, and a newer change has been made since');
+    }
+    
+    // Version and author are bumped by syncing, which doesn't count as a change here
+    const comparable = data => JSON.stringify(data && { ...data, version: 0, updatedBy: null });
+    const list = [this.items, this.deletedItems].find(items => items.some(item => item.id === change.itemId));
+    const current = list ? list.find(item => item.id === change.itemId) : null;
+    if (!current || comparable(JSON.parse(JSON.stringify(current))) !== comparable(change.after)) {
+      throw new Error(`${change.itemLabel} has changed since the ${change.label}, so it can't be undone`);
+    }
+    
+    // Undoing needs the same permission as the change being undone
+    const actions = { addition: 'editItem', edit: 'editItem', adjustment: 'adjustStock', deletion: 'deleteItem' };
+    this.requirePermission(actions[change.label], current);
+    
+    // An undone addition goes to the trash, so it can still be restored
+    if (!change.before) {
+      this.moveToTrash(this.items.indexOf(current), { notes: `Undid ${change.label}` });
+      this.lastChange = null;
+      return change;
+    }
+    
+    if (change.label === 'edit' && (change.before.cost !== change.after.cost || change.before.lastCost !== change.after.lastCost)) {
+      this.requirePermission('editCost', current);
+    }
+    
+    const restored = new LVInventoryItem({
+      ...change.before,
+      version: current.version,
+      updatedBy: current.updatedBy,
+      lastUpdated: new Date()
+    });
+    
+    // Edits and adjustments keep the item's place in the list
+    const index = list.indexOf(current);
+    list.splice(index, 1);
+    const target = restored.deletedAt ? this.deletedItems : this.items;
+    target.splice(target === list ? index : target.length, 0, restored);
+    
+    this.recordTransaction(
+      'undo',
+      restored,
+      current.deletedAt ? null : this.snapshotQuantities(current),
+      this.snapshotQuantities(restored),
+      { notes: `Undid ${change.label}` }
+    );
+    this.lastChange = null;
+    return change;
+  }
+
+  // Adjust quantity (add or remove)
+  // details: { location, notes, source, reference, unit } - location defaults to the item's default
+  // location; a unit other than the stock unit (e.g. the purchase unit) is converted first
+  adjustQuantity(itemId, quantityChange, isAllocation = false, details = {}) {
+    const item = this.items.find(item => item.id === itemId);
+    if (!item) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    this.requirePermission('adjustStock', item);
+    
+    if (details.unit && details.unit !== item.unitOfMeasure) {
+      details = { ...details, enteredQuantity: quantityChange, enteredUnit: details.unit };
+      quantityChange = this.convertQuantity(item, quantityChange, details.unit);
+    }
+    
+    const location = details.location || item.defaultLocation;
+    const previousData = JSON.parse(JSON.stringify(item));
+    const before = this.snapshotQuantities(item);
+    const stock = item.getLocationStock(location, true);
+    
+    if (isAllocation) {
+      // Moving between available and allocated
+      if (quantityChange > 0 && stock.available < quantityChange) {
+        item.pruneEmptyLocations();
+        throw new Error(`Cannot allocate more than available quantity at ${location}`);
+      }
+      if (quantityChange < 0 && stock.allocated < -quantityChange) {
+        item.pruneEmptyLocations();
+        throw new Error(`Cannot return more than allocated quantity at ${location}`);
+      }
+      
+      stock.available -= quantityChange;
+      stock.allocated += quantityChange;
+    } else {
+      // Adding or removing from available inventory. Removals stop at zero, and the ledger
+      // records what was actually removed rather than what was asked for.
+      const previousAvailable = stock.available;
+      stock.available = Math.max(stock.available + quantityChange, 0);
+      if (stock.available === 0 && previousAvailable + quantityChange < 0) {
+        quantityChange = -previousAvailable;
+        if (details.enteredUnit) {
+          const { enteredQuantity, enteredUnit, ...rest } = details;
+          details = rest;
+        }
+      }
+    }
+    
+    item.pruneEmptyLocations();
+    item.lastUpdated = new Date();
+    
+    let type;
+    if (isAllocation) {
+      type = quantityChange > 0 ? 'allocate' : 'deallocate';
+    } else {
+      type = quantityChange > 0 ? 'add' : 'remove';
+    }
+    this.recordTransaction(type, item, before, this.snapshotQuantities(item), {
+      ...details,
+      location,
+      quantityChange
+    });
+    this.rememberChange('adjustment', previousData, item);
+    
+    return item;
+  }
+
+  // Move stock of an item from one location to another
+  // details: { bucket: 'available' | 'allocated', notes, source, reference }
+  transferStock(itemId, fromLocation, toLocation, quantity, details = {}) {
+    const item = this.items.find(item => item.id === itemId);
+    if (!item) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    this.requirePermission('adjustStock', item);
+    
+    const bucket = details.bucket === 'allocated' ? 'allocated' : 'available';
+    
+    if (!fromLocation || !toLocation) {
+      throw new Error('Both a source and a destination location are required');
+    }
+    if (fromLocation === toLocation) {
+      throw new Error('Source and destination locations must be different');
+    }
+    if (!(quantity > 0)) {
+      throw new Error('Transfer quantity must be greater than zero');
+    }
+    
+    const fromStock = item.getLocationStock(fromLocation);
+    if (fromStock[bucket] < quantity) {
+      throw new Error(`Only ${fromStock[bucket]} ${item.unitOfMeasure} ${bucket} at ${fromLocation}`);
+    }
+    
+    const before = this.snapshotQuantities(item);
+    
+    item.getLocationStock(fromLocation, true)[bucket] -= quantity;
+    item.getLocationStock(toLocation, true)[bucket] += quantity;
+    item.pruneEmptyLocations();
+    item.lastUpdated = new Date();
+    
+    this.recordTransaction('transfer', item, before, this.snapshotQuantities(item), {
+      ...details,
+      location: fromLocation,
+      toLocation,
+      quantityChange: quantity
+    });
+    
+    return item;
+  }
+
+  // Stock units in one of the given unit for an item, or null when the units are unrelated
+  getUnitFactor(item, unit) {
+    if (!unit || unit === item.unitOfMeasure) return 1;
+    if (unit === item.purchaseUnit) return item.purchaseFactor;
+    if (unit === item.issueUnit) return item.issueFactor;
+    
+    const length = this.lengthUnits[unit];
+    const stockLength = this.lengthUnits[item.unitOfMeasure];
+    if (length && stockLength) return length / stockLength;
+    
+    return null;
+  }
+
+  // Convert a quantity of an item between units (to the stock unit by default)
+  convertQuantity(item, quantity, fromUnit, toUnit = item.unitOfMeasure) {
+    const fromFactor = this.getUnitFactor(item, fromUnit);
+    const toFactor = this.getUnitFactor(item, toUnit);
+    
+    if (fromFactor === null || toFactor === null) {
+      const unknown = fromFactor === null ? fromUnit : toUnit;
+      const label = `${item.manufacturer} ${item.partNumber || item.description}`.trim();
+      throw new Error(`${label} has no conversion between ${unknown} and ${item.unitOfMeasure}; set its purchase or issue unit`);
+    }
+    
+    // Round away floating point noise from factors like 0.3048
+    return Math.round(quantity * fromFactor / toFactor * 1000) / 1000;
+  }
+
+  // Units a quantity of this item can be entered in, stock unit first
+  getItemUnits(item) {
+    const units = [item.unitOfMeasure, item.issueUnit, item.purchaseUnit];
+    if (this.lengthUnits[item.unitOfMeasure]) {
+      units.push(...Object.keys(this.lengthUnits));
+    }
+    return [...new Set(units.filter(Boolean))];
+  }
+
+  // Whole purchase units needed to cover a stock quantity, e.g. 1500 Feet -> 2 Box
+  toPurchaseQuantity(item, quantity) {
+    if (!item.purchaseUnit || item.purchaseUnit === item.unitOfMeasure) {
+      return { quantity, unit: item.unitOfMeasure };
+    }
+    return {
+      quantity: Math.ceil(Math.round(quantity / item.purchaseFactor * 1000) / 1000),
+      unit: item.purchaseUnit
+    };
+  }
+
+  // Find a pack size in a description, e.g. "1000' box" or "bag of 100"
+  parsePackSize(description) {
+    const text = String(description || '');
+    const number = value => Number(value.replace(/,/g, ''));
+    let match;
+    
+    if ((match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:'|ft\b|feet\b|foot\b|lf\b)/i))) {
+      return { quantity: number(match[1]), unit: 'Feet' };
+    }
+    if ((match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(?:m|meters?|metres?)\b/i))) {
+      return { quantity: number(match[1]), unit: 'Meter' };
+    }
+    if ((match = text.match(/\b(?:bag|box|pack|pk|case)\s+of\s+(\d[\d,]*)/i)) ||
+        (match = text.match(/(\d[\d,]*)\s*(?:\/|per\s+)(?:bag|box|pack|pk|case)\b/i)) ||
+        (match = text.match(/(\d[\d,]*)\s*(?:pcs|pc|pieces|count|ct|pk|pack)\b/i))) {
+      return { quantity: number(match[1]), unit: 'Each' };
+    }
+    
+    return null;
+  }
+
+  // Register a cable reel on an item, optionally adding its footage to stock at the reel's location
+  // reelData: { id, startingLength, startMark, markDirection, location, notes, addToStock }
+  addReel(itemId, reelData) {
+    const item = this.items.find(item => item.id === itemId);
+    if (!item) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    this.requirePermission('adjustStock', item);
+    
+    const reelId = String(reelData.id || '').trim();
+    if (!reelId) {
+      throw new Error('A reel ID is required');
+    }
+    if (item.reels.some(reel => reel.id.toLowerCase() === reelId.toLowerCase())) {
+      throw new Error(`Reel ${reelId} already exists for this item`);
+    }
+    if (!(reelData.startingLength > 0)) {
+      throw new Error('Starting length must be greater than zero');
+    }
+    
+    const reel = new LVCableReel({
+      ...reelData,
+      id: reelId,
+      location: reelData.location || item.defaultLocation,
+      createdAt: new Date()
+    });
+    
+    if (reelData.addToStock) {
+      this.adjustQuantity(itemId, reel.startingLength, false, {
+        location: reel.location,
+        reference: `Reel ${reel.id}`,
+        notes: 'New reel received'
+      });
+    }
+    
+    item.reels.push(reel);
+    item.lastUpdated = new Date();
+    
+    // A reel whose footage is already counted in stock still gets a ledger entry of its own
+    if (!reelData.addToStock) {
+      const quantities = this.snapshotQuantities(item);
+      this.recordTransaction('update', item, quantities, quantities, {
+        location: reel.location,
+        reference: `Reel ${reel.id}`,
+        notes: `Reel registered with ${reel.startingLength} ${item.unitOfMeasure}; footage already in stock`
+      });
+    }
+    
+    return reel;
+  }
+
+  // Log a pull from a reel between two footage marks and remove that length from stock.
+  // pullData: { startMark, endMark, destination, notes }
+  recordReelPull(itemId, reelId, pullData) {
+    const item = this.items.find(item => item.id === itemId);
+    if (!item) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    this.requirePermission('adjustStock', item);
+    
+    const reel = item.reels.find(reel => reel.id === reelId);
+    if (!reel) {
+      throw new Error(`Reel ${reelId} not found`);
+    }
+    
+    const { startMark, endMark } = pullData;
+    if (!Number.isFinite(startMark) || !Number.isFinite(endMark)) {
+      throw new Error('Start and end footage marks are required');
+    }
+    
+    const direction = reel.markDirection === 'up' ? 'increase' : 'decrease';
+    const length = reel.lengthBetween(startMark, endMark);
+    if (length === null) {
+      throw new Error(`Footage marks on reel ${reel.id} ${direction} as cable is pulled, so the end mark must be past the start mark`);
+    }
+    
+    // Cable between the last logged mark and this pull's start was used without being logged
+    const skippedLength = reel.lengthBetween(reel.currentMark, startMark);
+    if (skippedLength === null) {
+      throw new Error(`Start mark ${startMark} is before the current end of reel ${reel.id} (${reel.currentMark})`);
+    }
+    
+    const consumed = skippedLength + length;
+    if (consumed > reel.remainingLength) {
+      throw new Error(`Reel ${reel.id} only has ${reel.remainingLength} ${item.unitOfMeasure} left (marks end at ${reel.endOfReelMark})`);
+    }
+    
+    const stock = item.getLocationStock(reel.location);
+    if (stock.available < consumed) {
+      throw new Error(`Only ${stock.available} ${item.unitOfMeasure} available at ${reel.location}; check that reel ${reel.id} is recorded at the right location`);
+    }
+    
+    const destination = String(pullData.destination || '').trim();
+    this.adjustQuantity(itemId, -consumed, false, {
+      location: reel.location,
+      reference: `Reel ${reel.id}`,
+      notes: [
+        `Pull ${startMark}-${endMark}${destination ? ` to ${destination}` : ''}`,
+        skippedLength > 0 ? `${skippedLength} ${item.unitOfMeasure} unlogged since mark ${reel.currentMark}` : '',
+        pullData.notes || ''
+      ].filter(Boolean).join('; ')
+    });
+    
+    const pull = {
+      id: this.generateId(),
+      startMark,
+      endMark,
+      length,
+      skippedLength,
+      destination,
+      notes: pullData.notes || '',
+      userName: this.currentUser ? this.currentUser.name : 'Unknown User',
+      timestamp: new Date()
+    };
+    reel.pulls.push(pull);
+    
+    return pull;
+  }
+
+  // Reels of an item that are long enough for a planned run, best fit (least leftover) first,
+  // followed by the reels that are too short
+  findReelsForRun(itemId, runLength) {
+    const item = this.items.find(item => item.id === itemId);
+    if (!item) {
+      throw new Error(`Item with ID ${itemId} not found`);
+    }
+    
+    const candidates = item.reels.filter(reel => !reel.isEmpty);
+    const byRemaining = (a, b) => a.remainingLength - b.remainingLength;
+    
+    return {
+      suitable: candidates.filter(reel => reel.canCover(runLength)).sort(byRemaining),
+      tooShort: candidates.filter(reel => !reel.canCover(runLength)).sort(byRemaining)
+    };
+  }
+
+  // Check a kit definition; returns a problem to show the user, or null when it is valid
+  validateKit(kit) {
+    if (!kit.name.trim()) {
+      return 'A kit name is required';
+    }
+    if (kit.components.length === 0) {
+      return 'Add at least one component';
+    }
+    
+    const seen = new Set();
+    for (const component of kit.components) {
+      const item = this.items.find(item => item.id === component.itemId);
+      if (!item) {
+        return 'Every component must be an item in the inventory';
+      }
+      const label = `${item.manufacturer} ${item.partNumber || item.description}`.trim();
+      if (seen.has(item.id)) {
+        return `${label} is listed more than once`;
+      }
+      if (!(component.quantity > 0)) {
+        return `Enter a quantity for ${label}`;
+      }
+      seen.add(item.id);
+    }
+    
+    return null;
+  }
+
+  // Add a kit definition
+  addKit(kitData) {
+    this.requirePermission('editItem');
+    
+    const kit = new LVKit({
+      ...kitData,
+      id: this.generateId(),
+      createdAt: new Date(),
+      lastUpdated: new Date()
+    });
+    const problem = this.validateKit(kit);
+    if (problem) {
+      throw new Error(problem);
+    }
+    
+    this.kits.push(kit);
+    return kit;
+  }
+
+  // Update a kit's name, description or components
+  updateKit(kitId, updates) {
+    const index = this.kits.findIndex(kit => kit.id === kitId);
+    if (index === -1) {
+      throw new Error(`Kit with ID ${kitId} not found`);
+    }
+    this.requirePermission('editItem');
+    
+    const kit = new LVKit({
+      ...this.kits[index].toJSON(),
+      ...updates,
+      lastUpdated: new Date()
+    });
+    const problem = this.validateKit(kit);
+    if (problem) {
+      throw new Error(problem);
+    }
+    
+    this.kits[index] = kit;
+    return kit;
+  }
+
+  // Delete a kit definition; its components are untouched
+  deleteKit(kitId) {
+    const index = this.kits.findIndex(kit => kit.id === kitId);
+    if (index === -1) {
+      throw new Error(`Kit with ID ${kitId} not found`);
+    }
+    this.requirePermission('editItem');
+    
+    this.kits.splice(index, 1);
+    return true;
+  }
+
+  // How many complete kits available stock can build, at one location or across all of them.
+  // bucket 'allocated' counts stock already allocated instead, for issuing allocated kits.
+  // Returns { buildable, components: [{ itemId, quantity, item, available, buildable }] };
+  // item is null when the component's item has been deleted since the kit was defined.
+  getKitAvailability(kit, location = '', bucket = 'available') {
+    const components = kit.components.map(component => {
+      const item = this.items.find(item => item.id === component.itemId) || null;
+      let available = 0;
+      if (item && location) {
+        available = item.getLocationStock(location)[bucket];
+      } else if (item) {
+        available = bucket === 'allocated' ? item.quantityAllocated : item.quantityAvailable;
+      }
+      
+      return {
+        ...component,
+        item,
+        available,
+        // Allow for rounding in fractional quantities, e.g. 0.3 / 0.1
+        buildable: Math.floor(available / component.quantity + 1e-9)
+      };
+    });
+    
+    return {
+      buildable: components.length > 0 ? Math.min(...components.map(component => component.buildable)) : 0,
+      components
+    };
+  }
+
+  // Components without enough available (or allocated) stock for a number of kits
+  // Returns [{ itemId, item, required, available, shortage }]
+  getKitShortages(kit, count, location = '', bucket = 'available') {
+    return this.getKitAvailability(kit, location, bucket).components
+      .map(component => {
+        const required = Math.round(component.quantity * count * 10000) / 10000;
+        return {
+          itemId: component.itemId,
+          item: component.item,
+          required,
+          available: component.available,
+          shortage: Math.max(Math.round((required - component.available) * 10000) / 10000, 0)
+        };
+      })
+      .filter(component => component.shortage > 0);
+  }
+
+  // Allocate or issue a number of kits in one action, adjusting every component through
+  // adjustQuantity at one location. Nothing changes when any component is short.
+  // options: { mode: 'allocate' | 'issue' | 'issueAllocated', location, notes, reference } -
+  // issueAllocated issues kits allocated earlier, taking the components out of allocated stock
+  // rather than available stock
+  issueKit(kitId, count, options = {}) {
+    const kit = this.kits.find(kit => kit.id === kitId);
+    if (!kit) {
+      throw new Error(`Kit with ID ${kitId} not found`);
+    }
+    this.requirePermission('adjustStock');
+    
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('Enter a whole number of kits');
+    }
+    const location = String(options.location || '').trim();
+    if (!location) {
+      throw new Error('Choose the location the kits come from');
+    }
+    if (kit.components.some(component => !this.items.some(item => item.id === component.itemId))) {
+      throw new Error(`${kit.name} includes an item that has been deleted; edit the kit first`);
+    }
+    
+    const mode = ['allocate', 'issueAllocated'].includes(options.mode) ? options.mode : 'issue';
+    const bucket = mode === 'issueAllocated' ? 'allocated' : 'available';
+    const shortages = this.getKitShortages(kit, count, location, bucket);
+    if (shortages.length > 0) {
+      const missing = shortages
+        .map(({ item, shortage }) => `${item.manufacturer} ${item.partNumber || item.description} short ${shortage} ${item.unitOfMeasure}`)
+        .join('; ');
+      throw new Error(`Not enough ${bucket} stock at ${location} for ${count} x ${kit.name}: ${missing}`);
+    }
+    
+    const details = {
+      source: 'kit',
+      location,
+      reference: options.reference,
+      notes: `${count} x ${kit.name}${options.notes ? ` - ${options.notes}` : ''}`
+    };
+    kit.components.forEach(component => {
+      const quantity = Math.round(component.quantity * count * 10000) / 10000;
+      if (mode === 'allocate') {
+        this.adjustQuantity(component.itemId, quantity, true, details);
+        return;
+      }
+      if (mode === 'issueAllocated') {
+        // Release the allocation, then take the same stock out
+        this.adjustQuantity(component.itemId, -quantity, true, details);
+      }
+      this.adjustQuantity(component.itemId, -quantity, false, details);
+    });
+    
+    // The kit went out as one action; undo would only reverse its last component
+    this.lastChange = null;
+    
+    return { kit, count, location, mode };
+  }
+
+  // Get every location known to this project's inventory
+  getLocations() {
+    const locations = new Set();
+    this.items.forEach(item => {
+      if (item.location) locations.add(item.location);
+      Object.keys(item.stockByLocation).forEach(location => locations.add(location));
+    });
+    return Array.from(locations).sort((a, b) => a.localeCompare(b));
+  }
+
+  // Summarize stock and value held at each location
+  getLocationTotals(items = this.items) {
+    const totals = {};
+    items.forEach(item => {
+      Object.entries(item.stockByLocation).forEach(([location, stock]) => {
+        if (stock.available === 0 && stock.allocated === 0) return;
+        
+        totals[location] = totals[location] || { itemCount: 0, available: 0, allocated: 0, value: 0 };
+        totals[location].itemCount++;
+        totals[location].available += stock.available;
+        totals[location].allocated += stock.allocated;
+        totals[location].value += item.cost * (stock.available + stock.allocated);
+      });
+    });
+    return totals;
+  }
+
+  // Text encoded in an item's barcode/QR label
+  getLabelPayload(item) {
+    return `LVI:${item.id}|${item.partNumber}`;
+  }
+
+  // Compare part numbers regardless of case, spaces, dashes and other punctuation
+  normalizePartNumber(partNumber) {
+    return String(partNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Find the item for a scanned label, falling back to manufacturer barcodes that hold a part number
+  findItemByCode(code) {
+    const value = String(code || '').trim();
+    if (!value) return null;
+    
+    let partNumber = value;
+    const label = value.match(/^LVI:([^|]*)\|?(.*)$/i);
+    if (label) {
+      const item = this.items.find(item => item.id === label[1]);
+      if (item) return item;
+      partNumber = label[2];
+    }
+    
+    const normalized = this.normalizePartNumber(partNumber);
+    if (!normalized) return null;
+    return this.items.find(item => this.normalizePartNumber(item.partNumber) === normalized) || null;
+  }
+
+  // Get items that need reordering
+  getItemsNeedingReorder() {
+    return this.items.filter(item => item.needsReorder);
+  }
+
+  // Search items by various criteria
+  searchItems(criteria = {}) {
+    return this.items.filter(item => {
+      for (const [key, value] of Object.entries(criteria)) {
+        if (!item[key] || !item[key].toString().toLowerCase().includes(value.toLowerCase())) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  // Generate inventory reports
+  generateInventoryReport(filters = {}) {
+    // Filter items based on provided filters
+    let reportItems = this.items;
+    
+    if (Object.keys(filters).length > 0) {
+      reportItems = this.searchItems(filters);
+    }
+    
+    // Calculate summary statistics
+    const totalItems = reportItems.length;
+    const totalValue = reportItems.reduce((sum, item) => 
+      sum + (item.cost * item.totalQuantity), 0);
+    const lowStockItems = reportItems.filter(item => item.needsReorder).length;
+    
+    // Group by category
+    const byCategory = {};
+    reportItems.forEach(item => {
+      byCategory[item.category] = byCategory[item.category] || { count: 0, value: 0 };
+      byCategory[item.category].count++;
+      byCategory[item.category].value += (item.cost * item.totalQuantity);
+    });
+    
+    // Group by location
+    const byLocation = this.getLocationTotals(reportItems);
+    
+    return {
+      includesCost: this.can('viewCost'), // Values are left out of the displayed report otherwise
+      totalItems,
+      totalValue,
+      lowStockItems,
+      byCategory,
+      byLocation,
+      reorderItems: reportItems.filter(item => item.needsReorder).map(item => {
+        const order = this.toPurchaseQuantity(item, item.reorderQuantity);
+        return { ...item.toJSON(), orderQuantity: order.quantity, orderUnit: order.unit };
+      }),
+      items: reportItems.map(item => item.toJSON())
+    };
+  }
+
+  // Reorder lines grouped by vendor, in purchase units at the last known cost.
+  // Returns [{ vendor, vendorId, lines: [{ itemId, manufacturer, partNumber, description, quantity, unit, unitCost }] }]
+  buildRequisition(items = this.getItemsNeedingReorder()) {
+    const groups = new Map();
+    
+    items.forEach(item => {
+      // Without a reorder quantity, order enough to get back to the threshold
+      const needed = item.reorderQuantity > 0
+        ? item.reorderQuantity
+        : Math.max(item.reorderThreshold - item.quantityAvailable, 1);
+      const order = this.toPurchaseQuantity(item, needed);
+      const stockPerUnit = order.unit === item.unitOfMeasure ? 1 : item.purchaseFactor;
+      
+      const vendor = item.vendor || '';
+      if (!groups.has(vendor)) {
+        groups.set(vendor, { vendor, vendorId: null, lines: [] });
+      }
+      const group = groups.get(vendor);
+      group.vendorId = group.vendorId || item.vendorId || null;
+      group.lines.push({
+        itemId: item.id,
+        manufacturer: item.manufacturer,
+        partNumber: item.partNumber,
+        description: item.description,
+        quantity: order.quantity,
+        unit: order.unit,
+        unitCost: Math.round((item.lastCost || item.cost) * stockPerUnit * 100) / 100
+      });
+    });
+    
+    // Named vendors alphabetically, items with no vendor last
+    return [...groups.values()].sort((a, b) => {
+      if (!a.vendor || !b.vendor) return a.vendor ? -1 : 1;
+      return a.vendor.localeCompare(b.vendor);
+    });
+  }
+
+  // PO request file for requisition groups, for buyers to key in when Procore can't be reached
+  exportRequisitionToCSV(groups) {
+    const rows = [['Vendor', 'Manufacturer', 'Part Number', 'Description', 'Quantity', 'Unit', 'Unit Cost', 'Amount']];
+    groups.forEach(group => {
+      group.lines.forEach(line => {
+        rows.push([
+          group.vendor || 'Vendor not set',
+          line.manufacturer,
+          line.partNumber,
+          line.description,
+          line.quantity,
+          line.unit,
+          line.unitCost.toFixed(2),
+          (line.quantity * line.unitCost).toFixed(2)
+        ]);
+      });
+    });
+    return CSVFormat.stringify(rows);
+  }
+
+  // Inventory fields that can be imported, with the (normalized) column headers that map to them
+  getImportFields() {
+    return [
+      { field: 'id', label: 'ID', type: 'text', headers: ['id', 'itemid'] },
+      { field: 'category', label: 'Category', type: 'category', headers: ['category'] },
+      { field: 'subCategory', label: 'Sub-Category', type: 'text', headers: ['subcategory'] },
+      { field: 'manufacturer', label: 'Manufacturer', type: 'text', headers: ['manufacturer', 'mfr', 'mfg', 'make', 'brand'] },
+      { field: 'partNumber', label: 'Part Number', type: 'text', headers: ['partnumber', 'part', 'partno', 'sku', 'model', 'catalognumber'] },
+      { field: 'description', label: 'Description', type: 'text', headers: ['description', 'desc', 'itemdescription'] },
+      { field: 'unitOfMeasure', label: 'Unit', type: 'unit', headers: ['unit', 'uom', 'unitofmeasure', 'units', 'stockunit'] },
+      { field: 'purchaseUnit', label: 'Purchase Unit', type: 'unit', headers: ['purchaseunit', 'buyunit'] },
+      { field: 'purchaseFactor', label: 'Stock Units per Purchase Unit', type: 'number', headers: ['stockunitsperpurchaseunit', 'purchasefactor', 'packsize'] },
+      { field: 'issueUnit', label: 'Issue Unit', type: 'unit', headers: ['issueunit'] },
+      { field: 'issueFactor', label: 'Stock Units per Issue Unit', type: 'number', headers: ['stockunitsperissueunit', 'issuefactor'] },
+      { field: 'quantityAvailable', label: 'Quantity Available', type: 'number', headers: ['quantityavailable', 'available', 'qtyavailable', 'quantity', 'qty', 'onhand'] },
+      { field: 'quantityAllocated', label: 'Quantity Allocated', type: 'number', headers: ['quantityallocated', 'allocated', 'qtyallocated'] },
+      { field: 'reorderThreshold', label: 'Reorder Threshold', type: 'number', headers: ['reorderthreshold', 'reorderpoint', 'minimum', 'min'] },
+      { field: 'reorderQuantity', label: 'Reorder Quantity', type: 'number', headers: ['reorderquantity', 'reorderqty'] },
+      { field: 'location', label: 'Location', type: 'text', headers: ['location', 'storagelocation', 'bin'] },
+      { field: 'cost', label: 'Cost', type: 'number', headers: ['cost', 'unitcost', 'costperunit', 'price', 'unitprice'] },
+      { field: 'vendor', label: 'Vendor', type: 'text', headers: ['vendor', 'supplier', 'distributor'] }
+    ];
+  }
+
+  // Guess the field for each CSV column from its header
+  autoMapColumns(headers) {
+    const fields = this.getImportFields();
+    const used = new Set();
+    
+    return headers.map(header => {
+      const normalized = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+      const match = fields.find(def => !used.has(def.field) && def.headers.includes(normalized));
+      if (!match) return '';
+      used.add(match.field);
+      return match.field;
+    });
+  }
+
+  // Match free-text units such as "ea" or "ft" to unitOptions
+  normalizeUnit(value) {
+    const unit = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+    const aliases = {
+      ea: 'Each', pc: 'Each', pcs: 'Each', piece: 'Each',
+      bx: 'Box', boxes: 'Box',
+      bg: 'Bag', bags: 'Bag',
+      ft: 'Feet', foot: 'Feet', lf: 'Feet',
+      m: 'Meter', meters: 'Meter', metre: 'Meter',
+      rl: 'Roll', rolls: 'Roll',
+      pr: 'Pair', pairs: 'Pair',
+      sets: 'Set', lots: 'Lot'
+    };
+    return this.unitOptions.find(option => option.toLowerCase() === unit) || aliases[unit] || null;
+  }
+
+  // Convert one CSV row into item data using the column mapping, collecting validation errors
+  parseImportRow(row, mapping) {
+    const fields = this.getImportFields();
+    const data = {};
+    const errors = [];
+    
+    mapping.forEach((field, column) => {
+      if (!field) return;
+      
+      const definition = fields.find(def => def.field === field);
+      const raw = String(row[column] || '').trim();
+      
+      // Blank cells leave existing values alone
+      if (raw === '') return;
+      
+      switch (definition.type) {
+        case 'category': {
+          const category = this.categories.find(cat => cat.toLowerCase() === raw.toLowerCase());
+          if (category) {
+            data.category = category;
+          } else {
+            errors.push(`Unknown category "${raw}"`);
+          }
+          break;
+        }
+        case 'unit': {
+          const unit = this.normalizeUnit(raw);
+          if (unit) {
+            data[field] = unit;
+          } else {
+            errors.push(`Unknown unit "${raw}" (expected one of ${this.unitOptions.join(', ')})`);
+          }
+          break;
+        }
+        case 'number': {
+          const value = Number(raw.replace(/[$,\s]/g, ''));
+          if (isNaN(value) || value < 0) {
+            errors.push(`${definition.label} must be a non-negative number, got "${raw}"`);
+          } else {
+            data[field] = value;
+          }
+          break;
+        }
+        default:
+          data[field] = raw;
+      }
+    });
+    
+    // Use the listed spelling of known sub-categories
+    if (data.subCategory && data.category && this.subCategories[data.category]) {
+      const subCategory = this.subCategories[data.category]
+        .find(sub => sub.toLowerCase() === data.subCategory.toLowerCase());
+      if (subCategory) data.subCategory = subCategory;
+    }
+    
+    return { data, errors };
+  }
+
+  // Validate rows and work out which create new items and which update existing ones.
+  // rows exclude the header; mapping holds a field name (or '') per column.
+  planImport(rows, mapping) {
+    const plan = { creates: [], updates: [], unchanged: [], errors: [] };
+    const seenPartNumbers = new Map();
+    
+    const duplicates = mapping.filter((field, index) => field && mapping.indexOf(field) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Each field can only be mapped once: ${[...new Set(duplicates)].join(', ')}`);
+    }
+    
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2; // Spreadsheet row, counting the header
+      const { data, errors } = this.parseImportRow(row, mapping);
+      
+      // Rows from this app's own export carry the item ID; otherwise match on part number
+      let existing = data.id ? this.items.find(item => item.id === data.id) : null;
+      delete data.id;
+      
+      const normalized = this.normalizePartNumber(data.partNumber);
+      if (!existing && normalized) {
+        existing = this.items.find(item => this.normalizePartNumber(item.partNumber) === normalized);
+      }
+      
+      if (normalized) {
+        if (seenPartNumbers.has(normalized)) {
+          errors.push(`Part number "${data.partNumber}" already appears on row ${seenPartNumbers.get(normalized)}`);
+        } else {
+          seenPartNumbers.set(normalized, rowNumber);
+        }
+      }
+      
+      if (!existing) {
+        if (!data.category) errors.push('Category is required for new items');
+        if (!data.manufacturer) errors.push('Manufacturer is required for new items');
+        if (!data.description) errors.push('Description is required for new items');
+      }
+      
+      if (errors.length > 0) {
+        plan.errors.push({ rowNumber, messages: errors });
+        return;
+      }
+      
+      if (!existing) {
+        plan.creates.push({ rowNumber, data: { unitOfMeasure: 'Each', ...data } });
+        return;
+      }
+      
+      // Only carry fields whose values actually differ
+      const changes = {};
+      Object.entries(data).forEach(([field, value]) => {
+        if (existing[field] !== value) {
+          changes[field] = { from: existing[field], to: value };
+        }
+      });
+      
+      const entry = { rowNumber, itemId: existing.id, item: existing, changes };
+      if (Object.keys(changes).length === 0) {
+        plan.unchanged.push(entry);
+      } else {
+        plan.updates.push({
+          ...entry,
+          data: Object.fromEntries(Object.keys(changes).map(field => [field, data[field]]))
+        });
+      }
+    });
+    
+    return plan;
+  }
+
+  // Commit the valid rows of an import plan; rows with errors are skipped
+  applyImport(plan, projectId) {
+    this.requirePermission('editItem');
+    const details = { source: 'import', notes: 'CSV import' };
+    const result = { created: 0, updated: 0, failed: [] };
+    
+    plan.creates.forEach(entry => {
+      this.addItem({ ...entry.data, projectId }, details);
+      result.created++;
+    });
+    
+    plan.updates.forEach(entry => {
+      try {
+        this.updateItem(entry.itemId, entry.data, details);
+        result.updated++;
+      } catch (error) {
+        result.failed.push({ rowNumber: entry.rowNumber, message: error.message });
+      }
+    });
+    
+    return result;
+  }
+
+  // Columns available for CSV export, including any custom field keys used by the items
+  getExportColumns(items = this.items) {
+    const columns = [
+      { key: 'id', label: 'ID', value: item => item.id },
+      { key: 'category', label: 'Category', value: item => item.category },
+      { key: 'subCategory', label: 'Sub-Category', value: item => item.subCategory },
+      { key: 'manufacturer', label: 'Manufacturer', value: item => item.manufacturer },
+      { key: 'partNumber', label: 'Part Number', value: item => item.partNumber },
+      { key: 'description', label: 'Description', value: item => item.description },
+      { key: 'unitOfMeasure', label: 'Unit', value: item => item.unitOfMeasure },
+      { key: 'purchaseUnit', label: 'Purchase Unit', value: item => item.purchaseUnit },
+      { key: 'purchaseFactor', label: 'Stock Units per Purchase Unit', value: item => item.purchaseUnit ? item.purchaseFactor : '' },
+      { key: 'issueUnit', label: 'Issue Unit', value: item => item.issueUnit },
+      { key: 'issueFactor', label: 'Stock Units per Issue Unit', value: item => item.issueUnit ? item.issueFactor : '' },
+      { key: 'quantityAvailable', label: 'Quantity Available', value: item => item.quantityAvailable },
+      { key: 'quantityAllocated', label: 'Quantity Allocated', value: item => item.quantityAllocated },
+      { key: 'totalQuantity', label: 'Total Quantity', value: item => item.totalQuantity },
+      { key: 'reorderThreshold', label: 'Reorder Threshold', value: item => item.reorderThreshold },
+      { key: 'reorderQuantity', label: 'Reorder Quantity', value: item => item.reorderQuantity },
+      { key: 'location', label: 'Location', value: item => item.location },
+      { key: 'cost', cost: true, label: 'Cost', value: item => item.cost },
+      { key: 'totalValue', cost: true, label: 'Total Value', value: item => (item.cost * item.totalQuantity).toFixed(2) },
+      { key: 'vendor', label: 'Vendor', value: item => item.vendor },
+      { key: 'lastUpdated', label: 'Last Updated', value: item => new Date(item.lastUpdated).toLocaleDateString() }
+    ];
+    
+    const customKeys = new Set();
+    items.forEach(item => Object.keys(item.customFields || {}).forEach(key => customKeys.add(key)));
+    
+    [...customKeys].sort().forEach(key => {
+      columns.push({
+        key: `customFields.${key}`,
+        label: key,
+        custom: true,
+        value: item => {
+          const value = (item.customFields || {})[key];
+          return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        }
+      });
+    });
+    
+    // Roles that can't see costs can't export them either
+    return this.can('viewCost') ? columns : columns.filter(column => !column.cost);
+  }
+
+  // Build the CSV text for the given items and column keys (all standard columns by default).
+  // With options.location, quantity and value columns show only the stock held at that location.
+  exportToCSV(options = {}) {
+    const items = (options.items || this.items).map(item => options.location
+      ? new LVInventoryItem({ ...item.toJSON(), stockByLocation: { [options.location]: { ...item.getLocationStock(options.location) } } })
+      : item);
+    const available = this.getExportColumns(items);
+    const columns = options.columns
+      ? options.columns.map(key => available.find(column => column.key === key)).filter(Boolean)
+      : available.filter(column => !column.custom);
+    
+    const rows = [
+      columns.map(column => column.label),
+      ...items.map(item => columns.map(column => column.value(item)))
+    ];
+    
+    return CSVFormat.stringify(rows, {
+      delimiter: options.delimiter || ',',
+      includeBom: options.includeBom !== false
+    });
+  }
+}
+
+/**
+ * Class: User Interface Manager
+ * Handles the UI components for the inventory management system
+ */
+class LVInventoryUI {
+  constructor(inventoryManager, procoreApi, syncManager) {
+    this.inventoryManager = inventoryManager;
+    this.procoreApi = procoreApi;
+    this.syncManager = syncManager;
+    this.currentProject = null;
+    this.currentCompanyId = null;
+    this.companies = null;
+    this.projects = null;
+    this.searchTerm = '';
+    this.locationFilter = '';
+    this.barcodeGenerator = new BarcodeGenerator();
+    this.scanItemId = null; // Item whose adjustment is open in scan mode
+    this.scanKeyHandler = null;
+    this.shownConflictCount = 0; // Sync conflicts the user has already been told about
+  }
+
+  // Initialize the UI
+  async initialize() {
+    // Load saved tokens
+    this.procoreApi.loadTokens();
+    
+    // Follow deep links edited in the address bar
+    window.addEventListener('hashchange', () => this.handleRouteChange());
+    
+    // Keep the sync indicator current and replay queued changes once the connection returns
+    this.inventoryManager.onSyncStatusChange = status => this.updateSyncStatus(status);
+    window.addEventListener('online', () => {
+      if (this.currentProject) {
+        this.inventoryManager.syncPendingChanges(this.currentProject.id);
+      }
+    });
+    window.addEventListener('offline', () => this.inventoryManager.notifySyncStatus());
+    
+    // Check if we're on a callback URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const authCode = urlParams.get('code');
+    const authError = urlParams.get('error');
+    
+    if (authError) {
+      window.history.replaceState({}, document.title, window.location.pathname);
+      this.showError(`Procore login was not completed: ${urlParams.get('error_description') || authError}`);
+      this.renderLoginButton();
+      return;
+    }
+    
+    if (authCode) {
+      try {
+        await this.procoreApi.handleCallback(authCode, urlParams.get('state'));
+        // Remove the code from URL, restoring any deep link from before the login redirect
+        const postLoginHash = sessionStorage.getItem('postLoginHash') || '';
+        sessionStorage.removeItem('postLoginHash');
+        window.history.replaceState({}, document.title, window.location.pathname + postLoginHash);
+      } catch (error) {
+        console.error('Authentication error:', error);
+        window.history.replaceState({}, document.title, window.location.pathname);
+        this.showError('Authentication failed.', error);
+        this.renderLoginButton();
+        return;
+      }
+    }
+    
+    // Check if we're authenticated
+    try {
+      await this.procoreApi.authenticate();
+      this.renderProjectSelector();
+    } catch (error) {
+      console.error('Authentication required:', error);
+      this.renderLoginButton();
+    }
+  }
+
+  // Render login button when not authenticated
+  renderLoginButton() {
+    const container = document.getElementById('app-container');
+    container.innerHTML = `
+      <div class="login-container">
+        <h1>Low Voltage Inventory Tracker</h1>
+        <p>Please login with your Procore account to continue</p>
+        <button id="login-button" class="btn btn-primary">Login with Procore</button>
+      </div>
+    `;
+    
+    document.getElementById('login-button').addEventListener('click', () => {
+      this.procoreApi.login();
+    });
+  }
+
+  // Render company and project selectors after authentication
+  async renderProjectSelector() {
+    try {
+      const container = document.getElementById('app-container');
+      container.innerHTML = `
+        <h1>Low Voltage Inventory Tracker</h1>
+        <div class="loading">Loading projects...</div>
+      `;
+      
+      const userInfo = await this.procoreApi.request('/me');
+      this.inventoryManager.setCurrentUser(userInfo);
+      this.companies = await this.procoreApi.getCompanies();
+      
+      if (this.companies.length === 0) {
+        throw new Error('No companies found for this user');
+      }
+      
+      // A deep link wins, then the last company used, then the first one available
+      const route = this.parseRoute();
+      const lastCompanyId = localStorage.getItem('lastCompanyId');
+      const hasCompany = id => id && this.companies.some(company => String(company.id) === String(id));
+      const companyId = [route.companyId, lastCompanyId].find(hasCompany) || this.companies[0].id;
+      
+      container.innerHTML = `
+        <h1>Low Voltage Inventory Tracker</h1>
+        <div class="project-selector">
+          <div class="form-row">
+            <div class="form-group half">
+              <label for="company-select">Company:</label>
+              <select id="company-select" class="form-control" ${this.companies.length === 1 ? 'disabled' : ''}>
+                ${this.companies.map(company => `
+                  <option value="${company.id}" ${String(company.id) === String(companyId) ? 'selected' : ''}>${this.escapeHtml(company.name)}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="form-group half">
+              <label for="project-status-filter">Status:</label>
+              <select id="project-status-filter" class="form-control">
+                <option value="active" selected>Active projects</option>
+                <option value="closed">Closed projects</option>
+                <option value="all">All projects</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="project-search">Find Project:</label>
+            <input type="text" id="project-search" class="form-control" placeholder="Search by project name or number...">
+          </div>
+          <div class="form-group">
+            <label for="project-select">Select Project:</label>
+            <select id="project-select" class="form-control">
+              <option value="">Loading projects...</option>
+            </select>
+          </div>
+        </div>
+        <div id="project-content"></div>
+      `;
+      
+      document.getElementById('company-select').addEventListener('change', (e) => {
+        this.selectCompany(e.target.value);
+      });
+      
+      document.getElementById('project-status-filter').addEventListener('change', () => {
+        this.renderProjectOptions();
+      });
+      
+      document.getElementById('project-search').addEventListener('input', () => {
+        this.renderProjectOptions();
+      });
+      
+      document.getElementById('project-select').addEventListener('change', (e) => {
+        const projectId = e.target.value;
+        if (projectId) {
+          this.setRoute(this.currentCompanyId, projectId);
+          this.loadProject(projectId);
+        } else {
+          this.setRoute(this.currentCompanyId, null);
+          this.currentProject = null;
+          document.getElementById('project-content').innerHTML = '';
+        }
+      });
+      
+      await this.selectCompany(companyId, route.projectId);
+      
+    } catch (error) {
+      console.error('Error loading projects:', error);
+      this.showError('Failed to load projects.', error);
+    }
+  }
+
+  // Switch to a company, remember it and load its projects
+  async selectCompany(companyId, projectId = null) {
+    try {
+      this.currentCompanyId = String(companyId);
+      this.currentProject = null;
+      localStorage.setItem('lastCompanyId', this.currentCompanyId);
+      document.getElementById('company-select').value = this.currentCompanyId;
+      document.getElementById('project-content').innerHTML = '';
+      
+      const projectSelect = document.getElementById('project-select');
+      projectSelect.innerHTML = '<option value="">Loading projects...</option>';
+      
+      this.projects = await this.procoreApi.getProjects(companyId);
+      await this.inventoryManager.loadClassificationRules(companyId);
+      await this.inventoryManager.loadRoleAssignments(companyId);
+      
+      // Make sure a deep-linked project stays visible even if it's closed
+      const linkedProject = projectId
+        ? this.projects.find(project => String(project.id) === String(projectId))
+        : null;
+      if (linkedProject && linkedProject.active === false) {
+        document.getElementById('project-status-filter').value = 'all';
+      }
+      
+      this.renderProjectOptions(linkedProject ? linkedProject.id : null);
+      this.setRoute(this.currentCompanyId, linkedProject ? linkedProject.id : null);
+      
+      if (linkedProject) {
+        await this.loadProject(linkedProject.id);
+      } else if (projectId) {
+        this.showError('The linked project was not found in this company, or you do not have access to it.');
+      }
+    } catch (error) {
+      console.error('Error loading company projects:', error);
+      this.showError('Failed to load projects for this company.', error);
+    }
+  }
+
+  // Fill the project dropdown with projects matching the search text and status filter
+  renderProjectOptions(selectedProjectId = null) {
+    const projectSelect = document.getElementById('project-select');
+    const searchTerm = document.getElementById('project-search').value.trim().toLowerCase();
+    const status = document.getElementById('project-status-filter').value;
+    const selectedId = String(selectedProjectId || projectSelect.value || '');
+    
+    const filteredProjects = (this.projects || []).filter(project => {
+      // Procore marks closed projects as inactive
+      const isActive = project.active !== false;
+      if (status === 'active' && !isActive) return false;
+      if (status === 'closed' && isActive) return false;
+      
+      if (!searchTerm) return true;
+      return [project.name, project.project_number, project.display_name]
+        .some(field => field && String(field).toLowerCase().includes(searchTerm));
+    });
+    
+    projectSelect.innerHTML = `
+      <option value="">-- Select a Project (${filteredProjects.length} of ${(this.projects || []).length}) --</option>
+      ${filteredProjects.map(project => `
+        <option value="${project.id}" ${String(project.id) === selectedId ? 'selected' : ''}>${project.project_number ? `${this.escapeHtml(project.project_number)} - ` : ''}${this.escapeHtml(project.name)}${project.active === false ? ' (Closed)' : ''}</option>
+      `).join('')}
+    `;
+  }
+
+  // Read the company/project deep link from the URL hash (#company=1&project=2)
+  parseRoute() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    return {
+      companyId: params.get('company'),
+      projectId: params.get('project')
+    };
+  }
+
+  // Keep the URL hash in sync so the current view can be bookmarked
+  setRoute(companyId, projectId) {
+    const params = new URLSearchParams();
+    if (companyId) params.set('company', companyId);
+    if (projectId) params.set('project', projectId);
+    
+    // replaceState doesn't fire hashchange, so this won't reload the project
+    window.history.replaceState(null, document.title, `${window.location.pathname}${window.location.search}#${params.toString()}`);
+  }
+
+  // Follow deep links pasted into the address bar or reached via back/forward
+  handleRouteChange() {
+    const route = this.parseRoute();
+    if (!this.companies || !route.companyId) return;
+    
+    if (route.companyId !== this.currentCompanyId) {
+      this.selectCompany(route.companyId, route.projectId);
+    } else if (route.projectId && (!this.currentProject || String(this.currentProject.id) !== route.projectId)) {
+      this.renderProjectOptions(route.projectId);
+      this.loadProject(route.projectId);
+    }
+  }
+
+  // Load a specific project
+  async loadProject(projectId) {
+    try {
+      const projectContent = document.getElementById('project-content');
+      projectContent.innerHTML = '<div class="loading">Loading inventory...</div>';
+      
+      // Get project details, falling back to the project list when offline
+      try {
+        this.currentProject = await this.procoreApi.getProject(projectId);
+      } catch (error) {
+        const listed = (this.projects || []).find(project => String(project.id) === String(projectId));
+        if (!(error instanceof ProcoreNetworkError) || !listed) throw error;
+        this.currentProject = listed;
+      }
+      this.searchTerm = '';
+      this.locationFilter = '';
+      
+      // What this user may do here decides which actions are offered
+      await this.inventoryManager.loadUserRole(projectId);
+      
+      // Load inventory for this project
+      await this.inventoryManager.loadInventory(projectId);
+      
+      // Render the inventory interface
+      this.renderInventoryInterface();
+      
+    } catch (error) {
+      console.error('Error loading project:', error);
+      this.showError('Failed to load project data.', error);
+    }
+  }
+
+  // Render the main inventory interface
+  renderInventoryInterface() {
+    const projectContent = document.getElementById('project-content');
+    const user = this.inventoryManager.currentUser;
+    
+    projectContent.innerHTML = `
+      <div class="inventory-container">
+        <h2>${this.currentProject.name} - Low Voltage Inventory</h2>
+        
+        <div id="sync-status" class="sync-status">
+          ${this.renderSyncStatus()}
+        </div>
+        
+        <div class="user-role">
+          Signed in as <strong>${this.escapeHtml(user ? user.name : 'Unknown User')}</strong>
+          &middot; ${this.escapeHtml(this.inventoryManager.getRoleLabel())} role
+        </div>
+        
+        <div class="controls">
+          <button id="add-item-btn" class="btn btn-success" ${this.permissionAttributes('editItem')}>Add New Item</button>
+          <button id="import-csv-btn" class="btn btn-secondary" ${this.permissionAttributes('editItem')}>Import CSV</button>
+          <button id="export-csv-btn" class="btn btn-secondary">Export to CSV</button>
+          <button id="po-sync-btn" class="btn btn-secondary" ${this.permissionAttributes('syncProcore')}>Sync POs</button>
+          <button id="match-review-btn" class="btn btn-secondary" ${this.permissionAttributes('syncProcore')}>${this.getMatchReviewLabel()}</button>
+          <button id="receive-btn" class="btn btn-secondary" ${this.permissionAttributes('adjustStock')}>Receive Material</button>
+          <button id="rfi-btn" class="btn btn-secondary" ${this.permissionAttributes('syncProcore')}>Review RFIs</button>
+          <button id="requisition-btn" class="btn btn-secondary" ${this.permissionAttributes('syncProcore')}>Create Requisition</button>
+          <button id="generate-report-btn" class="btn btn-info">Generate Report</button>
+          <button id="print-labels-btn" class="btn btn-secondary">Print Labels</button>
+          <button id="scan-mode-btn" class="btn btn-warning" ${this.permissionAttributes('adjustStock')}>Scan Mode</button>
+          <button id="kits-btn" class="btn btn-secondary">Kits</button>
+          <button id="trash-btn" class="btn btn-secondary">${this.getTrashLabel()}</button>
+          <button id="rules-btn" class="btn btn-secondary" ${this.permissionAttributes('manageSettings')}>Classification Rules</button>
+          <button id="roles-btn" class="btn btn-secondary" ${this.permissionAttributes('manageSettings')}>User Roles</button>
+          <div class="search-container">
+            <select id="location-filter" class="form-control">
+              ${this.renderLocationFilterOptions()}
+            </select>
+            <input type="text" id="search-input" class="form-control" placeholder="Search inventory..." value="${this.escapeHtml(this.searchTerm)}">
+          </div>
+        </div>
+        
+        <div id="location-summary" class="location-summary">
+          ${this.renderLocationSummary()}
+        </div>
+        
+        <div class="inventory-table-container">
+          <table class="inventory-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th>Manufacturer</th>
+                <th>Part Number</th>
+                <th>Description</th>
+                <th>Available</th>
+                <th>Allocated</th>
+                <th>Location</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="inventory-table-body">
+              ${this.renderInventoryItems()}
+            </tbody>
+          </table>
+        </div>
+        
+        <div id="item-modal" class="modal">
+          <!-- Modal content will be dynamically inserted -->
+        </div>
+        
+        <div id="report-modal" class="modal">
+          <!-- Report content will be dynamically inserted -->
+        </div>
+        
+        <div id="scan-bar" class="scan-bar" style="display: none;">
+          <!-- Scan controls will be dynamically inserted -->
+        </div>
+      </div>
+    `;
+    
+    // Add event listeners
+    document.getElementById('add-item-btn').addEventListener('click', () => {
+      this.showItemModal();
+    });
+    
+    document.getElementById('import-csv-btn').addEventListener('click', () => {
+      this.showImportModal();
+    });
+    
+    document.getElementById('export-csv-btn').addEventListener('click', () => {
+      this.exportInventory();
+    });
+    
+    document.getElementById('po-sync-btn').addEventListener('click', () => {
+      this.showPurchaseOrderSyncModal();
+    });
+    
+    document.getElementById('receive-btn').addEventListener('click', () => {
+      this.showReceivingModal();
+    });
+    
+    document.getElementById('match-review-btn').addEventListener('click', () => {
+      this.showMatchReviewModal();
+    });
+    
+    document.getElementById('rules-btn').addEventListener('click', () => {
+      this.showClassificationRulesModal();
+    });
+    
+    document.getElementById('roles-btn').addEventListener('click', () => {
+      this.showRoleAssignmentsModal();
+    });
+    
+    document.getElementById('sync-status').addEventListener('click', (e) => {
+      if (e.target.id === 'sync-now-btn') {
+        this.inventoryManager.syncPendingChanges(this.currentProject.id);
+      } else if (e.target.id === 'sync-conflicts-btn') {
+        this.showSyncConflictsModal();
+      }
+    });
+    
+    document.getElementById('rfi-btn').addEventListener('click', () => {
+      this.showRFISuggestionsModal();
+    });
+    
+    document.getElementById('requisition-btn').addEventListener('click', () => {
+      this.showRequisitionModal();
+    });
+    
+    document.getElementById('generate-report-btn').addEventListener('click', () => {
+      this.showReportModal();
+    });
+    
+    document.getElementById('print-labels-btn').addEventListener('click', () => {
+      this.showLabelModal();
+    });
+    
+    document.getElementById('scan-mode-btn').addEventListener('click', () => {
+      this.startScanMode();
+    });
+    
+    document.getElementById('kits-btn').addEventListener('click', () => {
+      this.showKitsModal();
+    });
+    
+    document.getElementById('trash-btn').addEventListener('click', () => {
+      this.showTrashModal();
+    });
+    
+    document.getElementById('search-input').addEventListener('input', (e) => {
+      this.filterInventoryItems(e.target.value);
+    });
+    
+    document.getElementById('location-filter').addEventListener('change', (e) => {
+      this.filterByLocation(e.target.value);
+    });
+    
+    // Clicking a location total filters the table to that location
+    document.getElementById('location-summary').addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-location]');
+      if (chip) {
+        this.filterByLocation(chip.dataset.location === this.locationFilter ? '' : chip.dataset.location);
+      }
+    });
+    
+    // Add event listeners for item actions (edit, delete, adjust)
+    const tableBody = document.getElementById('inventory-table-body');
+    tableBody.addEventListener('click', (e) => {
+      const target = e.target;
+      const itemId = target.closest('tr')?.dataset.itemId;
+      
+      if (!itemId) return;
+      
+      if (target.classList.contains('edit-btn')) {
+        this.showItemModal(itemId);
+      } else if (target.classList.contains('delete-btn')) {
+        this.confirmDeleteItem(itemId);
+      } else if (target.classList.contains('adjust-btn')) {
+        this.showAdjustQuantityModal(itemId);
+      } else if (target.classList.contains('history-btn')) {
+        this.showItemHistoryModal(itemId);
+      } else if (target.classList.contains('transfer-btn')) {
+        this.showTransferModal(itemId);
+      } else if (target.classList.contains('reels-btn')) {
+        this.showReelsModal(itemId);
+      }
+    });
+  }
+
+  // Render inventory items as table rows
+  renderInventoryItems(items = this.getVisibleItems()) {
+    if (this.inventoryManager.items.length === 0) {
+      return `<tr><td colspan="8" class="empty-message">No inventory items found. Click "Add New Item" to get started.</td></tr>`;
+    }
+    
+    if (items.length === 0) {
+      return `<tr><td colspan="8" class="empty-message">No inventory items match the current search and location filter.</td></tr>`;
+    }
+    
+    return items.map(item => {
+      // With a location selected, show that location's stock rather than the item totals
+      const stock = this.locationFilter
+        ? item.getLocationStock(this.locationFilter)
+        : { available: item.quantityAvailable, allocated: item.quantityAllocated };
+      
+      return `
+        <tr data-item-id="${item.id}" class="${item.needsReorder ? 'low-stock' : ''}">
+          <td>${item.category} ${item.subCategory ? `- ${item.subCategory}` : ''}</td>
+          <td>${item.manufacturer}</td>
+          <td>${item.partNumber}</td>
+          <td>${item.description}</td>
+          <td>${stock.available} ${item.unitOfMeasure}</td>
+          <td>${stock.allocated} ${item.unitOfMeasure}</td>
+          <td>${this.renderItemLocations(item)}</td>
+          <td class="actions">
+            <button class="btn btn-sm btn-primary edit-btn" ${this.permissionAttributes('editItem')}>Edit</button>
+            <button class="btn btn-sm btn-warning adjust-btn" ${this.permissionAttributes('adjustStock')}>Adjust</button>
+            <button class="btn btn-sm btn-secondary transfer-btn" ${this.permissionAttributes('adjustStock')}>Transfer</button>
+            ${item.category === 'Cable' ? `<button class="btn btn-sm btn-secondary reels-btn" ${this.permissionAttributes('adjustStock')}>Reels${item.reels.length > 0 ? ` (${item.reels.length})` : ''}</button>` : ''}
+            <button class="btn btn-sm btn-info history-btn">History</button>
+            <button class="btn btn-sm btn-danger delete-btn" ${this.permissionAttributes('deleteItem')}>Delete</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  // Show where an item's stock is held, with per-location quantities when split
+  renderItemLocations(item) {
+    const locations = item.locations;
+    if (locations.length <= 1) {
+      return this.escapeHtml(locations[0] || item.location);
+    }
+    
+    return locations.map(location => {
+      const stock = item.stockByLocation[location];
+      return `
+        <div class="location-line ${location === this.locationFilter ? 'active' : ''}">
+          ${this.escapeHtml(location)}: ${stock.available}${stock.allocated ? ` (+${stock.allocated} alloc.)` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Items matching the current search text and location filter
+  getVisibleItems() {
+    const searchTerm = this.searchTerm.toLowerCase();
+    
+    return this.inventoryManager.items.filter(item => {
+      if (this.locationFilter && !item.locations.includes(this.locationFilter)) {
+        return false;
+      }
+      
+      if (!searchTerm) return true;
+      
+      const searchFields = [
+        item.category,
+        item.subCategory,
+        item.manufacturer,
+        item.partNumber,
+        item.description,
+        item.location,
+        ...item.locations
+      ];
+      
+      return searchFields.some(field => 
+        field.toLowerCase().includes(searchTerm)
+      );
+    });
+  }
+
+  // Re-render the table and location totals after inventory changes
+  refreshInventoryTable() {
+    // A location may have been emptied or created by the last change
+    const locations = this.inventoryManager.getLocations();
+    if (this.locationFilter && !locations.includes(this.locationFilter)) {
+      this.locationFilter = '';
+    }
+    
+    document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
+    document.getElementById('location-filter').innerHTML = this.renderLocationFilterOptions();
+    document.getElementById('location-summary').innerHTML = this.renderLocationSummary();
+    document.getElementById('match-review-btn').textContent = this.getMatchReviewLabel();
+    document.getElementById('trash-btn').textContent = this.getTrashLabel();
+  }
+
+  // Filter inventory items based on search input
+  filterInventoryItems(searchTerm) {
+    this.searchTerm = searchTerm || '';
+    this.refreshInventoryTable();
+  }
+
+  // Limit the table to items with stock at a location ('' for all locations)
+  filterByLocation(location) {
+    this.locationFilter = location || '';
+    this.refreshInventoryTable();
+  }
+
+  // Options for the location filter dropdown
+  renderLocationFilterOptions() {
+    return `
+      <option value="">All Locations</option>
+      ${this.inventoryManager.getLocations().map(location => `
+        <option value="${this.escapeHtml(location)}" ${location === this.locationFilter ? 'selected' : ''}>${this.escapeHtml(location)}</option>
+      `).join('')}
+    `;
+  }
+
+  // Per-location totals shown above the inventory table
+  renderLocationSummary() {
+    const totals = this.inventoryManager.getLocationTotals();
+    const entries = Object.entries(totals).sort(([a], [b]) => a.localeCompare(b));
+    
+    if (entries.length === 0) return '';
+    
+    return entries.map(([location, total]) => `
+      <div class="location-chip ${location === this.locationFilter ? 'active' : ''}" data-location="${this.escapeHtml(location)}">
+        <div class="location-name">${this.escapeHtml(location)}</div>
+        <div class="location-stats">
+          ${total.itemCount} item${total.itemCount === 1 ? '' : 's'} &middot;
+          ${total.available} avail. &middot; ${total.allocated} alloc. &middot;
+          ${total.value.toFixed(2)}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Show modal for adding/editing items
+  showItemModal(itemId = null) {
+    const item = itemId 
+      ? this.inventoryManager.items.find(item => item.id === itemId)
+      : null;
+    
+    const modal = document.getElementById('item-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>${item ? 'Edit Item' : 'Add New Item'}</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="item-form">
+            <div class="form-group">
+              <label for="category">Category:</label>
+              <select id="category" class="form-control" required>
+                <option value="">-- Select Category --</option>
+                ${this.inventoryManager.categories.map(cat => `
+                  <option value="${cat}" ${item && item.category === cat ? 'selected' : ''}>${cat}</option>
+                `).join('')}
+              </select>
+            </div>
+            
+            <div class="form-group">
+              <label for="subCategory">Sub-Category:</label>
+              <select id="subCategory" class="form-control">
+                <option value="">-- Select Sub-Category --</option>
+                ${item && this.inventoryManager.subCategories[item.category] 
+                  ? this.inventoryManager.subCategories[item.category].map(subCat => `
+                      <option value="${subCat}" ${item.subCategory === subCat ? 'selected' : ''}>${subCat}</option>
+                    `).join('') 
+                  : ''}
+              </select>
+            </div>
+            
+            <div class="form-group">
+              <label for="manufacturer">Manufacturer:</label>
+              <input type="text" id="manufacturer" class="form-control" value="${item ? item.manufacturer : ''}" required>
+            </div>
+            
+            <div class="form-group">
+              <label for="partNumber">Part Number:</label>
+              <input type="text" id="partNumber" class="form-control" value="${item ? item.partNumber : ''}">
+            </div>
+            
+            <div class="form-group">
+              <label for="description">Description:</label>
+              <textarea id="description" class="form-control" required>${item ? item.description : ''}</textarea>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="unitOfMeasure">Stock Unit:</label>
+                <select id="unitOfMeasure" class="form-control" required>
+                  ${this.inventoryManager.unitOptions.map(unit => `
+                    <option value="${unit}" ${item && item.unitOfMeasure === unit ? 'selected' : ''}>${unit}</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group half">
+                <label for="cost">Cost per Stock Unit:</label>
+                <input type="number" id="cost" class="form-control" value="${item ? item.cost : '0.00'}" step="0.0001" min="0"
+                  ${this.permissionAttributes('editCost')}>
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="purchaseUnit">Purchase Unit:</label>
+                <select id="purchaseUnit" class="form-control">
+                  <option value="">Same as stock unit</option>
+                  ${this.inventoryManager.unitOptions.map(unit => `
+                    <option value="${unit}" ${item && item.purchaseUnit === unit ? 'selected' : ''}>${unit}</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group half">
+                <label for="purchaseFactor">Stock Units per Purchase Unit:</label>
+                <input type="number" id="purchaseFactor" class="form-control" value="${item ? item.purchaseFactor : 1}" step="any" min="0.0001">
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="issueUnit">Issue Unit:</label>
+                <select id="issueUnit" class="form-control">
+                  <option value="">Same as stock unit</option>
+                  ${this.inventoryManager.unitOptions.map(unit => `
+                    <option value="${unit}" ${item && item.issueUnit === unit ? 'selected' : ''}>${unit}</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group half">
+                <label for="issueFactor">Stock Units per Issue Unit:</label>
+                <input type="number" id="issueFactor" class="form-control" value="${item ? item.issueFactor : 1}" step="any" min="0.0001">
+              </div>
+            </div>
+            <small class="form-hint">Quantities and cost are kept in the stock unit. Example: cable bought by the 1000' box and issued by the foot has stock unit Feet, purchase unit Box with 1000 stock units per purchase unit.</small>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="quantityAvailable">Quantity Available${item && item.locations.length > 1 ? ' (all locations)' : ''}:</label>
+                <input type="number" id="quantityAvailable" class="form-control" step="any" value="${item ? item.quantityAvailable : '0'}" min="0" required>
+              </div>
+              
+              <div class="form-group half">
+                <label for="quantityAllocated">Quantity Allocated${item && item.locations.length > 1 ? ' (all locations)' : ''}:</label>
+                <input type="number" id="quantityAllocated" class="form-control" step="any" value="${item ? item.quantityAllocated : '0'}" min="0">
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="reorderThreshold">Reorder Threshold:</label>
+                <input type="number" id="reorderThreshold" class="form-control" step="any" value="${item ? item.reorderThreshold : '0'}" min="0">
+              </div>
+              
+              <div class="form-group half">
+                <label for="reorderQuantity">Reorder Quantity:</label>
+                <input type="number" id="reorderQuantity" class="form-control" step="any" value="${item ? item.reorderQuantity : '0'}" min="0">
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label for="vendor">Vendor:</label>
+              <input type="text" id="vendor" class="form-control" value="${item ? this.escapeHtml(item.vendor) : ''}">
+              <small class="form-hint">Requisitions group reorder items by vendor. Filled in from purchase orders when they sync.</small>
+            </div>
+            
+            <div class="form-group">
+              <label for="location">Default Storage Location:</label>
+              <input type="text" id="location" class="form-control" value="${item ? this.escapeHtml(item.location) : ''}" list="item-location-options">
+              ${this.renderLocationDatalist('item-location-options')}
+              ${item && item.locations.length > 1
+                ? '<small class="form-hint">This item is stocked at several locations. Quantity changes here apply to the default location; use Transfer to move stock between locations.</small>'
+                : ''}
+            </div>
+            
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">${item ? 'Update Item' : 'Add Item'}</button>
+              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    // Dynamic subcategory updates
+    const categorySelect = document.getElementById('category');
+    const subCategorySelect = document.getElementById('subCategory');
+    
+    categorySelect.addEventListener('change', () => {
+      const selectedCategory = categorySelect.value;
+      const subCategories = this.inventoryManager.subCategories[selectedCategory] || [];
+      
+      subCategorySelect.innerHTML = `
+        <option value="">-- Select Sub-Category --</option>
+        ${subCategories.map(subCat => `
+          <option value="${subCat}">${subCat}</option>
+        `).join('')}
+      `;
+    });
+    
+    // Form submission
+    document.getElementById('item-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const formData = {
+        category: document.getElementById('category').value,
+        subCategory: document.getElementById('subCategory').value,
+        manufacturer: document.getElementById('manufacturer').value,
+        partNumber: document.getElementById('partNumber').value,
+        description: document.getElementById('description').value,
+        unitOfMeasure: document.getElementById('unitOfMeasure').value,
+        purchaseUnit: document.getElementById('purchaseUnit').value,
+        purchaseFactor: parseFloat(document.getElementById('purchaseFactor').value) || 1,
+        issueUnit: document.getElementById('issueUnit').value,
+        issueFactor: parseFloat(document.getElementById('issueFactor').value) || 1,
+        cost: parseFloat(document.getElementById('cost').value) || 0,
+        quantityAvailable: parseFloat(document.getElementById('quantityAvailable').value) || 0,
+        quantityAllocated: parseFloat(document.getElementById('quantityAllocated').value) || 0,
+        reorderThreshold: parseFloat(document.getElementById('reorderThreshold').value) || 0,
+        reorderQuantity: parseFloat(document.getElementById('reorderQuantity').value) || 0,
+        location: document.getElementById('location').value,
+        vendor: document.getElementById('vendor').value.trim(),
+        projectId: this.currentProject.id
+      };
+      // A renamed vendor no longer matches the Procore vendor it came from
+      formData.vendorId = item && item.vendor === formData.vendor ? item.vendorId : null;
+      
+      try {
+        if (item) {
+          // Update existing item
+          this.inventoryManager.updateItem(item.id, formData);
+        } else {
+          // Add new item
+          this.inventoryManager.addItem(formData);
+        }
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        
+        // Close the modal
+        modal.style.display = 'none';
+        
+        // Show success message
+        this.showUndoMessage(`Item successfully ${item ? 'updated' : 'added'}.`);
+      } catch (error) {
+        console.error('Error saving item:', error);
+        this.showError(`Failed to ${item ? 'update' : 'add'} item.`, error);
+      }
+    });
+  }
+
+  // Show modal for adjusting quantity
+  // prefill: { adjustmentType, quantity, location, notes } - used by scan mode
+  showAdjustQuantityModal(itemId, prefill = {}) {
+    const item = this.inventoryManager.items.find(item => item.id === itemId);
+    if (!item) return;
+    
+    const adjustmentType = prefill.adjustmentType || 'add';
+    const defaultLocation = this.locationFilter && item.locations.includes(this.locationFilter)
+      ? this.locationFilter
+      : item.defaultLocation;
+    
+    const modal = document.getElementById('item-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Adjust Inventory Quantity</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <h4>${item.manufacturer} - ${item.partNumber}</h4>
+          <p>${item.description}</p>
+          
+          <div class="current-quantities">
+            <div class="quantity-box">
+              <span class="quantity-label">Available:</span>
+              <span class="quantity-value">${item.quantityAvailable} ${item.unitOfMeasure}</span>
+            </div>
+            <div class="quantity-box">
+              <span class="quantity-label">Allocated:</span>
+              <span class="quantity-value">${item.quantityAllocated} ${item.unitOfMeasure}</span>
+            </div>
+            <div class="quantity-box">
+              <span class="quantity-label">Total:</span>
+              <span class="quantity-value">${item.totalQuantity} ${item.unitOfMeasure}</span>
+            </div>
+          </div>
+          
+          ${this.renderLocationStockTable(item)}
+          
+          <form id="adjust-form">
+            <div class="form-group">
+              <label for="adjustLocation">Location:</label>
+              <input type="text" id="adjustLocation" class="form-control" list="adjust-location-options" required
+                value="${this.escapeHtml(prefill.location || defaultLocation)}">
+              ${this.renderLocationDatalist('adjust-location-options')}
+            </div>
+            
+            <div class="adjustment-type">
+              <div class="form-group">
+                <label>Adjustment Type:</label>
+                <div class="radio-group">
+                  <label>
+                    <input type="radio" name="adjustmentType" value="add" ${adjustmentType === 'add' ? 'checked' : ''}> 
+                    Add Inventory
+                  </label>
+                  <label>
+                    <input type="radio" name="adjustmentType" value="remove" ${adjustmentType === 'remove' ? 'checked' : ''}> 
+                    Remove Inventory
+                  </label>
+                  <label>
+                    <input type="radio" name="adjustmentType" value="allocate" ${adjustmentType === 'allocate' ? 'checked' : ''}> 
+                    Allocate to Project
+                  </label>
+                  <label>
+                    <input type="radio" name="adjustmentType" value="deallocate" ${adjustmentType === 'deallocate' ? 'checked' : ''}> 
+                    Return from Project
+                  </label>
+                </div>
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="adjustQuantity">Quantity:</label>
+                <input type="number" id="adjustQuantity" class="form-control" min="0.001" step="any" value="${prefill.quantity || 1}" required>
+              </div>
+              
+              <div class="form-group half">
+                <label for="adjustUnit">Unit:</label>
+                <select id="adjustUnit" class="form-control">
+                  ${this.inventoryManager.getItemUnits(item).map(unit => `
+                    <option value="${unit}" ${unit === (prefill.unit || item.issueUnit || item.unitOfMeasure) ? 'selected' : ''}>${unit}${unit === item.unitOfMeasure ? ' (stock unit)' : ''}</option>
+                  `).join('')}
+                </select>
+              </div>
+            </div>
+            <p id="adjust-conversion" class="form-hint"></p>
+            
+            <div class="form-group">
+              <label for="adjustmentNotes">Notes:</label>
+              <textarea id="adjustmentNotes" class="form-control" placeholder="Reason for adjustment, PO#, etc.">${this.escapeHtml(prefill.notes || '')}</textarea>
+            </div>
+            
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">Adjust Quantity</button>
+              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    // Show the stock-unit equivalent when entering in another unit
+    const showConversion = () => {
+      const quantity = parseFloat(document.getElementById('adjustQuantity').value);
+      const unit = document.getElementById('adjustUnit').value;
+      const output = document.getElementById('adjust-conversion');
+      output.textContent = unit !== item.unitOfMeasure && quantity > 0
+        ? `= ${this.inventoryManager.convertQuantity(item, quantity, unit)} ${item.unitOfMeasure}`
+        : '';
+    };
+    document.getElementById('adjustQuantity').addEventListener('input', showConversion);
+    document.getElementById('adjustUnit').addEventListener('change', showConversion);
+    showConversion();
+    
+    // Form submission
+    document.getElementById('adjust-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const adjustmentType = document.querySelector('input[name="adjustmentType"]:checked').value;
+      const quantity = parseFloat(document.getElementById('adjustQuantity').value);
+      const unit = document.getElementById('adjustUnit').value;
+      const notes = document.getElementById('adjustmentNotes').value;
+      const location = document.getElementById('adjustLocation').value.trim();
+      
+      const details = { notes, location, unit };
+      
+      try {
+        switch (adjustmentType) {
+          case 'add':
+            this.inventoryManager.adjustQuantity(itemId, quantity, false, details);
+            break;
+          case 'remove':
+            this.inventoryManager.adjustQuantity(itemId, -quantity, false, details);
+            break;
+          case 'allocate':
+            this.inventoryManager.adjustQuantity(itemId, quantity, true, details);
+            break;
+          case 'deallocate':
+            this.inventoryManager.adjustQuantity(itemId, -quantity, true, details);
+            break;
+        }
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        
+        // Close the modal
+        modal.style.display = 'none';
+        
+        // Show success message
+        this.showUndoMessage('Quantity successfully adjusted.');
+        
+      } catch (error) {
+        console.error('Error adjusting quantity:', error);
+        this.showError('Failed to adjust quantity.', error);
+      }
+    });
+  }
+
+  // Show modal for moving stock between locations
+  showTransferModal(itemId) {
+    const item = this.inventoryManager.items.find(item => item.id === itemId);
+    if (!item) return;
+    
+    const sourceLocations = item.locations;
+    if (sourceLocations.length === 0) {
+      this.showError('This item has no stock to transfer.');
+      return;
+    }
+    
+    const modal = document.getElementById('item-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Transfer Between Locations</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <h4>${item.manufacturer} - ${item.partNumber}</h4>
+          <p>${item.description}</p>
+          
+          ${this.renderLocationStockTable(item, true)}
+          
+          <form id="transfer-form">
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="transferFrom">From:</label>
+                <select id="transferFrom" class="form-control" required>
+                  ${sourceLocations.map(location => `
+                    <option value="${this.escapeHtml(location)}" ${location === this.locationFilter ? 'selected' : ''}>${this.escapeHtml(location)}</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group half">
+                <label for="transferTo">To:</label>
+                <input type="text" id="transferTo" class="form-control" list="transfer-location-options" placeholder="Warehouse, Trailer, IDF 2..." required>
+                ${this.renderLocationDatalist('transfer-location-options')}
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label>Stock to Move:</label>
+              <div class="radio-group">
+                <label>
+                  <input type="radio" name="transferBucket" value="available" checked>
+                  Available
+                </label>
+                <label>
+                  <input type="radio" name="transferBucket" value="allocated">
+                  Allocated
+                </label>
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label for="transferQuantity">Quantity:</label>
+              <input type="number" id="transferQuantity" class="form-control" min="0.001" step="any" value="1" required>
+            </div>
+            
+            <div class="form-group">
+              <label for="transferNotes">Notes:</label>
+              <textarea id="transferNotes" class="form-control" placeholder="Reason for transfer, who moved it, etc."></textarea>
+            </div>
+            
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">Transfer</button>
+              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    // Form submission
+    document.getElementById('transfer-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const fromLocation = document.getElementById('transferFrom').value;
+      const toLocation = document.getElementById('transferTo').value.trim();
+      const quantity = parseFloat(document.getElementById('transferQuantity').value);
+      const bucket = document.querySelector('input[name="transferBucket"]:checked').value;
+      const notes = document.getElementById('transferNotes').value;
+      
+      try {
+        this.inventoryManager.transferStock(itemId, fromLocation, toLocation, quantity, { bucket, notes });
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        
+        // Close the modal
+        modal.style.display = 'none';
+        
+        // Show success message
+        this.showMessage(`Moved ${quantity} ${item.unitOfMeasure} from ${fromLocation} to ${toLocation}.`);
+      } catch (error) {
+        console.error('Error transferring stock:', error);
+        this.showError('Failed to transfer stock.', error);
+      }
+    });
+  }
+
+  // Show the reels of a cable item with pull logging and a planned-run length check
+  showReelsModal(itemId, plannedRun = null) {
+    const item = this.inventoryManager.items.find(item => item.id === itemId);
+    if (!item) return;
+    
+    const unit = item.unitOfMeasure;
+    const reelTotal = item.reels.reduce((sum, reel) => sum + reel.remainingLength, 0);
+    const fit = plannedRun ? this.inventoryManager.findReelsForRun(itemId, plannedRun) : null;
+    const bestFit = fit && fit.suitable.length > 0 ? fit.suitable[0] : null;
+    
+    const fitLabel = reel => {
+      if (!fit || reel.isEmpty) return '';
+      if (reel === bestFit) return '<span class="reel-fit ok">Best fit</span>';
+      if (reel.canCover(plannedRun)) return '<span class="reel-fit ok">Long enough</span>';
+      return `<span class="reel-fit short">Too short by ${plannedRun - reel.remainingLength} ${unit}</span>`;
+    };
+    
+    const modal = document.getElementById('item-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Cable Reels</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <h4>${this.escapeHtml(item.manufacturer)} - ${this.escapeHtml(item.partNumber)}</h4>
+          <p>${this.escapeHtml(item.description)}</p>
+          <p>
+            ${reelTotal} ${unit} left on ${item.reels.filter(reel => !reel.isEmpty).length} reel(s); ${item.totalQuantity} ${unit} in stock.
+            ${item.reels.length > 0 && reelTotal !== item.totalQuantity
+              ? '<span class="form-hint">Stock includes cable that is not on a tracked reel, or was adjusted without logging a pull.</span>'
+              : ''}
+          </p>
+          
+          <form id="reel-run-form" class="reel-run-form">
+            <label for="plannedRun">Planned run (${unit}):</label>
+            <input type="number" id="plannedRun" class="form-control" min="1" value="${plannedRun || ''}" placeholder="Length of the run">
+            <button type="submit" class="btn btn-sm btn-secondary">Check Reels</button>
+          </form>
+          ${fit && fit.suitable.length === 0 ? `<p class="reel-fit short">No reel has ${plannedRun} ${unit} left in one piece.</p>` : ''}
+          
+          ${item.reels.length > 0 ? `
+            <table class="report-table">
+              <thead>
+                <tr>
+                  <th>Reel</th>
+                  <th>Location</th>
+                  <th>Starting Length</th>
+                  <th>Marks</th>
+                  <th>Current Mark</th>
+                  <th>Remaining</th>
+                  <th>Pulls</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${item.reels.map(reel => `
+                  <tr data-reel-id="${this.escapeHtml(reel.id)}" class="${reel.isEmpty ? 'reel-empty' : ''}">
+                    <td>${this.escapeHtml(reel.id)}</td>
+                    <td>${this.escapeHtml(reel.location)}</td>
+                    <td>${reel.startingLength} ${unit}</td>
+                    <td>${reel.startMark} &rarr; ${reel.endOfReelMark}</td>
+                    <td>${reel.currentMark}</td>
+                    <td>${reel.isEmpty ? 'Empty' : `${reel.remainingLength} ${unit}`} ${fitLabel(reel)}</td>
+                    <td>${reel.pulls.length}</td>
+                    <td class="actions">
+                      ${reel.isEmpty ? '' : '<button class="btn btn-sm btn-primary log-pull-btn">Log Pull</button>'}
+                      <button class="btn btn-sm btn-info reel-pulls-btn">Pulls</button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : '<p>No reels recorded for this item yet.</p>'}
+          
+          <div id="reel-detail"></div>
+          
+          <div class="form-actions">
+            <button type="button" id="add-reel-btn" class="btn btn-primary">Add Reel</button>
+            <button type="button" class="btn btn-secondary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('reel-run-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const length = parseFloat(document.getElementById('plannedRun').value);
+      this.showReelsModal(itemId, length > 0 ? length : null);
+    });
+    
+    document.getElementById('add-reel-btn').addEventListener('click', () => {
+      this.renderAddReelForm(item);
+    });
+    
+    modal.querySelector('tbody')?.addEventListener('click', (e) => {
+      const reelId = e.target.closest('tr')?.dataset.reelId;
+      const reel = item.reels.find(reel => reel.id === reelId);
+      if (!reel) return;
+      
+      if (e.target.classList.contains('log-pull-btn')) {
+        this.renderReelPullForm(item, reel);
+      } else if (e.target.classList.contains('reel-pulls-btn')) {
+        this.renderReelPulls(item, reel);
+      }
+    });
+  }
+
+  // Form for registering a new reel on a cable item
+  renderAddReelForm(item) {
+    const detail = document.getElementById('reel-detail');
+    
+    detail.innerHTML = `
+      <form id="add-reel-form" class="reel-form">
+        <h4>Add Reel</h4>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="reelId">Reel ID:</label>
+            <input type="text" id="reelId" class="form-control" placeholder="Tag on the reel, e.g. R-0042" required>
+          </div>
+          <div class="form-group half">
+            <label for="reelLength">Starting Length (${item.unitOfMeasure}):</label>
+            <input type="number" id="reelLength" class="form-control" min="1" value="1000" required>
+          </div>
+        </div>
+        
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="reelStartMark">First Footage Mark:</label>
+            <input type="number" id="reelStartMark" class="form-control" min="0" value="0" required>
+            <small class="form-hint">The mark printed on the jacket at the free end of the cable.</small>
+          </div>
+          <div class="form-group half">
+            <label for="reelDirection">Marks as Cable Is Pulled:</label>
+            <select id="reelDirection" class="form-control">
+              <option value="up">Count up</option>
+              <option value="down">Count down</option>
+            </select>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label for="reelLocation">Location:</label>
+          <input type="text" id="reelLocation" class="form-control" list="reel-location-options" value="${this.escapeHtml(item.defaultLocation)}" required>
+          ${this.renderLocationDatalist('reel-location-options')}
+        </div>
+        
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="reelAddToStock" checked>
+            Add this reel's length to stock (leave unchecked if the footage is already counted)
+          </label>
+        </div>
+        
+        <div class="form-group">
+          <label for="reelNotes">Notes:</label>
+          <textarea id="reelNotes" class="form-control"></textarea>
+        </div>
+        
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">Save Reel</button>
+        </div>
+      </form>
+    `;
+    
+    document.getElementById('add-reel-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      try {
+        const reel = this.inventoryManager.addReel(item.id, {
+          id: document.getElementById('reelId').value,
+          startingLength: parseFloat(document.getElementById('reelLength').value),
+          startMark: parseFloat(document.getElementById('reelStartMark').value) || 0,
+          markDirection: document.getElementById('reelDirection').value,
+          location: document.getElementById('reelLocation').value.trim(),
+          notes: document.getElementById('reelNotes').value,
+          addToStock: document.getElementById('reelAddToStock').checked
+        });
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        this.showReelsModal(item.id);
+        
+        this.showMessage(`Reel ${reel.id} added.`);
+      } catch (error) {
+        console.error('Error adding reel:', error);
+        this.showError('Failed to add reel.', error);
+      }
+    });
+  }
+
+  // Form for logging a pull between two footage marks
+  renderReelPullForm(item, reel) {
+    const detail = document.getElementById('reel-detail');
+    
+    detail.innerHTML = `
+      <form id="reel-pull-form" class="reel-form">
+        <h4>Log Pull from Reel ${this.escapeHtml(reel.id)}</h4>
+        <p class="form-hint">Marks ${reel.markDirection === 'up' ? 'count up' : 'count down'}; the reel ends at mark ${reel.endOfReelMark}.</p>
+        <div class="form-row">
+          <div class="form-group half">
+            <label for="pullStartMark">Start Mark:</label>
+            <input type="number" id="pullStartMark" class="form-control" value="${reel.currentMark}" required>
+          </div>
+          <div class="form-group half">
+            <label for="pullEndMark">End Mark:</label>
+            <input type="number" id="pullEndMark" class="form-control" required>
+          </div>
+        </div>
+        <p id="pull-length" class="form-hint"></p>
+        
+        <div class="form-group">
+          <label for="pullDestination">Run / Destination:</label>
+          <input type="text" id="pullDestination" class="form-control" list="pull-location-options" placeholder="Drop ID, room, IDF..." required>
+          ${this.renderLocationDatalist('pull-location-options')}
+        </div>
+        
+        <div class="form-group">
+          <label for="pullNotes">Notes:</label>
+          <textarea id="pullNotes" class="form-control"></textarea>
+        </div>
+        
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">Log Pull</button>
+        </div>
+      </form>
+    `;
+    
+    const readMarks = () => ({
+      startMark: parseFloat(document.getElementById('pullStartMark').value),
+      endMark: parseFloat(document.getElementById('pullEndMark').value)
+    });
+    
+    // Show the pull length as the marks are entered
+    const form = document.getElementById('reel-pull-form');
+    form.addEventListener('input', () => {
+      const { startMark, endMark } = readMarks();
+      const output = document.getElementById('pull-length');
+      if (!Number.isFinite(startMark) || !Number.isFinite(endMark)) {
+        output.textContent = '';
+        return;
+      }
+      
+      const length = reel.lengthBetween(startMark, endMark);
+      const skipped = reel.lengthBetween(reel.currentMark, startMark);
+      output.textContent = length === null
+        ? 'The end mark is on the wrong side of the start mark.'
+        : `Pull length: ${length} ${item.unitOfMeasure}` +
+          (skipped ? ` (plus ${skipped} ${item.unitOfMeasure} unlogged since mark ${reel.currentMark})` : '');
+    });
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      try {
+        const pull = this.inventoryManager.recordReelPull(item.id, reel.id, {
+          ...readMarks(),
+          destination: document.getElementById('pullDestination').value,
+          notes: document.getElementById('pullNotes').value
+        });
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        this.showReelsModal(item.id);
+        
+        this.showMessage(`Logged ${pull.length} ${item.unitOfMeasure} from reel ${reel.id}; ${reel.remainingLength} ${item.unitOfMeasure} left.`);
+      } catch (error) {
+        console.error('Error logging pull:', error);
+        this.showError('Failed to log pull.', error);
+      }
+    });
+  }
+
+  // Pull history for one reel
+  renderReelPulls(item, reel) {
+    const detail = document.getElementById('reel-detail');
+    
+    detail.innerHTML = `
+      <h4>Pulls from Reel ${this.escapeHtml(reel.id)}</h4>
+      ${reel.pulls.length > 0 ? `
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Marks</th>
+              <th>Length</th>
+              <th>Run / Destination</th>
+              <th>By</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${reel.pulls.slice().reverse().map(pull => `
+              <tr>
+                <td>${new Date(pull.timestamp).toLocaleString()}</td>
+                <td>${pull.startMark} &rarr; ${pull.endMark}</td>
+                <td>
+                  ${pull.length} ${item.unitOfMeasure}
+                  ${pull.skippedLength ? `<div class="form-hint">+${pull.skippedLength} unlogged</div>` : ''}
+                </td>
+                <td>${this.escapeHtml(pull.destination)}</td>
+                <td>${this.escapeHtml(pull.userName)}</td>
+                <td>${this.escapeHtml(pull.notes)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p>No pulls logged yet.</p>'}
+    `;
+  }
+
+  // Show modal for printing barcode/QR label sheets
+  showLabelModal() {
+    const items = this.getVisibleItems();
+    const modal = document.getElementById('report-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Print Labels</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <div class="label-options no-print">
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="label-symbology">Label Type:</label>
+                <select id="label-symbology" class="form-control">
+                  <option value="qr">QR Code</option>
+                  <option value="code128">Code 128 Barcode</option>
+                  <option value="both">QR Code and Barcode</option>
+                </select>
+              </div>
+              <div class="form-group half">
+                <label for="label-copies">Copies per Item:</label>
+                <input type="number" id="label-copies" class="form-control" min="1" max="50" value="1">
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label>Items (${items.length} shown in the inventory table):</label>
+              <div class="label-item-list">
+                ${items.map(item => `
+                  <label>
+                    <input type="checkbox" class="label-item" value="${item.id}" checked>
+                    ${this.escapeHtml(item.manufacturer)} ${this.escapeHtml(item.partNumber || item.description)}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+          </div>
+          
+          <div id="label-sheet" class="label-sheet"></div>
+          
+          <div class="form-actions">
+            <button id="print-labels-sheet-btn" class="btn btn-primary">Print</button>
+            <button class="btn btn-tertiary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    const renderSheet = () => {
+      const selectedIds = Array.from(modal.querySelectorAll('.label-item:checked')).map(input => input.value);
+      const copies = Math.min(Math.max(parseInt(document.getElementById('label-copies').value, 10) || 1, 1), 50);
+      const symbology = document.getElementById('label-symbology').value;
+      
+      document.getElementById('label-sheet').innerHTML = items
+        .filter(item => selectedIds.includes(item.id))
+        .map(item => this.renderLabel(item, symbology).repeat(copies))
+        .join('');
+    };
+    renderSheet();
+    
+    // Add event listeners
+    modal.querySelector('.label-options').addEventListener('change', renderSheet);
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('print-labels-sheet-btn').addEventListener('click', () => {
+      this.printElement(document.getElementById('label-sheet'), 'Inventory Labels');
+    });
+  }
+
+  // Markup for a single printable label
+  renderLabel(item, symbology) {
+    const payload = this.inventoryManager.getLabelPayload(item);
+    let symbols = '';
+    
+    try {
+      if (symbology === 'qr' || symbology === 'both') {
+        symbols += this.barcodeGenerator.qrSvg(payload, { moduleSize: 3 });
+      }
+      if (symbology === 'code128' || symbology === 'both') {
+        symbols += this.barcodeGenerator.code128Svg(payload, { moduleWidth: 1, height: 40 });
+      }
+    } catch (error) {
+      symbols = `<div class="label-error">${this.escapeHtml(error.message)}</div>`;
+    }
+    
+    return `
+      <div class="label ${symbology}">
+        <div class="label-symbols">${symbols}</div>
+        <div class="label-text">
+          <div class="label-part">${this.escapeHtml(item.manufacturer)} ${this.escapeHtml(item.partNumber)}</div>
+          <div class="label-description">${this.escapeHtml(item.description)}</div>
+          <div class="label-location">${this.escapeHtml(item.defaultLocation)}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Turn on scan mode; a keyboard-wedge scanner types the label text followed by Enter
+  startScanMode() {
+    const scanBar = document.getElementById('scan-bar');
+    
+    scanBar.innerHTML = `
+      <div class="scan-bar-content">
+        <strong>Scan Mode</strong>
+        <input type="text" id="scan-input" class="form-control" placeholder="Scan a label..." autocomplete="off">
+        <select id="scan-action" class="form-control">
+          <option value="remove">Remove</option>
+          <option value="add">Add</option>
+          <option value="allocate">Allocate</option>
+          <option value="deallocate">Return</option>
+        </select>
+        <input type="text" id="scan-location" class="form-control" placeholder="Location (optional)" list="scan-location-options">
+        ${this.renderLocationDatalist('scan-location-options')}
+        <span id="scan-status" class="scan-status">Ready to scan. Scan the same label again to add 1, or press Enter to save.</span>
+        <button id="exit-scan-btn" class="btn btn-sm btn-secondary">Exit</button>
+      </div>
+    `;
+    scanBar.style.display = 'block';
+    this.scanItemId = null;
+    
+    const scanInput = document.getElementById('scan-input');
+    scanInput.focus();
+    
+    scanInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const code = scanInput.value.trim();
+        scanInput.value = '';
+        this.handleScan(code);
+      } else if (e.key === 'Escape') {
+        this.stopScanMode();
+      }
+    });
+    
+    document.getElementById('exit-scan-btn').addEventListener('click', () => {
+      this.stopScanMode();
+    });
+    
+    // Send stray keystrokes back to the scan field so scans aren't lost after a click elsewhere
+    this.scanKeyHandler = (e) => {
+      const field = document.getElementById('scan-input');
+      if (field && !e.target.closest('input, textarea, select')) {
+        field.focus();
+      }
+    };
+    document.addEventListener('keydown', this.scanKeyHandler, true);
+  }
+
+  // Turn off scan mode, saving any adjustment still open
+  stopScanMode() {
+    this.submitScanAdjustment();
+    
+    const scanBar = document.getElementById('scan-bar');
+    if (scanBar) {
+      scanBar.style.display = 'none';
+      scanBar.innerHTML = '';
+    }
+    
+    if (this.scanKeyHandler) {
+      document.removeEventListener('keydown', this.scanKeyHandler, true);
+      this.scanKeyHandler = null;
+    }
+  }
+
+  // Look up a scanned code and open or update the pre-filled adjustment
+  handleScan(code) {
+    const status = document.getElementById('scan-status');
+    
+    // Enter on an empty scan field saves the open adjustment
+    if (!code) {
+      if (this.submitScanAdjustment()) {
+        status.textContent = 'Saved. Ready for the next scan.';
+      }
+      return;
+    }
+    
+    const item = this.inventoryManager.findItemByCode(code);
+    if (!item) {
+      status.textContent = `No item found for "${code}".`;
+      this.showError(`No inventory item matches the scanned code "${code}".`);
+      return;
+    }
+    
+    const label = `${item.manufacturer} ${item.partNumber || item.description}`.trim();
+    const quantityInput = this.isScanAdjustmentOpen() ? document.getElementById('adjustQuantity') : null;
+    
+    if (quantityInput && this.scanItemId === item.id) {
+      // Repeat scans of the same label count up
+      quantityInput.value = (parseInt(quantityInput.value, 10) || 0) + 1;
+      status.textContent = `${label}: ${quantityInput.value}`;
+    } else {
+      // A different item saves the previous one first
+      this.submitScanAdjustment();
+      
+      this.scanItemId = item.id;
+      this.showAdjustQuantityModal(item.id, {
+        adjustmentType: document.getElementById('scan-action').value,
+        quantity: 1,
+        location: document.getElementById('scan-location').value.trim() || undefined,
+        notes: 'Scanned'
+      });
+      status.textContent = `${label}: 1`;
+    }
+    
+    document.getElementById('scan-input').focus();
+  }
+
+  // Whether the adjustment opened by the last scan is still on screen
+  isScanAdjustmentOpen() {
+    const modal = document.getElementById('item-modal');
+    return Boolean(this.scanItemId && modal && modal.style.display === 'block' && document.getElementById('adjust-form'));
+  }
+
+  // Submit the adjustment opened by scanning, if it's still open
+  submitScanAdjustment() {
+    if (!this.isScanAdjustmentOpen()) {
+      this.scanItemId = null;
+      return false;
+    }
+    
+    document.getElementById('adjust-form').requestSubmit();
+    this.scanItemId = null;
+    return true;
+  }
+
+  // Table of an item's available/allocated stock at each location
+  renderLocationStockTable(item, always = false) {
+    const locations = item.locations;
+    if (locations.length === 0 || (locations.length === 1 && !always)) {
+      return '';
+    }
+    
+    return `
+      <table class="report-table location-stock-table">
+        <thead>
+          <tr>
+            <th>Location</th>
+            <th>Available</th>
+            <th>Allocated</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${locations.map(location => `
+            <tr>
+              <td>${this.escapeHtml(location)}${location === item.defaultLocation ? ' <em>(default)</em>' : ''}</td>
+              <td>${item.stockByLocation[location].available} ${item.unitOfMeasure}</td>
+              <td>${item.stockByLocation[location].allocated} ${item.unitOfMeasure}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Datalist of known locations for free-text location inputs
+  renderLocationDatalist(id) {
+    return `
+      <datalist id="${id}">
+        ${this.inventoryManager.getLocations().map(location => `
+          <option value="${this.escapeHtml(location)}"></option>
+        `).join('')}
+      </datalist>
+    `;
+  }
+
+  // Show the transaction ledger for an item
+  showItemHistoryModal(itemId) {
+    const item = this.inventoryManager.items.find(item => item.id === itemId) ||
+      this.inventoryManager.deletedItems.find(item => item.id === itemId);
+    if (!item) return;
+    
+    const history = this.inventoryManager.getItemHistory(itemId);
+    const typeLabels = {
+      create: 'Created',
+      update: 'Edited',
+      delete: 'Deleted',
+      add: 'Added',
+      remove: 'Removed',
+      allocate: 'Allocated',
+      deallocate: 'Returned',
+      transfer: 'Transferred',
+      restore: 'Restored',
+      purge: 'Deleted permanently',
+      undo: 'Undone',
+      denied: 'Denied'
+    };
+    // Cost changes stay hidden from roles that can't see costs
+    const hiddenFields = this.inventoryManager.can('viewCost') ? [] : ['cost', 'lastCost'];
+    
+    const modal = document.getElementById('item-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content history-modal">
+        <div class="modal-header">
+          <h3>Item History</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <h4>${item.manufacturer} - ${item.partNumber}</h4>
+          <p>${item.description}</p>
+          
+          ${history.length > 0
+            ? `<table class="report-table history-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Location</th>
+                    <th>Available</th>
+                    <th>Allocated</th>
+                    <th>Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${history.map(transaction => `
+                    <tr>
+                      <td>${new Date(transaction.timestamp).toLocaleString()}</td>
+                      <td>${this.escapeHtml(transaction.userName)}</td>
+                      <td>
+                        ${typeLabels[transaction.type] || transaction.type}
+                        ${transaction.source === 'po_sync' ? '<span class="source-tag">PO Sync</span>' : ''}
+                        ${transaction.source === 'receiving' ? '<span class="source-tag">Receiving</span>' : ''}
+                        ${transaction.source === 'rfi' ? '<span class="source-tag">RFI</span>' : ''}
+                        ${transaction.source === 'kit' ? '<span class="source-tag">Kit</span>' : ''}
+                      </td>
+                      <td>
+                        ${this.escapeHtml(transaction.location)}
+                        ${transaction.toLocation ? `&rarr; ${this.escapeHtml(transaction.toLocation)} (${transaction.quantityChange})` : ''}
+                      </td>
+                      <td>${transaction.availableBefore} &rarr; ${transaction.availableAfter}</td>
+                      <td>${transaction.allocatedBefore} &rarr; ${transaction.allocatedAfter}</td>
+                      <td>
+                        ${this.escapeHtml(transaction.notes)}
+                        ${transaction.enteredUnit ? `<div class="history-reference">Entered as ${transaction.enteredQuantity} ${this.escapeHtml(transaction.enteredUnit)}</div>` : ''}
+                        ${transaction.reference ? `<div class="history-reference">Ref: ${this.escapeHtml(transaction.reference)}</div>` : ''}
+                        ${Object.entries(transaction.changes).filter(([field]) => !hiddenFields.includes(field)).map(([field, change]) => `
+                          <div class="history-change">${field}: ${this.escapeHtml(change.from)} &rarr; ${this.escapeHtml(change.to)}</div>
+                        `).join('')}
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>`
+            : '<p>No transactions recorded for this item.</p>'
+          }
+          
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+  }
+
+  // Explain an error in terms of what the user can do about it
+  describeError(error) {
+    if (error instanceof ProcoreAuthError) {
+      return 'Your Procore session has expired or was revoked. Please log in again.';
+    }
+    if (error instanceof ProcorePermissionError) {
+      return 'Your Procore account does not have permission for this. Ask your Procore administrator for access.';
+    }
+    if (error instanceof ProcoreNotFoundError) {
+      return 'The record was not found in Procore. It may have been deleted, or you may not have access to it.';
+    }
+    if (error instanceof ProcoreValidationError) {
+      return `Procore rejected the data: ${error.message}. Check the values and try again.`;
+    }
+    if (error instanceof ProcoreNetworkError) {
+      return 'Procore could not be reached. Check your internet connection and try again.';
+    }
+    if (error instanceof ProcoreAPIError) {
+      if (error.status === 429) {
+        return 'Procore is limiting requests right now. Wait a minute and try again.';
+      }
+      if (error.status >= 500) {
+        return `Procore is having problems (error ${error.status}). Try again in a few minutes.`;
+      }
+      return error.message;
+    }
+    return error.message || String(error);
+  }
+
+  // Attributes disabling a control the current role can't use, naming the role it needs
+  permissionAttributes(action) {
+    if (this.inventoryManager.can(action)) return '';
+    
+    const requiredRole = this.inventoryManager.getRoleLabel(this.inventoryManager.permissions[action].role);
+    return `disabled title="Requires the ${this.escapeHtml(requiredRole)} role"`;
+  }
+
+  // Escape user-entered text before inserting it into markup
+  escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Confirm before deleting an item
+  confirmDeleteItem(itemId) {
+    const item = this.inventoryManager.items.find(item => item.id === itemId);
+    if (!item) return;
+    
+    if (confirm(`Move "${item.manufacturer} ${item.partNumber}" to the trash? It can be restored from the trash until it is deleted permanently.`)) {
+      try {
         this.inventoryManager.deleteItem(itemId);
         
-        // Save to Procore/localStorage
-        this.inventoryManager.saveInventory(this.currentProject.id);
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        
+        // Show success message
+        this.showUndoMessage('Item moved to the trash.');
+      } catch (error) {
+        console.error('Error deleting item:', error);
+        this.showError('Failed to delete item.', error);
+      }
+    }
+  }
+
+  // Kit definitions with how many complete kits current stock can build
+  showKitsModal() {
+    const modal = document.getElementById('report-modal');
+    const manager = this.inventoryManager;
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Kits</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="form-hint">
+            Kits are assemblies installed as a unit, like a camera drop. Buildable counts use the available
+            stock of every component across all locations; issuing checks the stock at one location.
+          </p>
+          ${manager.kits.length > 0
+            ? `<table class="report-table kits-table">
+                <thead>
+                  <tr>
+                    <th>Kit</th>
+                    <th>Components</th>
+                    <th>Buildable</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${manager.kits.map(kit => {
+                    const availability = manager.getKitAvailability(kit);
+                    return `
+                      <tr data-kit-id="${kit.id}">
+                        <td>
+                          ${this.escapeHtml(kit.name)}
+                          ${kit.description ? `<div class="history-reference">${this.escapeHtml(kit.description)}</div>` : ''}
+                        </td>
+                        <td>
+                          ${availability.components.map(component => `
+                            <div class="${component.buildable < 1 ? 'kit-short' : ''}">
+                              ${component.item
+                                ? `${component.quantity} ${component.item.unitOfMeasure} ${this.escapeHtml(`${component.item.manufacturer} ${component.item.partNumber || component.item.description}`.trim())}`
+                                : `${component.quantity} of a deleted item`}
+                            </div>
+                          `).join('')}
+                        </td>
+                        <td class="${availability.buildable < 1 ? 'kit-short' : ''}">${availability.buildable}</td>
+                        <td class="actions">
+                          <button type="button" class="btn btn-sm btn-warning kit-issue-btn" ${this.permissionAttributes('adjustStock')}>Allocate / Issue</button>
+                          <button type="button" class="btn btn-sm btn-primary kit-edit-btn" ${this.permissionAttributes('editItem')}>Edit</button>
+                          <button type="button" class="btn btn-sm btn-danger kit-delete-btn" ${this.permissionAttributes('editItem')}>Delete</button>
+                        </td>
+                      </tr>
+                    `;
+                  }).join('')}
+                </tbody>
+              </table>`
+            : '<p>No kits defined yet.</p>'
+          }
+          
+          <div class="form-actions">
+            <button type="button" id="kit-add-btn" class="btn btn-success" ${this.permissionAttributes('editItem')}>New Kit</button>
+            <button type="button" class="btn btn-tertiary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('kit-add-btn').addEventListener('click', () => {
+      this.showKitEditor();
+    });
+    
+    const table = modal.querySelector('.kits-table');
+    if (!table) return;
+    
+    table.addEventListener('click', (e) => {
+      const kitId = e.target.closest('tr')?.dataset.kitId;
+      const kit = manager.kits.find(kit => kit.id === kitId);
+      if (!kit) return;
+      
+      if (e.target.classList.contains('kit-issue-btn')) {
+        this.showIssueKitModal(kitId);
+      } else if (e.target.classList.contains('kit-edit-btn')) {
+        this.showKitEditor(kitId);
+      } else if (e.target.classList.contains('kit-delete-btn')) {
+        if (!confirm(`Delete the kit "${kit.name}"? Its component items are not affected.`)) return;
+        
+        try {
+          manager.deleteKit(kitId);
+          manager.saveInventory(this.currentProject.id);
+          this.showKitsModal();
+          this.showMessage('Kit deleted.');
+        } catch (error) {
+          console.error('Error deleting kit:', error);
+          this.showError('Failed to delete kit.', error);
+        }
+      }
+    });
+  }
+
+  // Form for creating or editing a kit's components
+  showKitEditor(kitId = null) {
+    const modal = document.getElementById('report-modal');
+    const kit = kitId ? this.inventoryManager.kits.find(kit => kit.id === kitId) : null;
+    const components = kit
+      ? kit.components.map(component => ({ ...component }))
+      : [{ itemId: '', quantity: 1 }];
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>${kit ? 'Edit Kit' : 'New Kit'}</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="kit-form">
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="kitName">Name:</label>
+                <input type="text" id="kitName" class="form-control" required placeholder="e.g. Camera drop"
+                  value="${kit ? this.escapeHtml(kit.name) : ''}">
+              </div>
+              <div class="form-group half">
+                <label for="kitDescription">Description:</label>
+                <input type="text" id="kitDescription" class="form-control" value="${kit ? this.escapeHtml(kit.description) : ''}">
+              </div>
+            </div>
+            
+            <h4>Components</h4>
+            <p class="form-hint">Quantities are per kit, in each item's stock unit.</p>
+            <div id="kit-components"></div>
+            
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">Save Kit</button>
+              <button type="button" id="kit-back-btn" class="btn btn-tertiary">Back to Kits</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('kit-back-btn').addEventListener('click', () => {
+      this.showKitsModal();
+    });
+    
+    this.renderKitComponents(components);
+    
+    document.getElementById('kit-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const kitData = {
+        name: document.getElementById('kitName').value.trim(),
+        description: document.getElementById('kitDescription').value.trim(),
+        components: components.filter(component => component.itemId),
+        projectId: this.currentProject.id
+      };
+      
+      try {
+        if (kit) {
+          this.inventoryManager.updateKit(kit.id, kitData);
+        } else {
+          this.inventoryManager.addKit(kitData);
+        }
+        
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        this.showKitsModal();
+        this.showMessage(`Kit successfully ${kit ? 'updated' : 'added'}.`);
+      } catch (error) {
+        console.error('Error saving kit:', error);
+        this.showError(`Failed to ${kit ? 'update' : 'add'} kit.`, error);
+      }
+    });
+  }
+
+  // Editable component rows; edits go straight into the components array
+  renderKitComponents(components) {
+    const container = document.getElementById('kit-components');
+    const items = this.inventoryManager.items;
+    
+    container.innerHTML = `
+      <table class="report-table kit-components-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Quantity per Kit</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${components.map((component, index) => {
+            const item = items.find(item => item.id === component.itemId);
+            return `
+              <tr data-component="${index}">
+                <td>
+                  <select class="form-control" data-field="itemId">
+                    <option value="">-- Select Item --</option>
+                    ${component.itemId && !item ? '<option value="" selected>(deleted item)</option>' : ''}
+                    ${items.map(option => `
+                      <option value="${option.id}" ${option.id === component.itemId ? 'selected' : ''}>
+                        ${this.escapeHtml(`${option.manufacturer} ${option.partNumber || option.description}`.trim())}
+                      </option>
+                    `).join('')}
+                  </select>
+                </td>
+                <td>
+                  <input type="number" class="form-control kit-quantity" data-field="quantity" value="${component.quantity}" min="0" step="any">
+                  ${item ? this.escapeHtml(item.unitOfMeasure) : ''}
+                </td>
+                <td><button type="button" class="btn btn-sm btn-danger kit-component-remove" title="Remove component">&times;</button></td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      <button type="button" id="kit-component-add-btn" class="btn btn-sm btn-secondary">Add Component</button>
+    `;
+    
+    const table = container.querySelector('.kit-components-table');
+    table.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      
+      const component = components[e.target.closest('tr').dataset.component];
+      if (field === 'quantity') {
+        component.quantity = parseFloat(e.target.value) || 0;
+      } else {
+        component.itemId = e.target.value;
+        this.renderKitComponents(components); // Show the new item's unit
+      }
+    });
+    
+    table.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('kit-component-remove')) return;
+      components.splice(Number(e.target.closest('tr').dataset.component), 1);
+      this.renderKitComponents(components);
+    });
+    
+    document.getElementById('kit-component-add-btn').addEventListener('click', () => {
+      components.push({ itemId: '', quantity: 1 });
+      this.renderKitComponents(components);
+    });
+  }
+
+  // Allocate or issue kits from one location, with a shortage report for the requested count
+  showIssueKitModal(kitId) {
+    const manager = this.inventoryManager;
+    const kit = manager.kits.find(kit => kit.id === kitId);
+    if (!kit) return;
+    
+    const firstItem = kit.components
+      .map(component => manager.items.find(item => item.id === component.itemId))
+      .find(Boolean);
+    const defaultLocation = this.locationFilter || (firstItem ? firstItem.defaultLocation : '');
+    
+    const modal = document.getElementById('report-modal');
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Allocate / Issue Kit</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <h4>${this.escapeHtml(kit.name)}</h4>
+          ${kit.description ? `<p>${this.escapeHtml(kit.description)}</p>` : ''}
+          
+          <form id="kit-issue-form">
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="kitCount">Number of Kits:</label>
+                <input type="number" id="kitCount" class="form-control" value="1" min="1" step="1" required>
+              </div>
+              <div class="form-group half">
+                <label for="kitLocation">From Location:</label>
+                <input type="text" id="kitLocation" class="form-control" list="kit-location-options" required
+                  value="${this.escapeHtml(defaultLocation)}">
+                ${this.renderLocationDatalist('kit-location-options')}
+              </div>
+            </div>
+            
+            <div class="form-group">
+              <label>Action:</label>
+              <div class="radio-group">
+                <label>
+                  <input type="radio" name="kitMode" value="allocate" checked>
+                  Allocate (reserve the components for the work)
+                </label>
+                <label>
+                  <input type="radio" name="kitMode" value="issue">
+                  Issue (remove the components from stock)
+                </label>
+                <label>
+                  <input type="radio" name="kitMode" value="issueAllocated">
+                  Issue allocated (remove kits allocated earlier)
+                </label>
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="kitReference">Reference:</label>
+                <input type="text" id="kitReference" class="form-control" placeholder="Optional, e.g. drawing or room number">
+              </div>
+              <div class="form-group half">
+                <label for="kitNotes">Notes:</label>
+                <input type="text" id="kitNotes" class="form-control">
+              </div>
+            </div>
+            
+            <div id="kit-issue-preview"></div>
+            
+            <div class="form-actions">
+              <button type="submit" id="kit-issue-submit" class="btn btn-primary">Allocate / Issue</button>
+              <button type="button" id="kit-issue-back-btn" class="btn btn-tertiary">Back to Kits</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('kit-issue-back-btn').addEventListener('click', () => {
+      this.showKitsModal();
+    });
+    
+    const readCount = () => parseInt(document.getElementById('kitCount').value, 10) || 0;
+    const readLocation = () => document.getElementById('kitLocation').value.trim();
+    const readMode = () => document.querySelector('input[name="kitMode"]:checked').value;
+    
+    // Required against available (or, for allocated kits, allocated) stock for each component,
+    // flagging shortages
+    const renderPreview = () => {
+      const count = readCount();
+      const location = readLocation();
+      const bucket = readMode() === 'issueAllocated' ? 'allocated' : 'available';
+      const availability = manager.getKitAvailability(kit, location, bucket);
+      const shortages = manager.getKitShortages(kit, count, location, bucket);
+      
+      document.getElementById('kit-issue-preview').innerHTML = `
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>Component</th>
+              <th>Per Kit</th>
+              <th>Required</th>
+              <th>${bucket === 'allocated' ? 'Allocated' : 'Available'}${location ? ` at ${this.escapeHtml(location)}` : ''}</th>
+              <th>Short</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${availability.components.map(component => {
+              const shortage = shortages.find(shortage => shortage.itemId === component.itemId);
+              const unit = component.item ? component.item.unitOfMeasure : '';
+              return `
+                <tr class="${shortage ? 'kit-short' : ''}">
+                  <td>${component.item
+                    ? this.escapeHtml(`${component.item.manufacturer} ${component.item.partNumber || component.item.description}`.trim())
+                    : 'Deleted item'}</td>
+                  <td>${component.quantity} ${unit}</td>
+                  <td>${Math.round(component.quantity * count * 10000) / 10000} ${unit}</td>
+                  <td>${component.available} ${unit}</td>
+                  <td>${shortage ? `${shortage.shortage} ${unit}` : ''}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+        <p class="form-hint">
+          ${location ? `${availability.buildable} complete kit(s) can be ${bucket === 'allocated' ? 'issued from the allocated' : 'built from the'} stock at ${this.escapeHtml(location)}.` : 'Choose a location.'}
+          ${shortages.length > 0 ? `${shortages.length} component(s) are short for ${count} kit(s).` : ''}
+        </p>
+      `;
+      document.getElementById('kit-issue-submit').disabled = shortages.length > 0 || count < 1 || !location;
+    };
+    
+    document.getElementById('kitCount').addEventListener('input', renderPreview);
+    document.getElementById('kitLocation').addEventListener('input', renderPreview);
+    document.querySelectorAll('input[name="kitMode"]').forEach(input => input.addEventListener('change', renderPreview));
+    renderPreview();
+    
+    document.getElementById('kit-issue-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const mode = readMode();
+      const count = readCount();
+      const location = readLocation();
+      
+      try {
+        manager.issueKit(kit.id, count, {
+          mode,
+          location,
+          reference: document.getElementById('kitReference').value.trim(),
+          notes: document.getElementById('kitNotes').value.trim()
+        });
+        
+        manager.saveInventory(this.currentProject.id);
+        this.refreshInventoryTable();
+        modal.style.display = 'none';
+        this.showMessage(`${count} x ${kit.name} ${mode === 'allocate' ? 'allocated' : 'issued'} from ${mode === 'issueAllocated' ? 'allocated stock at ' : ''}${location}.`);
+      } catch (error) {
+        console.error('Error issuing kit:', error);
+        this.showError(`Failed to ${mode === 'allocate' ? 'allocate' : 'issue'} kit.`, error);
+      }
+    });
+  }
+
+  // Label for the Trash button, with the number of deleted items
+  getTrashLabel() {
+    const count = this.inventoryManager.deletedItems.length;
+    return count > 0 ? `Trash (${count})` : 'Trash';
+  }
+
+  // Deleted items, with restore and permanent delete
+  showTrashModal() {
+    const modal = document.getElementById('report-modal');
+    const items = this.inventoryManager.getDeletedItems();
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Trash</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="form-hint">
+            Deleted items keep their stock and history. Restoring an item puts its stock back in the inventory;
+            deleting it permanently removes the item but keeps its ledger entries.
+          </p>
+          ${items.length > 0
+            ? `<table class="report-table trash-table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Available</th>
+                    <th>Allocated</th>
+                    <th>Deleted</th>
+                    <th>Deleted By</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${items.map(item => `
+                    <tr data-item-id="${item.id}">
+                      <td>
+                        ${this.escapeHtml(item.manufacturer)} - ${this.escapeHtml(item.partNumber)}
+                        <div class="history-reference">${this.escapeHtml(item.description)}</div>
+                      </td>
+                      <td>${item.quantityAvailable} ${item.unitOfMeasure}</td>
+                      <td>${item.quantityAllocated} ${item.unitOfMeasure}</td>
+                      <td>${new Date(item.deletedAt).toLocaleString()}</td>
+                      <td>${this.escapeHtml(item.deletedBy ? item.deletedBy.name : 'Unknown User')}</td>
+                      <td class="actions">
+                        <button type="button" class="btn btn-sm btn-success restore-btn" ${this.permissionAttributes('deleteItem')}>Restore</button>
+                        <button type="button" class="btn btn-sm btn-info history-btn">History</button>
+                        <button type="button" class="btn btn-sm btn-danger purge-btn" ${this.permissionAttributes('deleteItem')}>Delete Permanently</button>
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>`
+            : '<p>The trash is empty.</p>'
+          }
+          
+          <div class="form-actions">
+            <button type="button" class="btn btn-tertiary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    const table = modal.querySelector('.trash-table');
+    if (!table) return;
+    
+    table.addEventListener('click', (e) => {
+      const itemId = e.target.closest('tr')?.dataset.itemId;
+      const item = items.find(item => item.id === itemId);
+      if (!item) return;
+      
+      if (e.target.classList.contains('history-btn')) {
+        modal.style.display = 'none';
+        this.showItemHistoryModal(itemId);
+        return;
+      }
+      
+      const purge = e.target.classList.contains('purge-btn');
+      if (!purge && !e.target.classList.contains('restore-btn')) return;
+      if (purge && !confirm(`Permanently delete "${item.manufacturer} ${item.partNumber}"? This cannot be undone.`)) return;
+      
+      try {
+        if (purge) {
+          this.inventoryManager.purgeItem(itemId);
+        } else {
+          this.inventoryManager.restoreItem(itemId);
+        }
+        
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        this.refreshInventoryTable();
+        this.showTrashModal();
+        this.showMessage(purge ? 'Item permanently deleted.' : 'Item restored.');
+      } catch (error) {
+        console.error('Error updating trash:', error);
+        this.showError(`Failed to ${purge ? 'delete' : 'restore'} item.`, error);
+      }
+    });
+  }
+
+  // Show export options: columns, delimiter and byte order mark. Only the rows matching
+  // the current search and location filter are exported.
+  exportInventory() {
+    const modal = document.getElementById('report-modal');
+    const items = this.getVisibleItems();
+    const totalCount = this.inventoryManager.items.length;
+    const columns = this.inventoryManager.getExportColumns(items);
+    const settings = this.loadExportSettings();
+    const delimiters = {
+      comma: { char: ',', label: 'Comma (,)' },
+      semicolon: { char: ';', label: 'Semicolon (;)' },
+      tab: { char: '\t', label: 'Tab' }
+    };
+    const isSelected = column => settings.columns
+      ? settings.columns.includes(column.key)
+      : !column.custom;
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Export to CSV</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="export-form">
+            <p>${items.length < totalCount
+              ? `Exporting the ${items.length} of ${totalCount} items that match the current search and location filter.`
+              : `Exporting all ${totalCount} items.`}
+              ${this.locationFilter ? `Quantities are the stock at ${this.escapeHtml(this.locationFilter)}.` : ''}</p>
+            
+            <div class="form-group">
+              <label>Columns</label>
+              <div class="export-columns">
+                ${columns.map(column => `
+                  <label class="export-column">
+                    <input type="checkbox" name="exportColumn" value="${this.escapeHtml(column.key)}" ${isSelected(column) ? 'checked' : ''}>
+                    ${this.escapeHtml(column.label)}${column.custom ? ' <span class="form-hint">(custom field)</span>' : ''}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+            
+            <div class="form-row">
+              <div class="form-group">
+                <label for="exportDelimiter">Delimiter</label>
+                <select id="exportDelimiter" class="form-control">
+                  ${Object.entries(delimiters).map(([name, option]) => `
+                    <option value="${name}" ${settings.delimiter === option.char ? 'selected' : ''}>${option.label}</option>
+                  `).join('')}
+                </select>
+              </div>
+              
+              <div class="form-group">
+                <label>
+                  <input type="checkbox" id="exportBom" ${settings.includeBom ? 'checked' : ''}>
+                  Add byte order mark (needed for Excel to read accented characters)
+                </label>
+              </div>
+            </div>
+            
+            <div class="form-actions">
+              <button type="submit" class="btn btn-primary">Download</button>
+              <button type="button" class="btn btn-secondary cancel-modal">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('export-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      
+      const selected = [...modal.querySelectorAll('input[name="exportColumn"]:checked')]
+        .map(input => input.value);
+      
+      if (selected.length === 0) {
+        this.showError('Select at least one column to export.');
+        return;
+      }
+      
+      const exportSettings = {
+        columns: selected,
+        delimiter: delimiters[document.getElementById('exportDelimiter').value].char,
+        includeBom: document.getElementById('exportBom').checked
+      };
+      this.saveExportSettings(exportSettings);
+      
+      const csvContent = this.inventoryManager.exportToCSV({ ...exportSettings, items, location: this.locationFilter });
+      const isTab = exportSettings.delimiter === '\t';
+      const blob = new Blob([csvContent], {
+        type: isTab ? 'text/tab-separated-values;charset=utf-8;' : 'text/csv;charset=utf-8;'
+      });
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${this.currentProject.name}_LV_Inventory_${new Date().toISOString().split('T')[0]}.${isTab ? 'tsv' : 'csv'}`);
+      document.body.appendChild(link);
+      
+      link.click();
+      document.body.removeChild(link);
+      
+      modal.style.display = 'none';
+    });
+  }
+
+  // Export choices are remembered per browser
+  loadExportSettings() {
+    const defaults = { columns: null, delimiter: ',', includeBom: true };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem('lv_csv_export_settings') || '{}') };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveExportSettings(settings) {
+    localStorage.setItem('lv_csv_export_settings', JSON.stringify(settings));
+  }
+
+  // Show the CSV import wizard: choose a file, map columns, preview, then commit
+  showImportModal() {
+    const modal = document.getElementById('report-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Import Inventory from CSV</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body" id="import-step">
+          <p>Choose a CSV file (this app's own export works too) or paste CSV text. The first row must contain column headers.</p>
+          <div class="form-group">
+            <input type="file" id="import-file" class="form-control" accept=".csv,.tsv,.txt,text/csv">
+          </div>
+          <div class="form-group">
+            <textarea id="import-text" class="form-control import-text" placeholder="...or paste CSV here"></textarea>
+          </div>
+          <div class="form-actions">
+            <button id="import-next-btn" class="btn btn-primary">Next: Map Columns</button>
+            <button class="btn btn-secondary cancel-modal">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('import-next-btn').addEventListener('click', async () => {
+      try {
+        const file = document.getElementById('import-file').files[0];
+        const text = file ? await file.text() : document.getElementById('import-text').value;
+        const rows = CSVFormat.parse(text);
+        
+        if (rows.length < 2) {
+          throw new Error('The CSV needs a header row and at least one data row.');
+        }
+        
+        this.renderImportMapping(rows[0], rows.slice(1));
+      } catch (error) {
+        console.error('Error reading CSV:', error);
+        this.showError('Could not read the CSV.', error);
+      }
+    });
+  }
+
+  // Step 2 of the import wizard: map each CSV column to an inventory field
+  renderImportMapping(headers, rows) {
+    const fields = this.inventoryManager.getImportFields();
+    const mapping = this.inventoryManager.autoMapColumns(headers);
+    const step = document.getElementById('import-step');
+    
+    step.innerHTML = `
+      <p>${rows.length} data row${rows.length === 1 ? '' : 's'} found. Check which inventory field each column should fill. Existing items are matched by ID or part number.</p>
+      <table class="report-table import-mapping">
+        <thead>
+          <tr>
+            <th>CSV Column</th>
+            <th>Sample Values</th>
+            <th>Import As</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${headers.map((header, column) => `
+            <tr>
+              <td>${this.escapeHtml(header)}</td>
+              <td class="import-sample">${rows.slice(0, 3).map(row => this.escapeHtml(row[column] || '')).join('<br>')}</td>
+              <td>
+                <select class="form-control import-field" data-column="${column}">
+                  <option value="">-- Ignore --</option>
+                  ${fields.map(def => `
+                    <option value="${def.field}" ${mapping[column] === def.field ? 'selected' : ''}>${def.label}</option>
+                  `).join('')}
+                </select>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="form-actions">
+        <button id="import-preview-btn" class="btn btn-primary">Next: Preview</button>
+        <button class="btn btn-secondary cancel-modal">Cancel</button>
+      </div>
+    `;
+    
+    step.querySelector('.cancel-modal').addEventListener('click', () => {
+      document.getElementById('report-modal').style.display = 'none';
+    });
+    
+    document.getElementById('import-preview-btn').addEventListener('click', () => {
+      const selectedMapping = headers.map((header, column) =>
+        step.querySelector(`.import-field[data-column="${column}"]`).value
+      );
+      
+      try {
+        const plan = this.inventoryManager.planImport(rows, selectedMapping);
+        this.renderImportPreview(plan, () => this.renderImportMapping(headers, rows));
+      } catch (error) {
+        this.showError('Check the column mapping.', error);
+      }
+    });
+  }
+
+  // Step 3 of the import wizard: show creates, updates and row errors before committing
+  renderImportPreview(plan, onBack) {
+    const step = document.getElementById('import-step');
+    const fieldLabels = Object.fromEntries(
+      this.inventoryManager.getImportFields().map(def => [def.field, def.label])
+    );
+    const importCount = plan.creates.length + plan.updates.length;
+    
+    step.innerHTML = `
+      <div class="report-summary">
+        <div class="summary-card">
+          <div class="card-title">New Items</div>
+          <div class="card-value">${plan.creates.length}</div>
+        </div>
+        <div class="summary-card">
+          <div class="card-title">Updates</div>
+          <div class="card-value">${plan.updates.length}</div>
+        </div>
+        <div class="summary-card">
+          <div class="card-title">Unchanged</div>
+          <div class="card-value">${plan.unchanged.length}</div>
+        </div>
+        <div class="summary-card">
+          <div class="card-title">Rows with Errors</div>
+          <div class="card-value ${plan.errors.length > 0 ? 'error-value' : ''}">${plan.errors.length}</div>
+        </div>
+      </div>
+      
+      ${plan.errors.length > 0 ? `
+        <h4>Errors (these rows will be skipped)</h4>
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Problems</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${plan.errors.map(entry => `
+              <tr>
+                <td>${entry.rowNumber}</td>
+                <td>${entry.messages.map(message => this.escapeHtml(message)).join('<br>')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      ${plan.creates.length > 0 ? `
+        <h4>New Items</h4>
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Item</th>
+              <th>Category</th>
+              <th>Available</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${plan.creates.map(entry => `
+              <tr>
+                <td>${entry.rowNumber}</td>
+                <td>${this.escapeHtml(entry.data.manufacturer)} ${this.escapeHtml(entry.data.partNumber || entry.data.description)}</td>
+                <td>${this.escapeHtml(entry.data.category)}</td>
+                <td>${entry.data.quantityAvailable || 0} ${this.escapeHtml(entry.data.unitOfMeasure)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      ${plan.updates.length > 0 ? `
+        <h4>Updates to Existing Items</h4>
+        <table class="report-table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              <th>Item</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${plan.updates.map(entry => `
+              <tr>
+                <td>${entry.rowNumber}</td>
+                <td>${this.escapeHtml(entry.item.manufacturer)} ${this.escapeHtml(entry.item.partNumber || entry.item.description)}</td>
+                <td>
+                  ${Object.entries(entry.changes).map(([field, change]) => `
+                    <div>${fieldLabels[field] || field}: ${this.escapeHtml(change.from)} &rarr; ${this.escapeHtml(change.to)}</div>
+                  `).join('')}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      <div class="form-actions">
+        <button id="import-commit-btn" class="btn btn-success" ${importCount === 0 ? 'disabled' : ''}>Import ${importCount} Item${importCount === 1 ? '' : 's'}</button>
+        <button id="import-back-btn" class="btn btn-secondary">Back</button>
+        <button class="btn btn-secondary cancel-modal">Cancel</button>
+      </div>
+    `;
+    
+    step.querySelector('.cancel-modal').addEventListener('click', () => {
+      document.getElementById('report-modal').style.display = 'none';
+    });
+    
+    document.getElementById('import-back-btn').addEventListener('click', onBack);
+    
+    document.getElementById('import-commit-btn').addEventListener('click', () => {
+      try {
+        const result = this.inventoryManager.applyImport(plan, this.currentProject.id);
+        
+        // Save to Procore/localStorage
+        this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        document.getElementById('report-modal').style.display = 'none';
+        
+        this.showMessage(`Import complete: ${result.created} added, ${result.updated} updated.`);
+        if (result.failed.length > 0) {
+          this.showError(`${result.failed.length} row(s) could not be applied: ${result.failed.map(entry => `row ${entry.rowNumber}: ${entry.message}`).join('; ')}`);
+        }
+      } catch (error) {
+        console.error('Error importing inventory:', error);
+        this.showError('Failed to import inventory.', error);
+      }
+    });
+  }
+
+  // Preview a PO sync and let the user accept, reject or re-map each line before anything is saved
+  async showPurchaseOrderSyncModal() {
+    const modal = document.getElementById('report-modal');
+    const controller = new AbortController();
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Sync Purchase Orders</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body" id="po-sync-body">
+          <p>Checking Procore purchase orders...</p>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Closing the preview cancels any requests still running
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      controller.abort();
+      modal.style.display = 'none';
+    });
+    
+    let plan;
+    try {
+      plan = await this.syncManager.syncWithPurchaseOrders(this.currentProject.id, {
+        signal: controller.signal,
+        dryRun: true
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      modal.style.display = 'none';
+      this.showError('Failed to load purchase orders.', error);
+      return;
+    }
+    
+    // Everything except unchanged lines starts out accepted; weak matches wait for a decision
+    const rows = plan
+      .filter(entry => entry.action !== 'unchanged')
+      .map(entry => ({ entry, accepted: entry.action !== 'error' && entry.action !== 'review' }));
+    
+    this.renderPurchaseOrderSyncReview(rows, plan.filter(entry => entry.action === 'unchanged'));
+  }
+
+  // Review table for a planned PO sync
+  renderPurchaseOrderSyncReview(rows, unchangedEntries) {
+    const body = document.getElementById('po-sync-body');
+    const items = this.inventoryManager.items;
+    const actionLabels = {
+      create: 'New item',
+      post: 'Add stock',
+      adjust: 'Line changed',
+      reverse: 'Reverse',
+      review: 'Needs review',
+      error: 'Cannot sync'
+    };
+    
+    const confidenceTag = entry => {
+      if (entry.confidence === null) return '';
+      const level = entry.confidence >= 0.9 ? 'high' : entry.confidence >= 0.6 ? 'medium' : 'low';
+      return `<span class="confidence-tag ${level}" title="${this.escapeHtml(entry.matchReason)}">${Math.round(entry.confidence * 100)}%</span>`;
+    };
+    
+    const describeTarget = entry => {
+      // Lines not yet posted can be re-mapped to another item or to a new one
+      if (!entry.posting) {
+        return `
+          <select class="form-control po-sync-match">
+            <option value="" ${!entry.item ? 'selected' : ''}>Create new item</option>
+            ${items.map(item => `
+              <option value="${item.id}" ${entry.item === item ? 'selected' : ''}>${this.escapeHtml(`${item.manufacturer} ${item.partNumber || item.description}`.trim())}</option>
+            `).join('')}
+          </select>
+          ${entry.action === 'create' ? `
+            <div class="po-sync-new-item">
+              <select class="form-control po-sync-category">
+                ${this.inventoryManager.categories.map(category => `
+                  <option value="${category}" ${entry.newItem.category === category ? 'selected' : ''}>${category}</option>
+                `).join('')}
+              </select>
+              <input type="text" class="form-control po-sync-location" list="po-sync-location-options" value="${this.escapeHtml(entry.newItem.location)}" placeholder="Location">
+            </div>
+          ` : ''}
+        `;
+      }
+      return entry.item
+        ? this.escapeHtml(`${entry.item.manufacturer} ${entry.item.partNumber || entry.item.description}`.trim())
+        : '';
+    };
+    
+    const describeChange = entry => {
+      if (entry.action === 'error') return this.escapeHtml(entry.reason);
+      const unit = entry.item ? entry.item.unitOfMeasure : entry.newItem.unitOfMeasure;
+      return `${entry.delta > 0 ? '+' : ''}${entry.delta} ${this.escapeHtml(unit)}`;
+    };
+    
+    const acceptedCount = rows.filter(row => row.accepted).length;
+    const reviewCount = rows.filter(row => !row.accepted && row.entry.action === 'review').length;
+    
+    body.innerHTML = `
+      <p>
+        ${rows.length === 0 ? 'Inventory is already up to date with Procore purchase orders.' : 'Review the changes below. Nothing is saved until you apply them; rejected lines will show up again next time.'}
+        ${unchangedEntries.length > 0 ? `${unchangedEntries.length} line(s) already synced are not shown.` : ''}
+        ${rows.some(row => row.entry.action === 'review') ? 'Lines that need review are only posted once you tick them or pick an item; the rest wait in Match Review.' : ''}
+      </p>
+      
+      ${rows.length > 0 ? `
+        <table class="report-table po-sync-table">
+          <thead>
+            <tr>
+              <th>Apply</th>
+              <th>PO Line</th>
+              <th>Change</th>
+              <th>Inventory Item</th>
+              <th>Match</th>
+              <th>Quantity</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map((row, index) => `
+              <tr data-row="${index}" class="${row.accepted ? '' : 'po-sync-rejected'}">
+                <td><input type="checkbox" class="po-sync-accept" ${row.accepted ? 'checked' : ''} ${row.entry.action === 'error' ? 'disabled' : ''}></td>
+                <td>
+                  <strong>${this.escapeHtml(row.entry.po.number || row.entry.po.id)}</strong>
+                  ${this.escapeHtml(row.entry.lineItem.description || '')}
+                  ${row.entry.lineItem.part_number ? `<div class="form-hint">${this.escapeHtml(row.entry.lineItem.part_number)}</div>` : ''}
+                  <div class="form-hint">${row.entry.orderedQuantity} ${this.escapeHtml(row.entry.lineItem.unit || '')} ordered</div>
+                </td>
+                <td>${actionLabels[row.entry.action] || row.entry.action}</td>
+                <td>${describeTarget(row.entry)}</td>
+                <td>${confidenceTag(row.entry)}</td>
+                <td>${describeChange(row.entry)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${this.renderLocationDatalist('po-sync-location-options')}
+      ` : ''}
+      
+      <div class="form-actions">
+        ${rows.length > 0 ? `<button id="po-sync-apply-btn" class="btn btn-success" ${acceptedCount === 0 && reviewCount === 0 ? 'disabled' : ''}>Apply ${acceptedCount} Change${acceptedCount === 1 ? '' : 's'}${reviewCount > 0 ? ` and Queue ${reviewCount} for Review` : ''}</button>` : ''}
+        <button class="btn btn-secondary cancel-modal">${rows.length > 0 ? 'Cancel' : 'Close'}</button>
+      </div>
+    `;
+    
+    body.querySelector('.cancel-modal').addEventListener('click', () => {
+      document.getElementById('report-modal').style.display = 'none';
+    });
+    
+    const table = body.querySelector('.po-sync-table');
+    if (table) {
+      table.addEventListener('change', (e) => {
+        const row = rows[e.target.closest('tr').dataset.row];
+        
+        if (e.target.classList.contains('po-sync-accept')) {
+          row.accepted = e.target.checked;
+          // Ticking a weak match confirms the suggested item
+          if (row.accepted && row.entry.action === 'review') {
+            row.entry = this.syncManager.remapPlanEntry(row.entry, row.entry.item.id);
+            row.accepted = row.entry.action !== 'error';
+          }
+        } else if (e.target.classList.contains('po-sync-match')) {
+          row.entry = this.syncManager.remapPlanEntry(row.entry, e.target.value || null);
+          row.accepted = row.entry.action !== 'error';
+        } else if (e.target.classList.contains('po-sync-category')) {
+          row.entry.newItem.category = e.target.value;
+          return;
+        } else if (e.target.classList.contains('po-sync-location')) {
+          row.entry.newItem.location = e.target.value.trim() || row.entry.newItem.location;
+          return;
+        }
+        
+        this.renderPurchaseOrderSyncReview(rows, unchangedEntries);
+      });
+    }
+    
+    const applyButton = document.getElementById('po-sync-apply-btn');
+    if (applyButton) {
+      applyButton.addEventListener('click', async () => {
+        try {
+          // Unconfirmed weak matches go to the review queue; unchanged lines settle any stale reviews
+          const accepted = rows
+            .filter(row => row.accepted || row.entry.action === 'review')
+            .map(row => row.entry)
+            .concat(unchangedEntries);
+          const result = this.syncManager.applyPurchaseOrderSync(accepted, this.currentProject.id);
+          
+          // Save to Procore/localStorage
+          await this.inventoryManager.saveInventory(this.currentProject.id);
+          
+          // Update the UI
+          this.refreshInventoryTable();
+          document.getElementById('report-modal').style.display = 'none';
+          
+          this.showMessage(`PO sync applied: ${result.created} new item(s), ${result.posted} posted, ${result.adjusted} changed, ${result.reversed} reversed${result.queued > 0 ? `, ${result.queued} waiting in Match Review` : ''}.`);
+          if (result.errors.length > 0) {
+            this.showError(`${result.errors.length} line(s) could not be applied: ${result.errors.map(error => error.message).join('; ')}`);
+          }
+        } catch (error) {
+          console.error('Error applying PO sync:', error);
+          this.showError('Failed to apply PO sync.', error);
+        }
+      });
+    }
+  }
+
+  // Review products found in RFI responses and approve new items or substitutions
+  async showRFISuggestionsModal() {
+    const modal = document.getElementById('report-modal');
+    const controller = new AbortController();
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Products from RFIs</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body" id="rfi-review-body">
+          <p>Reading Procore RFI responses...</p>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Closing the review cancels any requests still running
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      controller.abort();
+      modal.style.display = 'none';
+    });
+    
+    let suggestions;
+    try {
+      suggestions = await this.syncManager.syncWithRFIs(this.currentProject.id, { signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      modal.style.display = 'none';
+      this.showError('Failed to load RFIs.', error);
+      return;
+    }
+    
+    // Nothing is decided until the user picks approve or reject
+    this.renderRFISuggestionReview(suggestions.map(suggestion => ({ suggestion, decision: '' })));
+  }
+
+  // Review table for RFI suggestions
+  renderRFISuggestionReview(rows) {
+    const body = document.getElementById('rfi-review-body');
+    const itemLabel = item => this.escapeHtml(`${item.manufacturer} ${item.partNumber || item.description}`.trim());
+    
+    const describeFound = ({ mention }) => `
+      <strong>${this.escapeHtml(`${mention.manufacturer} ${mention.partNumber}`.trim())}</strong>
+      ${mention.quantity !== null ? `<div class="form-hint">Qty ${mention.quantity} ${this.escapeHtml(mention.unit)}</div>` : ''}
+      ${mention.substitutesFor ? `<div class="form-hint">for ${this.escapeHtml(`${mention.substitutesFor.manufacturer} ${mention.substitutesFor.partNumber}`.trim())}</div>` : ''}
+    `;
+    
+    const describeSuggestion = suggestion => {
+      const lines = [];
+      if (suggestion.type === 'substitution') {
+        lines.push(suggestion.originalItem
+          ? `Substitute for ${itemLabel(suggestion.originalItem)}`
+          : 'Substitution (replaced part is not stocked)');
+      }
+      if (suggestion.item) {
+        lines.push(`Link existing ${itemLabel(suggestion.item)}`);
+      } else {
+        lines.push(`
+          New item
+          <div class="rfi-new-item">
+            <select class="form-control rfi-category">
+              ${this.inventoryManager.categories.map(category => `
+                <option value="${category}" ${suggestion.newItem.category === category ? 'selected' : ''}>${category}</option>
+              `).join('')}
+            </select>
+            <input type="text" class="form-control rfi-description" value="${this.escapeHtml(suggestion.newItem.description)}" placeholder="Description">
+          </div>
+        `);
+      }
+      if (suggestion.similarItem) {
+        lines.push(`<div class="form-hint">Similar item in stock: ${itemLabel(suggestion.similarItem)}</div>`);
+      }
+      return lines.join('<br>');
+    };
+    
+    const decidedCount = rows.filter(row => row.decision).length;
+    
+    body.innerHTML = `
+      <p>
+        ${rows.length === 0
+          ? 'No new products or substitutions were found in low voltage RFI responses.'
+          : 'Approve the products to add to inventory. Rejected suggestions are not shown again; undecided ones will come back next time.'}
+      </p>
+      
+      ${rows.length > 0 ? `
+        <table class="report-table rfi-review-table">
+          <thead>
+            <tr>
+              <th>Decision</th>
+              <th>RFI</th>
+              <th>Found</th>
+              <th>Suggestion</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map((row, index) => `
+              <tr data-row="${index}" class="${row.decision === 'reject' ? 'po-sync-rejected' : ''}">
+                <td>
+                  <select class="form-control rfi-decision">
+                    <option value="" ${!row.decision ? 'selected' : ''}>Decide later</option>
+                    <option value="approve" ${row.decision === 'approve' ? 'selected' : ''}>Approve</option>
+                    <option value="reject" ${row.decision === 'reject' ? 'selected' : ''}>Reject</option>
+                  </select>
+                </td>
+                <td>
+                  <strong>#${this.escapeHtml(row.suggestion.rfi.number)}</strong>
+                  ${this.escapeHtml(row.suggestion.rfi.subject)}
+                  <div class="rfi-excerpt">&ldquo;${this.escapeHtml(row.suggestion.mention.excerpt)}&rdquo;</div>
+                </td>
+                <td>${describeFound(row.suggestion)}</td>
+                <td>${describeSuggestion(row.suggestion)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      
+      <div class="form-actions">
+        ${rows.length > 0 ? `<button id="rfi-apply-btn" class="btn btn-success" ${decidedCount === 0 ? 'disabled' : ''}>Save ${decidedCount} Decision${decidedCount === 1 ? '' : 's'}</button>` : ''}
+        <button class="btn btn-secondary cancel-modal">${rows.length > 0 ? 'Cancel' : 'Close'}</button>
+      </div>
+    `;
+    
+    body.querySelector('.cancel-modal').addEventListener('click', () => {
+      document.getElementById('report-modal').style.display = 'none';
+    });
+    
+    const table = body.querySelector('.rfi-review-table');
+    if (table) {
+      table.addEventListener('change', (e) => {
+        const row = rows[e.target.closest('tr').dataset.row];
+        
+        if (e.target.classList.contains('rfi-category')) {
+          row.suggestion.newItem.category = e.target.value;
+          return;
+        }
+        if (e.target.classList.contains('rfi-description')) {
+          row.suggestion.newItem.description = e.target.value.trim() || row.suggestion.newItem.description;
+          return;
+        }
+        
+        row.decision = e.target.value;
+        this.renderRFISuggestionReview(rows);
+      });
+    }
+    
+    const applyButton = document.getElementById('rfi-apply-btn');
+    if (applyButton) {
+      applyButton.addEventListener('click', async () => {
+        const projectId = this.currentProject.id;
+        const approved = [];
+        const failed = [];
+        
+        rows.filter(row => row.decision === 'approve').forEach(row => {
+          try {
+            approved.push(this.syncManager.applyRFISuggestion(row.suggestion, projectId));
+          } catch (error) {
+            failed.push(`${row.suggestion.mention.partNumber}: ${error.message}`);
+          }
+        });
+        
+        const rejected = rows.filter(row => row.decision === 'reject').map(row => row.suggestion.key);
+        this.syncManager.dismissRFISuggestions(projectId, rejected);
+        
+        try {
+          if (approved.length > 0) {
+            // Save to Procore/localStorage
+            await this.inventoryManager.saveInventory(projectId);
+            
+            // Update the UI
+            this.refreshInventoryTable();
+          }
+          document.getElementById('report-modal').style.display = 'none';
+          
+          this.showMessage(`RFI review saved: ${approved.length} approved, ${rejected.length} rejected.`);
+          if (failed.length > 0) {
+            this.showError(`${failed.length} suggestion(s) could not be applied: ${failed.join('; ')}`);
+          }
+        } catch (error) {
+          console.error('Error saving RFI review:', error);
+          this.showError('Failed to save the RFI review.', error);
+        }
+      });
+    }
+  }
+
+  // Online/offline indicator with queued changes and conflicts
+  renderSyncStatus(status = this.inventoryManager.getSyncStatus()) {
+    const pending = `${status.pending} change${status.pending === 1 ? '' : 's'}`;
+    
+    if (status.conflicts > 0) {
+      return `
+        <span class="sync-indicator sync-conflict">${status.conflicts} item${status.conflicts === 1 ? '' : 's'} changed in Procore and here</span>
+        <button id="sync-conflicts-btn" class="btn btn-sm btn-warning">Review Conflicts</button>
+      `;
+    }
+    if (!status.online) {
+      return `<span class="sync-indicator sync-offline">Offline${status.pending > 0 ? ` - ${pending} saved on this device` : ''}</span>`;
+    }
+    if (status.syncing) {
+      return `<span class="sync-indicator sync-pending">Syncing ${pending}...</span>`;
+    }
+    if (status.pending > 0) {
+      return `
+        <span class="sync-indicator sync-pending" title="${this.escapeHtml(status.lastError || '')}">${pending} waiting to sync${status.lastError ? ' - last attempt failed' : ''}</span>
+        <button id="sync-now-btn" class="btn btn-sm btn-secondary">Sync Now</button>
+      `;
+    }
+    return `<span class="sync-indicator sync-online">Online - all changes synced</span>`;
+  }
+
+  // Redraw the sync indicator, and the table when a sync brought in changes from Procore
+  updateSyncStatus(status) {
+    const container = document.getElementById('sync-status');
+    if (!container || !this.currentProject) return;
+    
+    container.innerHTML = this.renderSyncStatus(status);
+    if (status.dataChanged) {
+      this.refreshInventoryTable();
+    }
+    
+    // A rejected stale update asks the user right away, unless they're busy in another dialog
+    if (status.conflicts > this.shownConflictCount) {
+      const busy = ['item-modal', 'report-modal'].some(id => document.getElementById(id).style.display === 'block');
+      if (busy) {
+        this.showError(`${this.describeConflict(this.inventoryManager.conflicts[0])}. Your change was not saved over it; use Review Conflicts to choose a version.`);
+      } else {
+        this.showSyncConflictsModal();
+      }
+    }
+    this.shownConflictCount = status.conflicts;
+  }
+
+  // Who changed a conflicting item in Procore, and when
+  describeConflict(conflict) {
+    const item = conflict.local || conflict.remote;
+    const name = `${item.manufacturer} ${item.partNumber || item.description}`.trim();
+    if (!conflict.remote) {
+      return `${name} was deleted in Procore`;
+    }
+    const author = conflict.remote.updatedBy ? conflict.remote.updatedBy.name : 'another user';
+    return `${name} was changed by ${author} at ${new Date(conflict.remote.lastUpdated).toLocaleString()}`;
+  }
+
+  // Readable value of an item field for the conflict comparison
+  formatConflictValue(field, value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (field === 'stockByLocation') {
+      return Object.entries(value)
+        .filter(([location, stock]) => stock.available || stock.allocated)
+        .map(([location, stock]) => `${location}: ${stock.available}${stock.allocated ? ` (+${stock.allocated} allocated)` : ''}`)
+        .join(', ') || '-';
+    }
+    if (field === 'lastUpdated' || field === 'createdAt') {
+      return new Date(value).toLocaleString();
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  // Items changed both on this device and in Procore since the last sync, shown side by side
+  showSyncConflictsModal() {
+    const modal = document.getElementById('report-modal');
+    const conflicts = this.inventoryManager.conflicts;
+    const fieldLabel = field => field.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Sync Conflicts</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="sync-conflicts-form">
+            <p>
+              ${conflicts.length === 0
+                ? 'There are no conflicts to resolve.'
+                : 'Someone else saved these items in Procore after this device loaded them, so your changes were not written over theirs. Pick the version to keep for each item; your other changes sync as usual.'}
+            </p>
+            
+            ${conflicts.map((conflict, index) => {
+              const item = conflict.local || conflict.remote;
+              const fields = [...new Set([...Object.keys(conflict.local || {}), ...Object.keys(conflict.remote || {})])]
+                .filter(field => !['id', 'version', 'updatedBy'].includes(field))
+                .filter(field => this.formatConflictValue(field, (conflict.local || {})[field]) !== this.formatConflictValue(field, (conflict.remote || {})[field]));
+              return `
+                <div class="sync-conflict-item" data-key="${this.escapeHtml(conflict.key)}">
+                  <h4>${this.escapeHtml(`${item.manufacturer} ${item.partNumber || item.description}`.trim())}</h4>
+                  <p class="form-hint">${this.escapeHtml(this.describeConflict(conflict))}.</p>
+                  <table class="report-table">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th><label><input type="radio" name="conflict-${index}" value="local" checked> This device</label></th>
+                        <th><label><input type="radio" name="conflict-${index}" value="remote"> Procore</label></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${!conflict.local || !conflict.remote ? `
+                        <tr>
+                          <td></td>
+                          <td>${conflict.local ? 'Changed' : '<strong>Deleted</strong>'}</td>
+                          <td>${conflict.remote ? 'Changed' : '<strong>Deleted</strong>'}</td>
+                        </tr>
+                      ` : fields.map(field => `
+                        <tr>
+                          <td>${fieldLabel(field)}</td>
+                          <td>${this.escapeHtml(this.formatConflictValue(field, conflict.local[field]))}</td>
+                          <td>${this.escapeHtml(this.formatConflictValue(field, conflict.remote[field]))}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>
+                </div>
+              `;
+            }).join('')}
+            
+            <div class="form-actions">
+              ${conflicts.length > 0 ? '<button type="submit" class="btn btn-primary">Keep Selected Versions</button>' : ''}
+              <button type="button" class="btn btn-secondary cancel-modal">${conflicts.length > 0 ? 'Decide Later' : 'Close'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('sync-conflicts-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const choices = {};
+      modal.querySelectorAll('.sync-conflict-item').forEach((element, index) => {
+        choices[element.dataset.key] = element.querySelector(`input[name="conflict-${index}"]:checked`).value;
+      });
+      
+      try {
+        const resolved = await this.inventoryManager.resolveConflicts(this.currentProject.id, choices);
+        
+        this.refreshInventoryTable();
+        modal.style.display = 'none';
+        
+        this.showMessage(`Resolved ${resolved} conflict(s); syncing your choices to Procore.`);
+      } catch (error) {
+        console.error('Error resolving sync conflicts:', error);
+        this.showError('Failed to resolve the sync conflicts.', error);
+      }
+    });
+  }
+
+  // Label for the Match Review button, with the number of lines waiting
+  getMatchReviewLabel() {
+    const count = Object.keys(this.inventoryManager.matchReviews).length;
+    return count > 0 ? `Match Review (${count})` : 'Match Review';
+  }
+
+  // PO lines whose item match was too weak to post, waiting for someone to pick the item
+  showMatchReviewModal() {
+    const modal = document.getElementById('report-modal');
+    const items = this.inventoryManager.items;
+    const reviews = Object.values(this.inventoryManager.matchReviews)
+      .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+    const itemLabel = item => this.escapeHtml(`${item.manufacturer} ${item.partNumber || item.description}`.trim());
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Match Review</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="match-review-form">
+            <p>
+              ${reviews.length === 0
+                ? 'No PO lines are waiting for review.'
+                : 'These PO lines looked like existing items but not closely enough to post automatically. Pick the item each line should go to, or leave it for later.'}
+            </p>
+            
+            ${reviews.length > 0 ? `
+              <table class="report-table">
+                <thead>
+                  <tr>
+                    <th>PO Line</th>
+                    <th>Quantity</th>
+                    <th>Post To</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${reviews.map(review => {
+                    const candidates = review.candidates
+                      .map(candidate => ({ ...candidate, item: items.find(item => item.id === candidate.itemId) }))
+                      .filter(candidate => candidate.item);
+                    return `
+                      <tr data-key="${this.escapeHtml(review.key)}">
+                        <td>
+                          <strong>${this.escapeHtml(review.po.number || review.po.id)}</strong>
+                          ${this.escapeHtml(review.lineItem.description || '')}
+                          ${review.lineItem.part_number ? `<div class="form-hint">${this.escapeHtml(review.lineItem.part_number)}</div>` : ''}
+                        </td>
+                        <td>${review.lineItem.quantity} ${this.escapeHtml(review.lineItem.unit || '')}</td>
+                        <td>
+                          <select class="form-control match-review-decision">
+                            <option value="">Decide later</option>
+                            ${candidates.length > 0 ? `
+                              <optgroup label="Suggested">
+                                ${candidates.map(candidate => `
+                                  <option value="${candidate.item.id}">${itemLabel(candidate.item)} - ${Math.round(candidate.confidence * 100)}%, ${this.escapeHtml(candidate.reason)}</option>
+                                `).join('')}
+                              </optgroup>
+                            ` : ''}
+                            <optgroup label="All items">
+                              ${items.map(item => `<option value="${item.id}">${itemLabel(item)}</option>`).join('')}
+                            </optgroup>
+                            <option value="new">Create new item</option>
+                          </select>
+                        </td>
+                      </tr>
+                    `;
+                  }).join('')}
+                </tbody>
+              </table>
+            ` : ''}
+            
+            <div class="form-actions">
+              ${reviews.length > 0 ? '<button type="submit" class="btn btn-primary">Post Decided Lines</button>' : ''}
+              <button type="button" class="btn btn-secondary cancel-modal">${reviews.length > 0 ? 'Cancel' : 'Close'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('match-review-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const projectId = this.currentProject.id;
+      let posted = 0;
+      const failed = [];
+      
+      modal.querySelectorAll('tr[data-key]').forEach(row => {
+        const decision = row.querySelector('.match-review-decision').value;
+        if (!decision) return;
+        
+        try {
+          const result = this.syncManager.resolveMatchReview(row.dataset.key, decision === 'new' ? null : decision, projectId);
+          if (result && result.errors.length > 0) {
+            failed.push(...result.errors.map(error => error.message));
+          } else if (result) {
+            posted++;
+          }
+        } catch (error) {
+          failed.push(error.message);
+        }
+      });
+      
+      try {
+        // Save to Procore/localStorage
+        await this.inventoryManager.saveInventory(projectId);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        modal.style.display = 'none';
+        
+        this.showMessage(`Posted ${posted} reviewed PO line(s).`);
+        if (failed.length > 0) {
+          this.showError(`${failed.length} line(s) could not be posted: ${failed.join('; ')}`);
+        }
+      } catch (error) {
+        console.error('Error saving match review:', error);
+        this.showError('Failed to save the match review.', error);
+      }
+    });
+  }
+
+  // Receiving screen: enter what arrived against open PO lines, including partial deliveries
+  async showReceivingModal() {
+    const modal = document.getElementById('report-modal');
+    const controller = new AbortController();
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Receive Material</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body" id="receiving-body">
+          <p>Loading open purchase orders...</p>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Closing the screen cancels any requests still running
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      controller.abort();
+      modal.style.display = 'none';
+    });
+    
+    let purchaseOrders;
+    try {
+      purchaseOrders = await this.syncManager.getOpenPurchaseOrderLines(this.currentProject.id, {
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      modal.style.display = 'none';
+      this.showError('Failed to load purchase orders.', error);
+      return;
+    }
+    
+    const openPOs = purchaseOrders.filter(order => !order.isFullyReceived);
+    const receivedPOs = purchaseOrders.filter(order => order.isFullyReceived);
+    const body = document.getElementById('receiving-body');
+    
+    body.innerHTML = `
+      <form id="receiving-form">
+        ${openPOs.length > 0 ? `
+          <div class="form-row">
+            <div class="form-group half">
+              <label for="receivingLocation">Receiving Location:</label>
+              <input type="text" id="receivingLocation" class="form-control" list="receiving-location-options" placeholder="Leave blank for each item's default location">
+              ${this.renderLocationDatalist('receiving-location-options')}
+            </div>
+            <div class="form-group half">
+              <label for="packingSlip">Packing Slip #:</label>
+              <input type="text" id="packingSlip" class="form-control">
+            </div>
+          </div>
+          
+          ${openPOs.map(order => `
+            <div class="receiving-po">
+              <h4>
+                PO ${this.escapeHtml(order.po.number || order.po.id)}
+                ${order.po.title ? ` - ${this.escapeHtml(order.po.title)}` : ''}
+                ${order.backorderedLines > 0 ? `<span class="backorder-tag">${order.backorderedLines} line(s) backordered</span>` : ''}
+              </h4>
+              <table class="report-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Inventory Item</th>
+                    <th>Ordered</th>
+                    <th>Received</th>
+                    <th>Outstanding</th>
+                    <th>Receive Now</th>
+                    <th>Damage Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${order.lines.map(line => `
+                    <tr data-key="${this.escapeHtml(line.key)}" class="${line.outstandingQuantity === 0 ? 'receiving-complete' : ''}">
+                      <td>
+                        ${this.escapeHtml(line.lineItem.description || '')}
+                        ${line.lineItem.part_number ? `<div class="form-hint">${this.escapeHtml(line.lineItem.part_number)}</div>` : ''}
+                      </td>
+                      <td>
+                        ${line.item ? this.escapeHtml(`${line.item.manufacturer} ${line.item.partNumber || line.item.description}`.trim()) : '<em>New item</em>'}
+                        ${line.possibleMatch ? `<div class="form-hint">Possible match: ${this.escapeHtml(`${line.possibleMatch.manufacturer} ${line.possibleMatch.partNumber || line.possibleMatch.description}`.trim())}. Confirm the match in Sync POs or Match Review first to receive into that item.</div>` : ''}
+                      </td>
+                      <td>${line.orderedQuantity} ${this.escapeHtml(line.unit)}</td>
+                      <td>${line.receivedQuantity}</td>
+                      <td class="${line.receivedQuantity > 0 && line.outstandingQuantity > 0 ? 'backordered' : ''}">
+                        ${line.outstandingQuantity}${line.receivedQuantity > 0 && line.outstandingQuantity > 0 ? ' backordered' : ''}
+                      </td>
+                      <td>
+                        ${line.outstandingQuantity > 0
+                          ? `<input type="number" class="form-control receive-quantity" min="0" max="${line.outstandingQuantity}" step="any" placeholder="0">`
+                          : 'Complete'}
+                      </td>
+                      <td>
+                        ${line.outstandingQuantity > 0 ? '<input type="text" class="form-control receive-damage" placeholder="Optional">' : ''}
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          `).join('')}
+        ` : '<p>There are no open purchase order lines to receive.</p>'}
+        
+        ${receivedPOs.length > 0 ? `
+          <p class="form-hint">Fully received: ${receivedPOs.map(order => this.escapeHtml(order.po.number || order.po.id)).join(', ')}</p>
+        ` : ''}
+        
+        <div class="form-actions">
+          ${openPOs.length > 0 ? '<button type="submit" class="btn btn-primary">Post Receipt</button>' : ''}
+          <button type="button" class="btn btn-secondary cancel-modal">${openPOs.length > 0 ? 'Cancel' : 'Close'}</button>
+        </div>
+      </form>
+    `;
+    
+    body.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('receiving-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const lines = new Map();
+      purchaseOrders.forEach(order => order.lines.forEach(line => lines.set(line.key, line)));
+      
+      const location = document.getElementById('receivingLocation').value.trim();
+      const packingSlip = document.getElementById('packingSlip').value.trim();
+      const received = [];
+      const failed = [];
+      
+      body.querySelectorAll('tr[data-key]').forEach(row => {
+        const quantityInput = row.querySelector('.receive-quantity');
+        const quantity = quantityInput ? parseFloat(quantityInput.value) : 0;
+        if (!(quantity > 0)) return;
+        
+        const line = lines.get(row.dataset.key);
+        try {
+          this.syncManager.receivePurchaseOrderLine(line, {
+            quantity,
+            location,
+            packingSlip,
+            damageNotes: row.querySelector('.receive-damage').value.trim()
+          }, this.currentProject.id);
+          received.push(line);
+        } catch (error) {
+          failed.push(`${line.lineItem.description || line.key}: ${error.message}`);
+        }
+      });
+      
+      if (received.length === 0 && failed.length === 0) {
+        this.showError('Enter a received quantity for at least one line.');
+        return;
+      }
+      
+      try {
+        // Save to Procore/localStorage
+        await this.inventoryManager.saveInventory(this.currentProject.id);
+        
+        // Update the UI
+        this.refreshInventoryTable();
+        modal.style.display = 'none';
+        
+        if (received.length > 0) {
+          this.showMessage(`Received ${received.length} line(s)${packingSlip ? ` on packing slip ${packingSlip}` : ''}.`);
+        }
+        if (failed.length > 0) {
+          this.showError(`${failed.length} line(s) could not be received: ${failed.join('; ')}`);
+        }
+      } catch (error) {
+        console.error('Error saving receipt:', error);
+        this.showError('Failed to save the receipt.', error);
+      }
+    });
+  }
+
+  // Admin screen for the company's classification rules, with a tester for sample text
+  showClassificationRulesModal() {
+    try {
+      this.inventoryManager.requirePermission('manageSettings');
+    } catch (error) {
+      this.showError('Cannot open classification rules.', error);
+      return;
+    }
+    
+    const modal = document.getElementById('report-modal');
+    const rules = this.inventoryManager.classificationRules.rules.map(rule => ({ ...rule }));
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Classification Rules</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <p class="form-hint">
+            Rules decide which POs and RFIs are low voltage work and which category new items go in.
+            The highest priority matching rule wins. Keyword rules take a comma-separated list of whole words;
+            cost-code rules match codes starting with the pattern, e.g. 27 for Division 27.
+            These rules apply to every project in the company.
+          </p>
+          <div id="rules-editor"></div>
+          
+          <div class="rules-tester">
+            <h4>Test Rules</h4>
+            <div class="form-row">
+              <div class="form-group half">
+                <label for="rulesTestText">Sample PO title, line description or RFI text:</label>
+                <textarea id="rulesTestText" class="form-control" rows="3"></textarea>
+              </div>
+              <div class="form-group half">
+                <label for="rulesTestCostCode">Cost Code:</label>
+                <input type="text" id="rulesTestCostCode" class="form-control" placeholder="Optional, e.g. 27-15-13">
+              </div>
+            </div>
+            <button type="button" id="rules-test-btn" class="btn btn-secondary">Test</button>
+            <div id="rules-test-result"></div>
+          </div>
+          
+          <div class="form-actions">
+            <button type="button" id="rules-save-btn" class="btn btn-primary">Save Rules</button>
+            <button type="button" id="rules-reset-btn" class="btn btn-secondary">Restore Defaults</button>
+            <button type="button" class="btn btn-tertiary cancel-modal">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    this.renderClassificationRulesEditor(rules);
+    
+    document.getElementById('rules-test-btn').addEventListener('click', () => {
+      this.renderClassificationRulesTest(rules);
+    });
+    
+    document.getElementById('rules-reset-btn').addEventListener('click', () => {
+      if (!confirm('Replace the rules with the defaults? Nothing is saved until you click Save Rules.')) return;
+      rules.splice(0, rules.length, ...LVClassificationRules.defaultRules());
+      this.renderClassificationRulesEditor(rules);
+    });
+    
+    document.getElementById('rules-save-btn').addEventListener('click', async () => {
+      try {
+        await this.inventoryManager.saveClassificationRules(this.currentCompanyId, rules);
+        modal.style.display = 'none';
+        this.showMessage('Classification rules saved. They apply to the next PO sync, receiving and RFI review.');
+      } catch (error) {
+        console.error('Error saving classification rules:', error);
+        this.showError('Failed to save classification rules.', error);
+      }
+    });
+  }
+
+  // Editable table of rules; edits go straight into the rules array
+  renderClassificationRulesEditor(rules) {
+    const editor = document.getElementById('rules-editor');
+    const ruleSet = new LVClassificationRules();
+    const categories = this.inventoryManager.categories;
+    const subCategoryOptions = [...new Set(Object.values(this.inventoryManager.subCategories).flat())];
+    
+    editor.innerHTML = `
+      <table class="report-table rules-table">
+        <thead>
+          <tr>
+            <th>Type</th>
+            <th>Pattern</th>
+            <th>Priority</th>
+            <th>Low Voltage</th>
+            <th>Category</th>
+            <th>Subcategory</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rules.map((rule, index) => {
+            const problem = ruleSet.validateRule(rule, categories);
+            return `
+              <tr data-rule="${index}" class="${problem ? 'rule-invalid' : ''}">
+                <td>
+                  <select class="form-control" data-field="type">
+                    <option value="keyword" ${rule.type === 'keyword' ? 'selected' : ''}>Keywords</option>
+                    <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>Regex</option>
+                    <option value="costCode" ${rule.type === 'costCode' ? 'selected' : ''}>Cost code</option>
+                  </select>
+                </td>
+                <td>
+                  <input type="text" class="form-control" data-field="pattern" value="${this.escapeHtml(rule.pattern)}">
+                  ${problem ? `<div class="rule-problem">${this.escapeHtml(problem)}</div>` : ''}
+                </td>
+                <td><input type="number" class="form-control rule-priority" data-field="priority" value="${rule.priority}" step="1"></td>
+                <td>
+                  <select class="form-control" data-field="lowVoltage">
+                    <option value="" ${rule.lowVoltage === null ? 'selected' : ''}>--</option>
+                    <option value="yes" ${rule.lowVoltage === true ? 'selected' : ''}>Low voltage</option>
+                    <option value="no" ${rule.lowVoltage === false ? 'selected' : ''}>Not low voltage</option>
+                  </select>
+                </td>
+                <td>
+                  <select class="form-control" data-field="category">
+                    <option value="">--</option>
+                    ${categories.map(category => `
+                      <option value="${category}" ${rule.category === category ? 'selected' : ''}>${category}</option>
+                    `).join('')}
+                  </select>
+                </td>
+                <td><input type="text" class="form-control" data-field="subCategory" value="${this.escapeHtml(rule.subCategory)}" list="rules-subcategory-options"></td>
+                <td><button type="button" class="btn btn-sm btn-danger rule-remove" title="Remove rule">&times;</button></td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      <datalist id="rules-subcategory-options">
+        ${subCategoryOptions.map(subCategory => `<option value="${this.escapeHtml(subCategory)}">`).join('')}
+      </datalist>
+      <button type="button" id="rules-add-btn" class="btn btn-sm btn-secondary">Add Rule</button>
+    `;
+    
+    const table = editor.querySelector('.rules-table');
+    table.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      
+      const rule = rules[e.target.closest('tr').dataset.rule];
+      if (field === 'lowVoltage') {
+        rule.lowVoltage = e.target.value === 'yes' ? true : e.target.value === 'no' ? false : null;
+      } else if (field === 'priority') {
+        rule.priority = Number(e.target.value) || 0;
+      } else {
+        rule[field] = e.target.value.trim();
+      }
+      
+      // Re-render so problems with the edited rule show up
+      this.renderClassificationRulesEditor(rules);
+    });
+    
+    table.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('rule-remove')) return;
+      rules.splice(Number(e.target.closest('tr').dataset.rule), 1);
+      this.renderClassificationRulesEditor(rules);
+    });
+    
+    document.getElementById('rules-add-btn').addEventListener('click', () => {
+      rules.push({
+        id: this.inventoryManager.generateId(),
+        type: 'keyword',
+        pattern: '',
+        priority: 50,
+        lowVoltage: null,
+        category: '',
+        subCategory: ''
+      });
+      this.renderClassificationRulesEditor(rules);
+    });
+  }
+
+  // Show how the (unsaved) rules classify the sample text
+  renderClassificationRulesTest(rules) {
+    const ruleSet = new LVClassificationRules({ rules });
+    const costCode = document.getElementById('rulesTestCostCode').value.trim();
+    const input = {
+      text: document.getElementById('rulesTestText').value,
+      costCodes: costCode ? [costCode] : []
+    };
+    
+    const lowVoltage = ruleSet.classifyLowVoltage(input);
+    const category = ruleSet.categorize(input);
+    const matches = ruleSet.findMatches(input);
+    const describeRule = rule => rule
+      ? `${rule.type === 'costCode' ? 'cost code' : rule.type} &ldquo;${this.escapeHtml(rule.pattern)}&rdquo; (priority ${rule.priority})`
+      : 'no rule matched';
+    
+    document.getElementById('rules-test-result').innerHTML = `
+      <table class="report-table">
+        <tbody>
+          <tr>
+            <th>Low voltage</th>
+            <td>${lowVoltage.value ? 'Yes' : 'No'}</td>
+            <td>${describeRule(lowVoltage.rule)}</td>
+          </tr>
+          <tr>
+            <th>Category</th>
+            <td>${this.escapeHtml(category.category)}${category.subCategory ? ` / ${this.escapeHtml(category.subCategory)}` : ''}</td>
+            <td>${describeRule(category.rule)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="form-hint">${matches.length} rule(s) matched${matches.length > 0 ? `: ${matches.map(describeRule).join(', ')}` : ''}.</p>
+    `;
+  }
+
+  // Admin screen assigning inventory roles to the project's Procore users, with the denied actions log
+  async showRoleAssignmentsModal() {
+    try {
+      this.inventoryManager.requirePermission('manageSettings');
+    } catch (error) {
+      this.showError('Cannot open user roles.', error);
+      return;
+    }
+    
+    const modal = document.getElementById('report-modal');
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>User Roles</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <div class="loading">Loading project users...</div>
+        </div>
+      </div>
+    `;
+    modal.style.display = 'block';
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    let users;
+    try {
+      users = await this.procoreApi.requestAll(`/projects/${this.currentProject.id}/users`);
+    } catch (error) {
+      console.error('Error loading project users:', error);
+      modal.style.display = 'none';
+      this.showError('Failed to load the project directory.', error);
+      return;
+    }
+    
+    const manager = this.inventoryManager;
+    const assignments = manager.roleAssignments;
+    const denied = manager.getDeniedActions().slice(0, 25);
+    
+    modal.querySelector('.modal-body').innerHTML = `
+      <p class="form-hint">
+        Roles normally follow each user's Procore permission template and job title. An assigned role
+        overrides that for every project in the company.
+      </p>
+      <table class="report-table roles-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Procore Permissions</th>
+            <th>Role</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${users.map(user => {
+            const procoreRole = manager.roleFromProcoreUser(user);
+            const permissions = [user.permission_template && user.permission_template.name, user.job_title].filter(Boolean);
+            return `
+              <tr data-user-id="${this.escapeHtml(user.id)}">
+                <td>${this.escapeHtml(user.name || user.login || `User ${user.id}`)}</td>
+                <td>${this.escapeHtml(permissions.join(', ') || 'None')}</td>
+                <td>
+                  <select class="form-control role-select">
+                    <option value="">From Procore (${this.escapeHtml(manager.getRoleLabel(procoreRole))})</option>
+                    ${manager.roles.map(role => `
+                      <option value="${role.key}" ${assignments[user.id] === role.key ? 'selected' : ''}>${this.escapeHtml(role.label)}</option>
+                    `).join('')}
+                  </select>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      
+      <h4>Denied Actions</h4>
+      ${denied.length > 0
+        ? `<table class="report-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>User</th>
+                <th>Item</th>
+                <th>Attempt</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${denied.map(transaction => `
+                <tr>
+                  <td>${new Date(transaction.timestamp).toLocaleString()}</td>
+                  <td>${this.escapeHtml(transaction.userName)}</td>
+                  <td>${this.escapeHtml(transaction.itemLabel)}</td>
+                  <td>${this.escapeHtml(transaction.notes)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>`
+        : '<p>No denied actions recorded on this project.</p>'
+      }
+      
+      <div class="form-actions">
+        <button type="button" id="roles-save-btn" class="btn btn-primary">Save Roles</button>
+        <button type="button" class="btn btn-tertiary cancel-modal">Cancel</button>
+      </div>
+    `;
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('roles-save-btn').addEventListener('click', async () => {
+      // Users outside this project keep their assignments
+      const updated = { ...assignments };
+      modal.querySelectorAll('.roles-table tr[data-user-id]').forEach(row => {
+        const role = row.querySelector('.role-select').value;
+        if (role) {
+          updated[row.dataset.userId] = role;
+        } else {
+          delete updated[row.dataset.userId];
+        }
+      });
+      
+      try {
+        await manager.saveRoleAssignments(this.currentCompanyId, updated);
+        modal.style.display = 'none';
+        
+        // Changing your own role takes effect straight away
+        await manager.loadUserRole(this.currentProject.id);
+        this.renderInventoryInterface();
+        this.showMessage('User roles saved.');
+      } catch (error) {
+        console.error('Error saving user roles:', error);
+        this.showError('Failed to save user roles.', error);
+      }
+    });
+  }
+
+  // Turn the reorder list into draft POs, one per vendor, after the user reviews the lines
+  showRequisitionModal() {
+    const groups = this.inventoryManager.buildRequisition();
+    const modal = document.getElementById('report-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Create Requisition</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <form id="requisition-form">
+            ${groups.length > 0 ? `
+              <p class="form-hint">Quantities come from each item's reorder quantity in its purchase unit; costs are the last PO cost. Each vendor becomes a separate draft PO.</p>
+              ${groups.map((group, index) => `
+                <div class="requisition-vendor" data-group="${index}">
+                  <div class="form-group">
+                    <label for="requisitionVendor${index}">Vendor:</label>
+                    <input type="text" id="requisitionVendor${index}" class="form-control requisition-vendor-name" value="${this.escapeHtml(group.vendor)}" placeholder="Vendor not set">
+                  </div>
+                  <table class="report-table">
+                    <thead>
+                      <tr>
+                        <th>Order</th>
+                        <th>Item</th>
+                        <th>Quantity</th>
+                        <th>Unit Cost</th>
+                        <th>Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${group.lines.map((line, lineIndex) => `
+                        <tr data-line="${lineIndex}">
+                          <td><input type="checkbox" class="requisition-include" checked></td>
+                          <td>
+                            ${this.escapeHtml(`${line.manufacturer} ${line.partNumber}`.trim() || line.description)}
+                            ${line.partNumber ? `<div class="form-hint">${this.escapeHtml(line.description)}</div>` : ''}
+                          </td>
+                          <td>
+                            <input type="number" class="form-control requisition-quantity" value="${line.quantity}" min="0" step="any">
+                            ${this.escapeHtml(line.unit)}
+                          </td>
+                          <td><input type="number" class="form-control requisition-cost" value="${line.unitCost.toFixed(2)}" min="0" step="0.01"></td>
+                          <td class="requisition-amount">${(line.quantity * line.unitCost).toFixed(2)}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td colspan="4">Total</td>
+                        <td class="requisition-total"></td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              `).join('')}
+            ` : '<p>No items currently need reordering.</p>'}
+            
+            <div class="form-actions">
+              ${groups.length > 0 ? `
+                <button type="submit" class="btn btn-primary">Create Draft POs in Procore</button>
+                <button type="button" id="download-requisition-btn" class="btn btn-secondary">Download PO Request</button>
+              ` : ''}
+              <button type="button" class="btn btn-tertiary cancel-modal">${groups.length > 0 ? 'Cancel' : 'Close'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    if (groups.length === 0) return;
+    
+    const form = document.getElementById('requisition-form');
+    
+    // Keep line amounts and vendor totals in step with edits
+    const updateTotals = () => {
+      form.querySelectorAll('.requisition-vendor').forEach(groupElement => {
+        let total = 0;
+        groupElement.querySelectorAll('tr[data-line]').forEach(row => {
+          const amount = (parseFloat(row.querySelector('.requisition-quantity').value) || 0) *
+            (parseFloat(row.querySelector('.requisition-cost').value) || 0);
+          const included = row.querySelector('.requisition-include').checked;
+          row.querySelector('.requisition-amount').textContent = amount.toFixed(2);
+          row.classList.toggle('requisition-excluded', !included);
+          if (included) total += amount;
+        });
+        groupElement.querySelector('.requisition-total').textContent = total.toFixed(2);
+      });
+    };
+    form.addEventListener('input', updateTotals);
+    form.addEventListener('change', updateTotals);
+    updateTotals();
+    
+    // The edited requisition, leaving out unticked lines and vendors with nothing to order
+    const readGroups = () => groups.map((group, index) => {
+      const groupElement = form.querySelector(`.requisition-vendor[data-group="${index}"]`);
+      const vendor = groupElement.querySelector('.requisition-vendor-name').value.trim();
+      const lines = [];
+      
+      groupElement.querySelectorAll('tr[data-line]').forEach(row => {
+        const quantity = parseFloat(row.querySelector('.requisition-quantity').value) || 0;
+        if (!row.querySelector('.requisition-include').checked || quantity <= 0) return;
+        lines.push({
+          ...group.lines[Number(row.dataset.line)],
+          quantity,
+          unitCost: parseFloat(row.querySelector('.requisition-cost').value) || 0
+        });
+      });
+      
+      return { vendor, vendorId: vendor === group.vendor ? group.vendorId : null, lines };
+    }).filter(group => group.lines.length > 0);
+    
+    document.getElementById('download-requisition-btn').addEventListener('click', () => {
+      const edited = readGroups();
+      if (edited.length === 0) {
+        this.showError('Select at least one line to order.');
+        return;
+      }
+      this.downloadRequisition(edited);
+      modal.style.display = 'none';
+    });
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const edited = readGroups();
+      if (edited.length === 0) {
+        this.showError('Select at least one line to order.');
+        return;
+      }
+      
+      // Offline, the request file is the only way to get the order to purchasing
+      if (navigator.onLine === false) {
+        this.downloadRequisition(edited);
+        modal.style.display = 'none';
+        this.showMessage('You are offline, so a PO request file was downloaded instead.');
+        return;
+      }
+      
+      form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+      
+      const created = [];
+      const failed = [];
+      let unsent = [];
+      
+      for (let index = 0; index < edited.length; index++) {
+        const group = edited[index];
+        try {
+          const { contract, failedLines } = await this.syncManager.createDraftPurchaseOrder(this.currentProject.id, group);
+          created.push(contract.number || contract.id);
+          failedLines.forEach(({ line, message }) => {
+            failed.push(`PO ${contract.number || contract.id}, ${line.partNumber || line.description}: ${message}`);
+          });
+        } catch (error) {
+          if (error instanceof ProcoreNetworkError) {
+            // Procore can't be reached; the rest of the requisition goes out as a file
+            unsent = edited.slice(index);
+            break;
+          }
+          console.error('Error creating draft PO:', error);
+          failed.push(`${group.vendor || 'Vendor not set'}: ${error.message}`);
+        }
+      }
+      
+      modal.style.display = 'none';
+      
+      if (unsent.length > 0) {
+        this.downloadRequisition(unsent);
+      }
+      if (created.length > 0) {
+        this.showMessage(`Created draft PO(s) ${created.join(', ')} in Procore.`);
+      }
+      if (unsent.length > 0) {
+        this.showError(`Procore could not be reached; downloaded a PO request file for ${unsent.length} vendor(s) instead.`);
+      }
+      if (failed.length > 0) {
+        this.showError(`Some of the requisition could not be created: ${failed.join('; ')}`);
+      }
+    });
+  }
+
+  // Download requisition groups as a PO request CSV
+  downloadRequisition(groups) {
+    const blob = new Blob([this.inventoryManager.exportRequisitionToCSV(groups)], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `${this.currentProject.name}_PO_Request_${new Date().toISOString().split('T')[0]}.csv`);
+    document.body.appendChild(link);
+    
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Show report modal with inventory analysis
+  showReportModal() {
+    const report = this.inventoryManager.generateInventoryReport();
+    
+    const modal = document.getElementById('report-modal');
+    
+    modal.innerHTML = `
+      <div class="modal-content report-modal">
+        <div class="modal-header">
+          <h3>Inventory Report</h3>
+          <span class="close-modal">&times;</span>
+        </div>
+        <div class="modal-body">
+          <div class="report-summary">
+            <div class="summary-card">
+              <div class="card-title">Total Items</div>
+              <div class="card-value">${report.totalItems}</div>
+            </div>
+            ${report.includesCost ? `
+              <div class="summary-card">
+                <div class="card-title">Total Value</div>
+                <div class="card-value">${report.totalValue.toFixed(2)}</div>
+              </div>
+            ` : ''}
+            <div class="summary-card">
+              <div class="card-title">Low Stock Items</div>
+              <div class="card-value">${report.lowStockItems}</div>
+            </div>
+          </div>
+          
+          <h4>Inventory by Category</h4>
+          <div class="category-breakdown">
+            <table class="report-table">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Item Count</th>
+                  ${report.includesCost ? '<th>Total Value</th>' : ''}
+                </tr>
+              </thead>
+              <tbody>
+                ${Object.entries(report.byCategory).map(([category, data]) => `
+                  <tr>
+                    <td>${category}</td>
+                    <td>${data.count}</td>
+                    ${report.includesCost ? `<td>${data.value.toFixed(2)}</td>` : ''}
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          
+          <h4>Inventory by Location</h4>
+          <div class="location-breakdown">
+            ${Object.keys(report.byLocation).length > 0
+              ? `<table class="report-table">
+                  <thead>
+                    <tr>
+                      <th>Location</th>
+                      <th>Item Count</th>
+                      <th>Available</th>
+                      <th>Allocated</th>
+                      ${report.includesCost ? '<th>Total Value</th>' : ''}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${Object.entries(report.byLocation).map(([location, data]) => `
+                      <tr>
+                        <td>${this.escapeHtml(location)}</td>
+                        <td>${data.itemCount}</td>
+                        <td>${data.available}</td>
+                        <td>${data.allocated}</td>
+                        ${report.includesCost ? `<td>${data.value.toFixed(2)}</td>` : ''}
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>`
+              : '<p>No stock is currently held at any location.</p>'
+            }
+          </div>
+          
+          <h4>Items Needing Reorder</h4>
+          <div class="reorder-list">
+            ${report.reorderItems.length > 0 
+              ? `<table class="report-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Available</th>
+                      <th>Threshold</th>
+                      <th>Reorder Qty</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${report.reorderItems.map(item => `
+                      <tr>
+                        <td>${this.escapeHtml(item.manufacturer)} - ${this.escapeHtml(item.partNumber || item.description)}</td>
+                        <td>${item.quantityAvailable} ${item.unitOfMeasure}</td>
+                        <td>${item.reorderThreshold} ${item.unitOfMeasure}</td>
+                        <td>${item.reorderQuantity} ${item.unitOfMeasure}${item.orderUnit !== item.unitOfMeasure ? ` (${item.orderQuantity} ${item.orderUnit})` : ''}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>`
+              : '<p>No items currently need reordering.</p>'
+            }
+          </div>
+          
+          <div class="form-actions">
+            <button id="print-report-btn" class="btn btn-primary">Print Report</button>
+            <button id="export-report-btn" class="btn btn-secondary">Download PDF</button>
+            ${report.reorderItems.length > 0 ? `<button id="report-requisition-btn" class="btn btn-secondary" ${this.permissionAttributes('syncProcore')}>Create Requisition</button>` : ''}
+            <button class="btn btn-tertiary cancel-modal">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    modal.style.display = 'block';
+    
+    // Add event listeners
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    modal.querySelector('.cancel-modal').addEventListener('click', () => {
+      modal.style.display = 'none';
+    });
+    
+    document.getElementById('print-report-btn').addEventListener('click', () => {
+      this.printElement(modal.querySelector('.modal-body'), 'Inventory Report');
+    });
+    
+    document.getElementById('export-report-btn').addEventListener('click', () => {
+      this.exportReport(report);
+    });
+    
+    if (report.reorderItems.length > 0) {
+      document.getElementById('report-requisition-btn').addEventListener('click', () => {
+        this.showRequisitionModal();
+      });
+    }
+  }
+
+  // Download the report as a PDF generated in the browser
+  exportReport(report) {
+    try {
+      const project = this.currentProject;
+      const user = this.inventoryManager.currentUser;
+      const pdf = new InventoryReportPDF(report, {
+        projectName: project.name,
+        projectNumber: project.project_number,
+        generatedBy: user ? user.name : ''
+      }).build();
+      
+      const url = URL.createObjectURL(pdf.toBlob());
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${project.name}_LV_Inventory_Report_${new Date().toISOString().split('T')[0]}.pdf`);
+      document.body.appendChild(link);
+      
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Error generating PDF report:', error);
+      this.showError('Failed to generate the PDF report.', error);
+    }
+  }
+
+  // Print just the given element from a hidden frame, so the inventory table and
+  // the rest of the page behind the modal are left out
+  printElement(element, title) {
+    document.querySelectorAll('.print-frame').forEach(previous => previous.remove());
+    
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    document.body.appendChild(frame);
+    
+    const frameDocument = frame.contentDocument;
+    frameDocument.open();
+    frameDocument.write(`<!DOCTYPE html>
+      <html>
+        <head>
+          <title>${this.escapeHtml(title)}</title>
+          <style>${styles}</style>
+        </head>
+        <body class="print-document">${element.outerHTML}</body>
+      </html>`);
+    frameDocument.close();
+    
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }
+
+  // Show temporary message
+  showMessage(message) {
+    const msgElement = document.createElement('div');
+    msgElement.className = 'message success';
+    msgElement.textContent = message;
+    
+    document.body.appendChild(msgElement);
+    
+    setTimeout(() => {
+      msgElement.classList.add('fade-out');
+      setTimeout(() => {
+        document.body.removeChild(msgElement);
+      }, 500);
+    }, 3000);
+  }
+
+  // Success message with an Undo button for the change just made. The toast stays a little
+  // longer than other messages and is replaced by the next one.
+  showUndoMessage(message) {
+    const change = this.inventoryManager.lastChange;
+    if (!change) {
+      this.showMessage(message);
+      return;
+    }
+    
+    document.querySelectorAll('.message.undo').forEach(element => element.remove());
+    
+    const msgElement = document.createElement('div');
+    msgElement.className = 'message success undo';
+    msgElement.innerHTML = `
+      <span>${this.escapeHtml(message)}</span>
+      <button type="button" class="btn btn-sm undo-btn">Undo</button>
+    `;
+    
+    const dismiss = () => {
+      msgElement.classList.add('fade-out');
+      setTimeout(() => msgElement.remove(), 500);
+    };
+    
+    msgElement.querySelector('.undo-btn').addEventListener('click', () => {
+      msgElement.remove();
+      this.undoChange(change.id);
+    });
+    
+    document.body.appendChild(msgElement);
+    setTimeout(dismiss, 8000);
+  }
+
+  // Reverse the latest change from its undo toast
+  undoChange(changeId) {
+    try {
+      const change = this.inventoryManager.undoChange(changeId);
+      this.inventoryManager.saveInventory(this.currentProject.id);
+      this.refreshInventoryTable();
+      this.showMessage(`Undid the ${change.label} of ${change.itemLabel}.`);
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      this.showError('Could not undo the change.', error);
+    }
+  }
+
+  // Show error message, followed by what went wrong and what to do when an error is given
+  showError(message, error = null) {
+    const errorElement = document.createElement('div');
+    errorElement.className = 'message error';
+    errorElement.textContent = error ? `${message} ${this.describeError(error)}` : message;
+    
+    // An expired session can't be recovered from here; offer a fresh login
+    if (error instanceof ProcoreAuthError) {
+      this.renderLoginButton();
+    }
+    
+    document.body.appendChild(errorElement);
+    
+    setTimeout(() => {
+      errorElement.classList.add('fade-out');
+      setTimeout(() => {
+        document.body.removeChild(errorElement);
+      }, 500);
+    }, 5000);
+  }
+}
+
+/**
+ * Class: Procore Integration Sync Manager
+ * Handles synchronization with Procore's data structures
+ */
+class ProcoreSyncManager {
+  constructor(procoreApi, inventoryManager) {
+    this.procoreApi = procoreApi;
+    this.inventoryManager = inventoryManager;
+    
+    // Matches at or above autoMatchThreshold post on their own; weaker ones down to matchThreshold
+    // wait in the review queue, and anything below that becomes a new item
+    this.autoMatchThreshold = 0.9;
+    this.matchThreshold = 0.5;
+    
+    // Low voltage manufacturers recognized in RFI text, besides those already in inventory
+    this.knownManufacturers = [
+      'Panduit', 'CommScope', 'Belden', 'Leviton', 'Hubbell', 'Siemon', 'Ortronics', 'Legrand',
+      'Corning', 'Superior Essex', 'Berk-Tek', 'General Cable', 'West Penn', 'Chatsworth',
+      'Middle Atlantic', 'Erico', 'nVent', 'Wiremold', 'Axis', 'Hanwha', 'Avigilon', 'Bosch',
+      'Honeywell', 'HID', 'Cisco', 'Ubiquiti', 'Aruba', 'Platinum Tools', 'Fluke'
+    ];
+  }
+
+  // Sync inventory with purchase orders. Each PO line is posted once and remembered in
+  // inventoryManager.poPostings, so later runs only apply what changed since the last sync.
+  // options: { signal, dryRun } - signal cancels the remaining requests; dryRun returns the
+  // planned changes without applying them (see planPurchaseOrderSync)
+  async syncWithPurchaseOrders(projectId, options = {}) {
+    try {
+      const plan = await this.planPurchaseOrderSync(projectId, options);
+      if (options.dryRun) {
+        return plan;
+      }
+      
+      const result = this.applyPurchaseOrderSync(plan, projectId);
+      
+      // Save changes if any items were updated
+      if (result.updatedItems > 0) {
+        await this.inventoryManager.saveInventory(projectId);
+      }
+      
+      return result;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error syncing with purchase orders:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Work out what a sync would change without touching inventory. Each entry describes one PO line:
+  // { key, po, lineItem, posting, orderedQuantity, item, confidence, matchReason, action,
+  //   targetQuantity, delta, unit, newItem, reason }
+  // where action is 'create', 'post', 'adjust', 'reverse', 'unchanged' or 'error'.
+  async planPurchaseOrderSync(projectId, options = {}) {
+    const postings = this.inventoryManager.poPostings;
+    
+    // Get purchase orders from Procore
+    const purchaseOrders = await this.procoreApi.requestAll(`/projects/${projectId}/purchase_orders`, {
+      signal: options.signal
+    });
+    
+    // POs that were posted before stay in the sync even if they no longer look like LV material
+    const postedPOIds = new Set(Object.values(postings).map(posting => String(posting.poId)));
+    const syncedPOs = await this.getLowVoltagePurchaseOrders(projectId, purchaseOrders, {
+      signal: options.signal,
+      include: po => postedPOIds.has(String(po.id))
+    });
+    
+    const entries = [];
+    const seenKeys = new Set();
+    
+    syncedPOs.forEach(({ po, lineItems }) => {
+      lineItems.forEach(lineItem => {
+        const key = this.getPostingKey(po.id, lineItem.id);
+        seenKeys.add(key);
+        
+        // Lines being received are posted as they arrive; otherwise only what Procore has not
+        // already recorded as received is posted, since that stock is on hand already
+        const posting = postings[key];
+        const quantity = posting && posting.receipts && posting.receipts.length > 0
+          ? posting.receivedQuantity
+          : this.getUnreceivedQuantity(lineItem);
+        const postable = this.isPostablePO(po) && !lineItem.deleted_at;
+        entries.push(this.planLine(po, lineItem, posting, postable ? quantity : 0));
+      });
+    });
+    
+    // Lines (or whole POs) that disappeared from Procore are reversed
+    Object.entries(postings).forEach(([key, posting]) => {
+      if (seenKeys.has(key) || posting.postedQuantity === 0) return;
+      
+      const po = purchaseOrders.find(po => String(po.id) === String(posting.poId)) ||
+        { id: posting.poId, number: posting.poNumber };
+      entries.push(this.planLine(po, { id: posting.lineItemId, description: posting.description }, posting, 0));
+    });
+    
+    return entries;
+  }
+
+  // Plan one PO line given the quantity (in the PO's unit) that should now be posted for it.
+  // A line without a posting is matched automatically unless matchOverride gives the item to
+  // post to (or null to create a new item).
+  planLine(po, lineItem, posting, orderedQuantity, matchOverride = undefined) {
+    const entry = {
+      key: this.getPostingKey(po.id, lineItem.id),
+      po,
+      lineItem,
+      posting: posting || null,
+      orderedQuantity,
+      item: null,
+      confidence: null,
+      matchReason: '',
+      candidates: [],
+      action: 'unchanged',
+      targetQuantity: 0,
+      delta: 0,
+      // Units this app doesn't know are kept as written, so they fail conversion instead of
+      // silently counting as the item's stock unit
+      unit: this.inventoryManager.normalizeUnit(lineItem.unit) || String(lineItem.unit || '').trim(),
+      newItem: null,
+      reason: ''
+    };
+    
+    if (posting) {
+      entry.item = this.inventoryManager.items.find(item => item.id === posting.itemId) || null;
+      if (!entry.item) {
+        // Nothing left to reverse once the item itself is gone
+        if (orderedQuantity === 0) return entry;
+        entry.action = 'error';
+        entry.reason = 'The inventory item this line was posted to has been deleted';
+        return entry;
+      }
+    } else if (orderedQuantity > 0) {
+      const match = matchOverride === undefined
+        ? this.matchInventoryItem(lineItem)
+        : { item: matchOverride, confidence: matchOverride ? 1 : null, reason: matchOverride ? 'Chosen in review' : '' };
+      entry.item = match.item;
+      entry.confidence = match.confidence;
+      entry.matchReason = match.reason;
+      entry.candidates = match.candidates || [];
+    } else {
+      return entry;
+    }
+    
+    if (!entry.item) {
+      // A new item would be stocked in Each, which later syncs couldn't convert this unit to
+      if (entry.unit && !this.inventoryManager.normalizeUnit(entry.unit)) {
+        entry.action = 'error';
+        entry.reason = `Unit "${entry.unit}" isn't one this app knows; change the PO line's unit in Procore to sync it`;
+        return entry;
+      }
+      entry.action = 'create';
+      entry.newItem = this.createInventoryItemFromPOLine(lineItem, null, po, orderedQuantity);
+      entry.targetQuantity = entry.newItem.quantityAvailable;
+      entry.delta = entry.targetQuantity;
+      return entry;
+    }
+    
+    try {
+      entry.targetQuantity = this.inventoryManager.convertQuantity(
+        entry.item,
+        orderedQuantity,
+        entry.unit || entry.item.purchaseUnit || entry.item.unitOfMeasure
+      );
+    } catch (error) {
+      entry.action = 'error';
+      entry.reason = error.message;
+      return entry;
+    }
+    
+    entry.delta = entry.targetQuantity - (posting ? posting.postedQuantity : 0);
+    
+    // Weak matches wait for a person rather than posting stock to the wrong item
+    if (!posting && entry.confidence !== null && entry.confidence < this.autoMatchThreshold) {
+      entry.action = 'review';
+      return entry;
+    }
+    
+    if (entry.delta === 0) {
+      entry.action = 'unchanged';
+    } else if (!posting || posting.postedQuantity === 0) {
+      entry.action = 'post';
+    } else {
+      entry.action = entry.targetQuantity === 0 ? 'reverse' : 'adjust';
+    }
+    
+    return entry;
+  }
+
+  // Apply a planned sync, recording each posting in the item history and in poPostings
+  applyPurchaseOrderSync(plan, projectId) {
+    this.inventoryManager.requirePermission('syncProcore');
+    
+    const postings = this.inventoryManager.poPostings;
+    const reviews = this.inventoryManager.matchReviews;
+    const result = { created: 0, posted: 0, adjusted: 0, reversed: 0, unchanged: 0, queued: 0, errors: [], updatedItems: 0 };
+    const updatedItems = new Set();
+    // Several unmatched lines for the same product stock one new item per sync
+    const createdItems = new Map();
+    
+    plan.forEach(entry => {
+      if (entry.action === 'review') {
+        this.queueMatchReview(entry);
+        result.queued++;
+        return;
+      }
+      if (entry.action === 'unchanged') {
+        // Lines voided or removed before anyone reviewed them leave the queue
+        delete reviews[entry.key];
+        result.unchanged++;
+        return;
+      }
+      if (entry.action === 'error') {
+        // Lines whose unit can't be converted (or whose item is gone) are skipped; the rest still post
+        console.warn(`Skipping PO line ${entry.key}: ${entry.reason}`);
+        result.errors.push({ key: entry.key, message: entry.reason });
+        return;
+      }
+      
+      const reference = entry.po.number || entry.po.id;
+      const posting = entry.posting || this.createPosting(entry.po, entry.lineItem);
+      
+      try {
+        if (entry.action === 'create' && createdItems.has(this.getNewItemKey(entry.newItem))) {
+          const item = createdItems.get(this.getNewItemKey(entry.newItem));
+          // The line was planned as a new item of its own, so its stock unit is the one to convert from
+          const quantity = this.inventoryManager.convertQuantity(item, entry.targetQuantity, entry.newItem.unitOfMeasure);
+          posting.itemId = item.id;
+          posting.location = item.defaultLocation;
+          this.postToLocation(posting, item, quantity, posting.location, {
+            source: 'po_sync',
+            reference,
+            notes: `Received from PO ${reference}`
+          });
+          result.posted++;
+        } else if (entry.action === 'create') {
+          const createdItem = this.inventoryManager.addItem({ ...entry.newItem, projectId }, {
+            source: 'po_sync',
+            reference,
+            notes: `Created from PO ${reference}`
+          });
+          posting.itemId = createdItem.id;
+          posting.location = createdItem.defaultLocation;
+          posting.postedByLocation = { [createdItem.defaultLocation]: entry.targetQuantity };
+          posting.postedQuantity = entry.targetQuantity;
+          createdItems.set(this.getNewItemKey(entry.newItem), createdItem);
+          result.created++;
+        } else if (entry.action === 'reverse') {
+          // Take the stock back out wherever it was posted
+          Object.entries(this.getPostedByLocation(posting)).forEach(([location, quantity]) => {
+            this.postToLocation(posting, entry.item, -quantity, location, {
+              source: 'po_sync',
+              reference,
+              notes: `Reversed posting from PO ${reference}: line voided or removed`
+            });
+          });
+          result.reversed++;
+        } else {
+          const item = entry.item;
+          posting.itemId = item.id;
+          posting.location = posting.location || item.defaultLocation;
+          this.recordPurchaseDetails(item, entry.po, entry.lineItem, entry.unit);
+          
+          this.postToLocation(posting, item, entry.delta, posting.location, {
+            source: 'po_sync',
+            reference,
+            notes: entry.action === 'adjust'
+              ? `PO ${reference} line changed from ${posting.postedQuantity} to ${entry.targetQuantity} ${item.unitOfMeasure}`
+              : `Received from PO ${reference}`
+          });
+          result[entry.action === 'post' ? 'posted' : 'adjusted']++;
+        }
+        
+        posting.lastSyncedAt = new Date().toISOString();
+        postings[entry.key] = posting;
+        delete reviews[entry.key];
+        updatedItems.add(posting.itemId);
+      } catch (error) {
+        result.errors.push({ key: entry.key, message: error.message });
+      }
+    });
+    
+    result.updatedItems = updatedItems.size;
+    return result;
+  }
+
+  // Quantity on a PO line that Procore has not recorded as received, in the line's unit
+  getUnreceivedQuantity(lineItem) {
+    return Math.max((Number(lineItem.quantity) || 0) - (Number(lineItem.received_quantity) || 0), 0);
+  }
+
+  // Identify the product a planned new item is for, by part number or else by name
+  getNewItemKey(newItem) {
+    const partNumber = this.inventoryManager.normalizePartNumber(newItem.partNumber);
+    if (partNumber) {
+      return `part:${partNumber}`;
+    }
+    return `name:${String(newItem.manufacturer || '').trim().toLowerCase()}|${String(newItem.description || '').trim().toLowerCase()}`;
+  }
+
+  // A fresh posting record for a PO line; quantities are in the item's stock unit
+  createPosting(po, lineItem) {
+    return {
+      poId: po.id,
+      poNumber: po.number || '',
+      lineItemId: lineItem.id,
+      description: lineItem.description || '',
+      itemId: null,
+      location: null,
+      postedQuantity: 0,
+      postedByLocation: {},
+      receivedQuantity: 0, // In the PO line's unit
+      receipts: []
+    };
+  }
+
+  // Stock posted for a line at each location (postings from before receiving held one location)
+  getPostedByLocation(posting) {
+    if (posting.postedByLocation) {
+      return posting.postedByLocation;
+    }
+    return posting.postedQuantity ? { [posting.location]: posting.postedQuantity } : {};
+  }
+
+  // Post a quantity change for a PO line at one location and keep the posting totals in step
+  postToLocation(posting, item, quantity, location, details) {
+    this.inventoryManager.adjustQuantity(item.id, quantity, false, { ...details, location });
+    
+    const byLocation = { ...this.getPostedByLocation(posting) };
+    byLocation[location] = Math.round(((byLocation[location] || 0) + quantity) * 1000) / 1000;
+    if (byLocation[location] === 0) {
+      delete byLocation[location];
+    }
+    
+    posting.postedByLocation = byLocation;
+    posting.postedQuantity = Object.values(byLocation).reduce((sum, value) => sum + value, 0);
+  }
+
+  // Remember who an item was bought from and its latest cost per stock unit, for requisitions
+  recordPurchaseDetails(item, po, lineItem, unit) {
+    const vendor = this.getPOVendor(po);
+    if (vendor.name) {
+      item.vendor = vendor.name;
+      item.vendorId = vendor.id;
+    }
+    
+    const unitCost = Number(lineItem.unit_cost) || 0;
+    if (unitCost > 0) {
+      const stockPerUnit = this.inventoryManager.convertQuantity(item, 1, unit || item.purchaseUnit || item.unitOfMeasure);
+      item.lastCost = Math.round(unitCost / stockPerUnit * 10000) / 10000;
+    }
+  }
+
+  // Vendor on a Procore commitment; the company name is what users know it by
+  getPOVendor(po) {
+    const vendor = po.vendor || {};
+    return { id: vendor.id || null, name: vendor.company || vendor.name || '' };
+  }
+
+  // Open PO lines for the receiving screen, grouped by PO, with what has been received so far.
+  // options: { signal } - an AbortSignal that cancels the remaining requests
+  async getOpenPurchaseOrderLines(projectId, options = {}) {
+    const postings = this.inventoryManager.poPostings;
+    
+    const purchaseOrders = await this.procoreApi.requestAll(`/projects/${projectId}/purchase_orders`, {
+      signal: options.signal
+    });
+    const postedPOIds = new Set(Object.values(postings).map(posting => String(posting.poId)));
+    const openPOs = await this.getLowVoltagePurchaseOrders(projectId, purchaseOrders.filter(po => this.isPostablePO(po)), {
+      signal: options.signal,
+      include: po => postedPOIds.has(String(po.id))
+    });
+    
+    return openPOs.map(({ po, lineItems }) => {
+      const lines = lineItems
+        .filter(lineItem => !lineItem.deleted_at)
+        .map(lineItem => {
+          const key = this.getPostingKey(po.id, lineItem.id);
+          const posting = postings[key] || null;
+          // Received here so far plus anything Procore already recorded as received
+          const procoreReceived = (Number(lineItem.quantity) || 0) - this.getUnreceivedQuantity(lineItem);
+          const receivedQuantity = (posting ? posting.receivedQuantity || 0 : 0) + procoreReceived;
+          // Receiving only trusts matches strong enough to post on their own
+          const match = posting ? null : this.matchInventoryItem(lineItem);
+          const item = posting
+            ? this.inventoryManager.items.find(item => item.id === posting.itemId) || null
+            : match.confidence >= this.autoMatchThreshold ? match.item : null;
+          
+          return {
+            key,
+            po,
+            lineItem,
+            posting,
+            item,
+            unit: this.inventoryManager.normalizeUnit(lineItem.unit) || lineItem.unit || '',
+            orderedQuantity: lineItem.quantity,
+            receivedQuantity,
+            outstandingQuantity: Math.max((Number(lineItem.quantity) || 0) - receivedQuantity, 0),
+            receipts: posting && posting.receipts ? posting.receipts : [],
+            possibleMatch: match && !item ? match.item : null
+          };
+        });
+      
+      return {
+        po,
+        lines,
+        backorderedLines: lines.filter(line => line.receivedQuantity > 0 && line.outstandingQuantity > 0).length,
+        isFullyReceived: lines.every(line => line.outstandingQuantity === 0)
+      };
+    });
+  }
+
+  // Post a (possibly partial) receipt against a PO line. The line is then posted at the received
+  // quantity: if sync had already posted the ordered quantity, the difference is taken back out.
+  // receipt: { quantity, location, packingSlip, damageNotes } with quantity in the PO line's unit
+  receivePurchaseOrderLine(line, receipt, projectId) {
+    this.inventoryManager.requirePermission('adjustStock', line.item);
+    
+    const postings = this.inventoryManager.poPostings;
+    const quantity = Number(receipt.quantity);
+    
+    if (!(quantity > 0)) {
+      throw new Error('Received quantity must be greater than zero');
+    }
+    if (quantity > line.outstandingQuantity) {
+      throw new Error(`Only ${line.outstandingQuantity} ${line.unit} outstanding on PO ${line.po.number || line.po.id}`);
+    }
+    
+    const reference = line.po.number || line.po.id;
+    const location = String(receipt.location || '').trim();
+    const posting = postings[line.key] || this.createPosting(line.po, line.lineItem);
+    posting.receipts = posting.receipts || [];
+    
+    let item = posting.itemId ? this.inventoryManager.items.find(item => item.id === posting.itemId) : line.item;
+    // Unmatched material gets a new item with nothing on hand until this receipt posts
+    const newItem = item ? null : {
+      ...this.createInventoryItemFromPOLine(line.lineItem, projectId, line.po),
+      quantityAvailable: 0,
+      location: location || 'Receiving'
+    };
+    
+    // Check the unit converts before anything changes, so a bad line can't leave a new item behind
+    const target = item || newItem;
+    const receivedStock = this.inventoryManager.convertQuantity(target, quantity, line.unit || target.purchaseUnit || target.unitOfMeasure);
+    if (!item) {
+      item = this.inventoryManager.addItem(newItem, {
+        source: 'receiving',
+        reference,
+        notes: `Created when receiving PO ${reference}`
+      });
+    }
+    
+    const receivingLocation = location || item.defaultLocation;
+    this.recordPurchaseDetails(item, line.po, line.lineItem, line.unit);
+    
+    // Stock that sync posted at the ordered quantity is replaced by what actually arrives
+    if (posting.receipts.length === 0 && posting.postedQuantity > 0) {
+      Object.entries(this.getPostedByLocation(posting)).forEach(([postedLocation, postedQuantity]) => {
+        this.postToLocation(posting, item, -postedQuantity, postedLocation, {
+          source: 'receiving',
+          reference,
+          notes: `PO ${reference} was posted at the ordered quantity; replaced by received quantities`
+        });
+      });
+    }
+    
+    this.postToLocation(posting, item, receivedStock, receivingLocation, {
+      source: 'receiving',
+      reference,
+      notes: [
+        `Received ${quantity} ${line.unit} on PO ${reference}`,
+        receipt.packingSlip ? `packing slip ${receipt.packingSlip}` : '',
+        receipt.damageNotes ? `damage: ${receipt.damageNotes}` : ''
+      ].filter(Boolean).join('; ')
+    });
+    
+    const entry = {
+      id: this.inventoryManager.generateId(),
+      quantity,
+      stockQuantity: receivedStock,
+      location: receivingLocation,
+      packingSlip: receipt.packingSlip || '',
+      damageNotes: receipt.damageNotes || '',
+      userName: this.inventoryManager.currentUser ? this.inventoryManager.currentUser.name : 'Unknown User',
+      timestamp: new Date().toISOString()
+    };
+    
+    posting.itemId = item.id;
+    posting.location = posting.location || receivingLocation;
+    posting.receivedQuantity = (posting.receivedQuantity || 0) + quantity;
+    posting.receipts.push(entry);
+    postings[line.key] = posting;
+    delete this.inventoryManager.matchReviews[line.key];
+    
+    return entry;
+  }
+
+  // Create a draft purchase order in Procore for one requisition group (see buildRequisition).
+  // Returns { contract, failedLines }; a failed line doesn't undo the draft, so the buyer can finish it in Procore.
+  async createDraftPurchaseOrder(projectId, group) {
+    this.inventoryManager.requirePermission('syncProcore');
+    
+    // The draft can still be created without a vendor when the directory can't be read
+    const vendorId = await this.findVendorId(projectId, group.vendor).catch(error => {
+      if (error instanceof ProcoreNetworkError) throw error;
+      console.warn('Could not look up vendor in the project directory:', error);
+      return null;
+    }) || group.vendorId;
+    const requestedBy = this.inventoryManager.currentUser ? this.inventoryManager.currentUser.name : 'Unknown User';
+    
+    const contract = await this.procoreApi.request(`/projects/${projectId}/purchase_order_contracts`, 'POST', {
+      purchase_order_contract: {
+        title: `Low voltage material requisition${group.vendor ? ` - ${group.vendor}` : ''}`,
+        status: 'Draft',
+        vendor_id: vendorId || undefined,
+        description: `Requested from LV inventory by ${requestedBy} on ${new Date().toLocaleDateString()}` +
+          (group.vendor && !vendorId ? `. Vendor "${group.vendor}" was not found in the project directory.` : '')
+      }
+    });
+    
+    const failedLines = [];
+    for (const line of group.lines) {
+      try {
+        await this.procoreApi.request(`/projects/${projectId}/purchase_order_contracts/${contract.id}/line_items`, 'POST', {
+          line_item: {
+            description: [line.manufacturer, line.partNumber, line.description].filter(Boolean).join(' - '),
+            quantity: line.quantity,
+            uom: line.unit,
+            unit_cost: line.unitCost,
+            amount: Math.round(line.quantity * line.unitCost * 100) / 100
+          }
+        });
+      } catch (error) {
+        failedLines.push({ line, message: error.message });
+      }
+    }
+    
+    return { contract, failedLines };
+  }
+
+  // Procore vendor ID for a vendor name from the project directory, or null
+  async findVendorId(projectId, vendorName) {
+    const name = String(vendorName || '').trim().toLowerCase();
+    if (!name) return null;
+    
+    const vendors = await this.procoreApi.requestAll(`/projects/${projectId}/vendors`);
+    const vendor = vendors.find(vendor => String(vendor.name || vendor.company || '').trim().toLowerCase() === name);
+    return vendor ? vendor.id : null;
+  }
+
+  // Re-plan a line that has not been posted yet against a different item, or a new item when itemId is null
+  remapPlanEntry(entry, itemId) {
+    const item = itemId ? this.inventoryManager.items.find(item => item.id === itemId) : null;
+    return this.planLine(entry.po, entry.lineItem, entry.posting, entry.orderedQuantity, item);
+  }
+
+  // Key under which a PO line's posting is remembered
+  getPostingKey(poId, lineItemId) {
+    return `${poId}:${lineItemId}`;
+  }
+
+  // Approved and closed POs are posted to inventory; drafts and voided POs are not
+  isPostablePO(po) {
+    const status = String(po.status || '').toLowerCase();
+    return !po.deleted_at && (status === 'approved' || status === 'closed');
+  }
+
+  // Check if a PO is for low voltage material using the company's classification rules, from its
+  // title and description and, when given, its line items' cost codes
+  isLowVoltagePO(po, lineItems = []) {
+    return this.inventoryManager.classificationRules.isLowVoltage({
+      text: [po.title, po.description].filter(Boolean).join('\n'),
+      costCodes: lineItems.map(lineItem => this.getCostCode(lineItem)).filter(Boolean)
+    });
+  }
+
+  // Cost code on a PO line, e.g. "27-15-13"
+  getCostCode(lineItem) {
+    const costCode = lineItem.cost_code;
+    if (!costCode) return '';
+    return typeof costCode === 'object' ? costCode.full_code || costCode.code || '' : String(costCode);
+  }
+
+  // Low voltage POs with their line items. Title and description are checked first; when the company
+  // added cost-code rules, the remaining POs' lines are fetched so their cost codes can be checked too.
+  // include(po) keeps a PO regardless of the rules.
+  async getLowVoltagePurchaseOrders(projectId, purchaseOrders, options = {}) {
+    const include = options.include || (() => false);
+    const fetchLines = po => this.procoreApi.requestAll(`/projects/${projectId}/purchase_order_contracts/${po.id}/line_items`, {
+      signal: options.signal
+    });
+    
+    const matched = purchaseOrders.filter(po => include(po) || this.isLowVoltagePO(po));
+    const unmatched = this.inventoryManager.classificationRules.hasCustomCostCodeRules()
+      ? purchaseOrders.filter(po => !matched.includes(po))
+      : [];
+    
+    // Fetch line items in parallel; the API scheduler bounds concurrency and handles rate limits
+    const [matchedLines, unmatchedLines] = await Promise.all([
+      Promise.all(matched.map(fetchLines)),
+      Promise.all(unmatched.map(fetchLines))
+    ]);
+    
+    const byCostCode = unmatched
+      .map((po, index) => ({ po, lineItems: unmatchedLines[index] }))
+      .filter(({ po, lineItems }) => this.isLowVoltagePO(po, lineItems));
+    
+    // Keep Procore's PO order
+    const results = [...matched.map((po, index) => ({ po, lineItems: matchedLines[index] })), ...byCostCode];
+    return results.sort((a, b) => purchaseOrders.indexOf(a.po) - purchaseOrders.indexOf(b.po));
+  }
+
+  // Find matching inventory item for a PO line item
+  findMatchingInventoryItem(lineItem) {
+    return this.matchInventoryItem(lineItem).item;
+  }
+
+  // Best inventory match for a PO line with a confidence from 0 to 1, plus up to three candidates.
+  // Part numbers are compared without case or punctuation and must agree on manufacturer;
+  // descriptions are compared word by word, words shared by few items counting the most.
+  // Nothing below matchThreshold counts as a match.
+  matchInventoryItem(lineItem) {
+    const items = this.inventoryManager.items;
+    const weight = this.getTokenWeights(items);
+    
+    const candidates = items
+      .map(item => ({ item, ...this.scoreMatch(lineItem, item, weight) }))
+      .filter(match => match.confidence >= this.matchThreshold)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, 3);
+    
+    if (candidates.length === 0) {
+      return { item: null, confidence: null, reason: 'No match', candidates };
+    }
+    return { item: candidates[0].item, confidence: candidates[0].confidence, reason: candidates[0].reason, candidates };
+  }
+
+  // Confidence and reason that a PO line is this inventory item
+  scoreMatch(lineItem, item, weight) {
+    const manager = this.inventoryManager;
+    const linePart = manager.normalizePartNumber(lineItem.part_number);
+    const itemPart = manager.normalizePartNumber(item.partNumber);
+    const lineManufacturer = this.normalizeManufacturer(lineItem.manufacturer || this.findManufacturer(lineItem.description));
+    const itemManufacturer = this.normalizeManufacturer(item.manufacturer);
+    
+    // The same number from a different manufacturer is usually a different product
+    const score = (confidence, reason) => lineManufacturer && itemManufacturer && lineManufacturer !== itemManufacturer
+      ? { confidence: Math.round(confidence * 0.6 * 100) / 100, reason: `${reason}, but the manufacturer is ${item.manufacturer}` }
+      : { confidence, reason };
+    
+    if (itemPart && linePart === itemPart) {
+      return score(1, 'Part number matches');
+    }
+    if (itemPart.length >= 4 && String(lineItem.description || '').split(/\s+/).some(word => manager.normalizePartNumber(word) === itemPart)) {
+      return score(0.95, 'Part number found in description');
+    }
+    if (linePart.length >= 5 && itemPart.length >= 5 && Math.abs(linePart.length - itemPart.length) <= 4 &&
+        (linePart.startsWith(itemPart) || itemPart.startsWith(linePart))) {
+      return score(0.75, `Part number is a variant of ${item.partNumber}`);
+    }
+    
+    const lineTokens = new Set(this.tokenize(lineItem.description));
+    const itemTokens = new Set(this.tokenize(`${item.manufacturer} ${item.partNumber} ${item.description}`));
+    const shared = [...lineTokens].filter(token => itemTokens.has(token));
+    if (shared.length === 0) {
+      return { confidence: 0, reason: '' };
+    }
+    
+    // Weighted Dice coefficient; description matches stay below autoMatchThreshold so a person confirms them
+    const total = tokens => [...tokens].reduce((sum, token) => sum + weight(token), 0);
+    const similarity = 2 * total(shared) / (total(lineTokens) + total(itemTokens));
+    return score(Math.round(similarity * 0.85 * 100) / 100, `Description ${Math.round(similarity * 100)}% similar`);
+  }
+
+  // Weight of a description word: rarer across the catalog means more telling
+  getTokenWeights(items) {
+    const documentFrequency = new Map();
+    items.forEach(item => {
+      new Set(this.tokenize(`${item.manufacturer} ${item.partNumber} ${item.description}`)).forEach(token => {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      });
+    });
+    return token => 1 + Math.log((items.length + 1) / ((documentFrequency.get(token) || 0) + 1));
+  }
+
+  // Comparable words of a description: lower case, plurals folded, filler words dropped and
+  // "Cat 6A" or "Category 6A" written as "cat6a"
+  tokenize(text) {
+    const filler = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'w', 'per', 'to', 'in', 'ea', 'each', 'ft', 'feet', 'pk', 'pack', 'box', 'qty']);
+    return String(text || '').toLowerCase()
+      .replace(/\b(?:cat|category)[\s-]*(\d+[a-e]?)\b/g, 'cat$1')
+      .split(/[^a-z0-9]+/)
+      .map(token => token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token)
+      .filter(token => token && !filler.has(token));
+  }
+
+  // First known manufacturer named in some text, or ''
+  findManufacturer(text) {
+    const value = String(text || '');
+    return this.getKnownManufacturers().find(name =>
+      new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(value)
+    ) || '';
+  }
+
+  // Manufacturer name for comparison, ignoring case, punctuation and company suffixes
+  normalizeManufacturer(name) {
+    return String(name || '').toLowerCase()
+      .replace(/\b(?:inc|incorporated|corp|corporation|llc|ltd|co|company)\b\.?/g, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  // Put a weakly matched PO line in the review queue with its candidates
+  queueMatchReview(entry) {
+    const reviews = this.inventoryManager.matchReviews;
+    const { id, number, title, status, vendor } = entry.po;
+    
+    reviews[entry.key] = {
+      key: entry.key,
+      po: { id, number, title, status, vendor },
+      lineItem: { ...entry.lineItem },
+      candidates: entry.candidates.map(candidate => ({
+        itemId: candidate.item.id,
+        confidence: candidate.confidence,
+        reason: candidate.reason
+      })),
+      queuedAt: reviews[entry.key] ? reviews[entry.key].queuedAt : new Date().toISOString()
+    };
+  }
+
+  // Settle a queued match by posting the line to itemId, or to a new item when itemId is null.
+  // Returns the applyPurchaseOrderSync result, or null when the line was posted some other way meanwhile.
+  resolveMatchReview(key, itemId, projectId) {
+    this.inventoryManager.requirePermission('syncProcore');
+    
+    const reviews = this.inventoryManager.matchReviews;
+    const review = reviews[key];
+    if (!review) {
+      throw new Error('This PO line is no longer waiting for review');
+    }
+    
+    // Receiving may have posted the line since it was queued; sync keeps that posting in step
+    if (this.inventoryManager.poPostings[key]) {
+      delete reviews[key];
+      return null;
+    }
+    
+    const item = itemId ? this.inventoryManager.items.find(item => item.id === itemId) : null;
+    if (itemId && !item) {
+      throw new Error('The chosen inventory item no longer exists');
+    }
+    
+    const entry = this.planLine(review.po, review.lineItem, null, this.getUnreceivedQuantity(review.lineItem), item);
+    if (entry.action === 'error') {
+      throw new Error(entry.reason);
+    }
+    return this.applyPurchaseOrderSync([entry], projectId);
+  }
+
+  // Create inventory item from PO line item, stocked with quantity (in the PO line's unit)
+  createInventoryItemFromPOLine(lineItem, projectId, po = {}, quantity = lineItem.quantity) {
+    // Determine the most likely category from the description and cost code
+    const { category, subCategory } = this.inventoryManager.classificationRules.categorize({
+      text: lineItem.description || '',
+      costCodes: [this.getCostCode(lineItem)].filter(Boolean)
+    });
+    
+    // Boxes, bags and rolls are stocked in what they contain when the description gives a pack size
+    const purchaseUnit = this.inventoryManager.normalizeUnit(lineItem.unit) || 'Each';
+    const packSize = ['Box', 'Bag', 'Roll', 'Lot'].includes(purchaseUnit)
+      ? this.inventoryManager.parsePackSize(lineItem.description)
+      : null;
+    const stockUnit = packSize ? packSize.unit : purchaseUnit;
+    const factor = packSize ? packSize.quantity : 1;
+    const stockQuantity = quantity * factor;
+    const vendor = this.getPOVendor(po);
+    
+    return {
+      projectId,
+      category,
+      subCategory,
+      manufacturer: lineItem.manufacturer || '',
+      partNumber: lineItem.part_number || '',
+      description: lineItem.description,
+      unitOfMeasure: stockUnit,
+      purchaseUnit: packSize ? purchaseUnit : '',
+      purchaseFactor: factor,
+      quantityAvailable: stockQuantity,
+      quantityAllocated: 0,
+      reorderThreshold: Math.floor(stockQuantity * 0.2), // Default to 20% of initial quantity
+      reorderQuantity: stockQuantity,
+      location: 'From PO',
+      cost: (lineItem.unit_cost || 0) / factor, // Cost is kept per stock unit
+      lastCost: (lineItem.unit_cost || 0) / factor,
+      vendor: vendor.name,
+      vendorId: vendor.id
+    };
+  }
+
+  // Determine category from description using the company's classification rules
+  determineCategoryFromDescription(description) {
+    return this.inventoryManager.classificationRules.categorize({ text: description }).category;
+  }
+
+  // Suggested new items and substitutions found in low voltage RFI responses, for the user to
+  // approve (see applyRFISuggestion). Suggestions dismissed earlier are left out.
+  // options: { signal } - an AbortSignal that cancels the remaining requests
+  async syncWithRFIs(projectId, options = {}) {
+    try {
+      // Get RFIs from Procore
+      const rfis = await this.procoreApi.requestAll(`/projects/${projectId}/rfis`, {
+        signal: options.signal
+      });
+      
+      // Filter RFIs related to low voltage
+      const rules = this.inventoryManager.classificationRules;
+      const lvRFIs = rfis.filter(rfi => rules.isLowVoltage({
+        text: [rfi.subject, rfi.body].filter(Boolean).join('\n'),
+        costCodes: rfi.cost_code ? [rfi.cost_code.full_code || rfi.cost_code.code] : []
+      }));
+      
+      const dismissed = new Set(this.loadDismissedRFISuggestions(projectId));
+      const suggestions = new Map();
+      
+      // Process relevant RFIs for inventory information
+      for (const rfi of lvRFIs) {
+        // The RFI list can leave out responses; the full RFI has them
+        const detail = rfi.responses || rfi.questions
+          ? rfi
+          : await this.procoreApi.request(`/projects/${projectId}/rfis/${rfi.id}`, 'GET', null, { signal: options.signal });
+        
+        this.getRFIResponseTexts(detail).forEach(text => {
+          this.extractProductInfoFromText(text).forEach(mention => {
+            const suggestion = this.suggestFromRFIMention(mention, rfi);
+            if (suggestion && !dismissed.has(suggestion.key) && !suggestions.has(suggestion.key)) {
+              suggestions.set(suggestion.key, suggestion);
+            }
+          });
+        });
+      }
+      
+      return [...suggestions.values()];
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error syncing with RFIs:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Response texts of an RFI, from either the older responses list or question answers
+  getRFIResponseTexts(rfi) {
+    const texts = (rfi.responses || []).map(response => response.body);
+    (rfi.questions || []).forEach(question => {
+      (question.answers || []).forEach(answer => texts.push(answer.plain_text_body || answer.body));
+    });
+    return texts.filter(Boolean);
+  }
+
+  // Find product mentions in free text such as an RFI response, e.g.
+  // "Substitute (24) Panduit CJ688TGBU for Leviton 61110-RW6" gives
+  // [{ manufacturer: 'Panduit', partNumber: 'CJ688TGBU', quantity: 24, unit: '',
+  //    substitutesFor: { manufacturer: 'Leviton', partNumber: '61110-RW6' }, excerpt }]
+  extractProductInfoFromText(text) {
+    const plain = String(text || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+    const mentions = [];
+    
+    plain.split(/(?<=[.;!?])\s+|\n+/).forEach(sentence => {
+      const references = this.findProductReferences(sentence);
+      if (references.length === 0) return;
+      
+      const substitution = this.findSubstitution(sentence, references);
+      const excerpt = sentence.trim().replace(/\s+/g, ' ');
+      
+      references.forEach(reference => {
+        // Replaced products are reported with the product replacing them
+        if (substitution && substitution.originals.includes(reference)) return;
         
-        // Update the UI
-        document.getElementById('inventory-table-body').innerHTML = this.renderInventoryItems();
+        let original = null;
+        if (substitution && substitution.proposed.includes(reference)) {
+          const index = Math.min(substitution.proposed.indexOf(reference), substitution.originals.length - 1);
+          original = substitution.originals[index];
+        }
+        const quantity = this.findQuantityNear(sentence, reference);
         
-        // Show success message
-        this.showMessage('Item successfully deleted.');
-      } catch (error) {
-        console.error('Error deleting item:', error);
-        this.showError(`Failed to delete item: ${error.message}`);
+        mentions.push({
+          manufacturer: reference.manufacturer,
+          partNumber: reference.partNumber,
+          quantity: quantity ? quantity.quantity : null,
+          unit: quantity ? quantity.unit : '',
+          substitutesFor: original ? { manufacturer: original.manufacturer, partNumber: original.partNumber } : null,
+          excerpt
+        });
+      });
+    });
+    
+    return mentions;
+  }
+
+  // Part numbers in a sentence with the manufacturer named just before them, if any
+  findProductReferences(sentence) {
+    const manufacturers = [];
+    this.getKnownManufacturers().forEach(name => {
+      const pattern = new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
+      let match;
+      while ((match = pattern.exec(sentence))) {
+        const index = match.index;
+        // Longer names were searched first, so skip matches inside one already found
+        if (!manufacturers.some(found => index >= found.index && index < found.end)) {
+          manufacturers.push({ name, index, end: index + match[0].length });
+        }
+      }
+    });
+    manufacturers.sort((a, b) => a.index - b.index);
+    
+    const references = [];
+    const tokenPattern = /[A-Za-z0-9][A-Za-z0-9./-]*[A-Za-z0-9]/g;
+    let match;
+    while ((match = tokenPattern.exec(sentence))) {
+      const token = match[0];
+      const index = match.index;
+      if (manufacturers.some(found => index >= found.index && index < found.end)) continue;
+      
+      // A manufacturer a few words back applies unless another part number sits in between,
+      // e.g. "Panduit Mini-Com CJ688TGBU"
+      const manufacturer = manufacturers.filter(found =>
+        found.end <= index &&
+        index - found.end <= 25 &&
+        !references.some(reference => reference.partIndex > found.end)
+      ).pop();
+      const labelled = /\b(?:part|model|cat(?:alog)?|p\/n|pn|sku)\s*(?:no\.?|number|#)?\s*[:#]?\s*$/i.test(sentence.slice(0, index));
+      // Drawing references such as "sheet E-101" or "detail 3/E501" are never products
+      const drawing = /\b(?:sheets?|details?|dwgs?|drawings?|sections?|elevations?|plans?)\s*(?:no\.?|#)?\s*[:#]?\s*$/i.test(sentence.slice(0, index));
+      
+      if (!drawing && this.isPartNumberToken(token, Boolean(manufacturer) || labelled)) {
+        references.push({
+          manufacturer: manufacturer ? manufacturer.name : '',
+          partNumber: token,
+          index: manufacturer ? manufacturer.index : index,
+          partIndex: index,
+          end: index + token.length
+        });
       }
     }
+    
+    return references;
   }
 
-  // Export inventory to CSV file
-  exportInventory() {
-    const csvContent = this.inventoryManager.exportToCSV();
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
+  // Whether a word looks like a part number rather than a spec, size, date or drawing reference.
+  // Words only count when a manufacturer or "part #" comes right before them.
+  isPartNumberToken(token, hasContext) {
+    const compact = token.replace(/[-./]/g, '');
+    if (!hasContext || compact.length < 3 || !/\d/.test(compact)) return false;
     
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', `${this.currentProject.name}_LV_Inventory_${new Date().toISOString().split('T')[0]}.csv`);
-    document.body.appendChild(link);
+    // Sheet and detail callouts like E-101, A1.01 or 3/E501
+    if (/^(?:\d+\/[A-Z]{1,2}-?\d{1,3}(?:\.\d{1,2})?|[A-Z]{1,2}-\d{1,3}(?:\.\d{1,2})?|[A-Z]{1,2}\d\.\d{1,2})$/i.test(token)) return false;
     
-    link.click();
-    document.body.removeChild(link);
+    const notPartNumber = /^(?:cat\d+[a-e]?|om\d|os\d|\d+awg|awg\d+|rj\d+|poe\d*|ul\d+|tia\d*[a-z]?|eia\d*|iso\d+|nfpa\d+|nec\d*|rfi\d+|q[1-4]|\d+(?:st|nd|rd|th)|\d+(?:ft|lf|m|mm|cm|in|v|vac|vdc|w|a|ma|mhz|ghz|gbps|mbps|lbs?|pcs?|ea|u|ru|hz|db|k|am|pm)|\d+x\d+)$/i;
+    if (notPartNumber.test(compact)) return false;
+    
+    if (!/[a-z]/i.test(compact)) {
+      return compact.length >= 4 && !token.includes('/');
+    }
+    return true;
   }
 
-  // Show report modal with inventory analysis
-  showReportModal() {
-    const report = this.inventoryManager.generateInventoryReport();
+  // Split a sentence's references into proposed and replaced products, or null when it
+  // isn't a substitution
+  findSubstitution(sentence, references) {
+    const split = connector => {
+      const before = references.filter(reference => reference.end <= connector.index);
+      const after = references.filter(reference => reference.index >= connector.index + connector[0].length);
+      return before.length > 0 && after.length > 0 ? { before, after } : null;
+    };
+    const firstSplit = pattern => {
+      let connector;
+      while ((connector = pattern.exec(sentence))) {
+        const parts = split(connector);
+        if (parts) return parts;
+      }
+      return null;
+    };
     
-    const modal = document.getElementById('report-modal');
+    // "Replace Leviton X with Panduit Y", "X may be substituted by Y"
+    let parts = /\b(?:replace|substitut)/i.test(sentence) ? firstSplit(/\b(?:with|by)\b/gi) : null;
+    if (parts) {
+      return { proposed: parts.after, originals: parts.before };
+    }
     
-    modal.innerHTML = `
-      <div class="modal-content report-modal">
-        <div class="modal-header">
-          <h3>Inventory Report</h3>
-          <span class="close-modal">&times;</span>
-        </div>
-        <div class="modal-body">
-          <div class="report-summary">
-            <div class="summary-card">
-              <div class="card-title">Total Items</div>
-              <div class="card-value">${report.totalItems}</div>
-            </div>
-            <div class="summary-card">
-              <div class="card-title">Total Value</div>
-              <div class="card-value">${report.totalValue.toFixed(2)}</div>
-            </div>
-            <div class="summary-card">
-              <div class="card-title">Low Stock Items</div>
-              <div class="card-value">${report.lowStockItems}</div>
-            </div>
-          </div>
-          
-          <h4>Inventory by Category</h4>
-          <div class="category-breakdown">
-            <table class="report-table">
-              <thead>
-                <tr>
-                  <th>Category</th>
-                  <th>Item Count</th>
-                  <th>Total Value</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${Object.entries(report.byCategory).map(([category, data]) => `
-                  <tr>
-                    <td>${category}</td>
-                    <td>${data.count}</td>
-                    <td>${data.value.toFixed(2)}</td>
-                  </tr>
-                `).join('')}
-              </tbody>
-            </table>
-          </div>
-          
-          <h4>Items Needing Reorder</h4>
-          <div class="reorder-list">
-            ${this.inventoryManager.getItemsNeedingReorder().length > 0 
-              ? `<table class="report-table">
-                  <thead>
-                    <tr>
-                      <th>Item</th>
-                      <th>Available</th>
-                      <th>Threshold</th>
-                      <th>Reorder Qty</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${this.inventoryManager.getItemsNeedingReorder().map(item => `
-                      <tr>
-                        <td>${item.manufacturer} - ${item.partNumber || item.description}</td>
-                        <td>${item.quantityAvailable} ${item.unitOfMeasure}</td>
-                        <td>${item.reorderThreshold} ${item.unitOfMeasure}</td>
-                        <td>${item.reorderQuantity} ${item.unitOfMeasure}</td>
-                      </tr>
-                    `).join('')}
-                  </tbody>
-                </table>`
-              : '<p>No items currently need reordering.</p>'
-            }
-          </div>
-          
-          <div class="form-actions">
-            <button id="print-report-btn" class="btn btn-primary">Print Report</button>
-            <button id="export-report-btn" class="btn btn-secondary">Export Report</button>
-            <button class="btn btn-tertiary cancel-modal">Close</button>
-          </div>
-        </div>
-      </div>
-    `;
+    // "Substitute Panduit Y for Leviton X", "use Y in lieu of X", "Y is an approved equal to X"
+    parts = firstSplit(/\b(?:in lieu of|in place of|instead of|an? (?:approved )?(?:equal|alternate|substitute|substitution)(?: to| for)?)\b/gi);
+    if (!parts && /\b(?:substitut\w*|use|provide|furnish|install|approved?)\b/i.test(sentence)) {
+      parts = firstSplit(/\bfor\b/gi);
+    }
+    return parts ? { proposed: parts.before, originals: parts.after } : null;
+  }
+
+  // Quantity written next to a product reference, e.g. "(24) Panduit ...", "qty 24" or "x 24"
+  findQuantityNear(sentence, reference) {
+    const unit = "(ea|each|pcs?|pieces?|boxes|box|bags?|rolls?|reels?|ft|feet|foot|lf|'|m|meters?)";
+    let match = new RegExp(`(?:^|[\\s(])(?:qty\\.?\\s*:?\\s*)?\\(?(\\d[\\d,]*(?:\\.\\d+)?)\\)?\\s*${unit}?\\s*(?:x\\s*|of\\s+)?$`, 'i')
+      .exec(sentence.slice(0, reference.index));
+    if (!match) {
+      // A trailing quantity may follow a few words naming the product, e.g. "P3245-LVE cameras, qty 8"
+      match = new RegExp(`^(?:\\s+[a-z]+){0,3}\\s*[,(-]?\\s*(?:qty\\.?|quantity|x)\\s*:?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*${unit}?`, 'i')
+        .exec(sentence.slice(reference.end));
+    }
+    if (!match) return null;
+    
+    let unitOfMeasure = '';
+    if (match[2]) {
+      unitOfMeasure = match[2] === "'" ? 'Feet' : this.inventoryManager.normalizeUnit(match[2]) || '';
+    }
+    return { quantity: Number(match[1].replace(/,/g, '')), unit: unitOfMeasure };
+  }
+
+  // Manufacturer names to look for in free text, longest first
+  getKnownManufacturers() {
+    const names = new Map();
+    [...this.knownManufacturers, ...this.inventoryManager.items.map(item => item.manufacturer)].forEach(name => {
+      const trimmed = String(name || '').trim();
+      if (trimmed.length >= 2 && !names.has(trimmed.toLowerCase())) {
+        names.set(trimmed.toLowerCase(), trimmed);
+      }
+    });
+    return [...names.values()].sort((a, b) => b.length - a.length);
+  }
+
+  // Inventory item for a part number: exact when the normalized part numbers are equal, otherwise
+  // a similar item whose part number extends or shortens it (color or pack suffixes)
+  matchPartNumber(partNumber) {
+    const normalized = this.inventoryManager.normalizePartNumber(partNumber);
+    if (!normalized) {
+      return { item: null, exact: false };
+    }
+    
+    const exact = this.inventoryManager.items.find(item =>
+      this.inventoryManager.normalizePartNumber(item.partNumber) === normalized
+    );
+    if (exact) {
+      return { item: exact, exact: true };
+    }
+    
+    const similar = normalized.length >= 4 ? this.inventoryManager.items.find(item => {
+      const itemPart = this.inventoryManager.normalizePartNumber(item.partNumber);
+      return itemPart.length >= 4 && (itemPart.startsWith(normalized) || normalized.startsWith(itemPart));
+    }) : null;
+    return { item: similar || null, exact: false };
+  }
+
+  // Turn an RFI mention into a suggestion, or null when inventory already reflects it.
+  // Suggestions: { key, type: 'new' | 'substitution', rfi, mention, item, similarItem, originalItem, newItem }
+  suggestFromRFIMention(mention, rfi) {
+    const normalize = partNumber => this.inventoryManager.normalizePartNumber(partNumber);
+    const source = { id: rfi.id, number: rfi.number || rfi.id, subject: rfi.subject || '' };
+    const proposed = this.matchPartNumber(mention.partNumber);
+    
+    if (mention.substitutesFor) {
+      const original = this.matchPartNumber(mention.substitutesFor.partNumber);
+      const linked = proposed.exact && (proposed.item.customFields.substitutesFor || {}).partNumber;
+      if (linked && normalize(linked) === normalize(mention.substitutesFor.partNumber)) {
+        return null;
+      }
+      
+      return {
+        key: `substitution:${normalize(mention.partNumber)}:${normalize(mention.substitutesFor.partNumber)}`,
+        type: 'substitution',
+        rfi: source,
+        mention,
+        item: proposed.exact ? proposed.item : null,
+        similarItem: proposed.exact ? null : proposed.item,
+        originalItem: original.item,
+        newItem: proposed.exact ? null : this.createItemFromRFIMention(mention, original.item)
+      };
+    }
+    
+    // Products already stocked need nothing
+    if (proposed.exact) {
+      return null;
+    }
+    
+    return {
+      key: `new:${normalize(mention.partNumber)}`,
+      type: 'new',
+      rfi: source,
+      mention,
+      item: null,
+      similarItem: proposed.item,
+      originalItem: null,
+      newItem: this.createItemFromRFIMention(mention, null)
+    };
+  }
+
+  // New item data for an RFI mention; a substitute takes its stocking details from the item it replaces
+  createItemFromRFIMention(mention, template) {
+    const classified = this.inventoryManager.classificationRules.categorize({ text: mention.excerpt });
+    
+    return {
+      category: template ? template.category : classified.category,
+      subCategory: template ? template.subCategory : classified.subCategory,
+      manufacturer: mention.manufacturer,
+      partNumber: mention.partNumber,
+      description: template ? template.description : mention.excerpt.slice(0, 120),
+      unitOfMeasure: template ? template.unitOfMeasure : mention.unit || 'Each',
+      purchaseUnit: template ? template.purchaseUnit : '',
+      purchaseFactor: template ? template.purchaseFactor : 1,
+      issueUnit: template ? template.issueUnit : '',
+      issueFactor: template ? template.issueFactor : 1,
+      quantityAvailable: 0,
+      quantityAllocated: 0,
+      reorderThreshold: template ? template.reorderThreshold : 0,
+      reorderQuantity: template ? template.reorderQuantity : mention.quantity || 0,
+      location: template ? template.location : '',
+      cost: 0
+    };
+  }
+
+  // Approve an RFI suggestion: create the suggested item if it isn't stocked yet and, for a
+  // substitution, link it and the replaced item to each other with the RFI as the reference
+  applyRFISuggestion(suggestion, projectId) {
+    this.inventoryManager.requirePermission('syncProcore');
+    
+    const rfi = suggestion.rfi;
+    const details = {
+      source: 'rfi',
+      reference: `RFI ${rfi.number}`,
+      notes: `${suggestion.type === 'substitution' ? 'Substitution' : 'Product'} from RFI #${rfi.number}${rfi.subject ? ` - ${rfi.subject}` : ''}`
+    };
+    const findItem = id => this.inventoryManager.items.find(item => item.id === id) || null;
+    
+    let item = suggestion.item ? findItem(suggestion.item.id) : null;
+    if (!item) {
+      item = this.inventoryManager.addItem({
+        ...suggestion.newItem,
+        projectId,
+        customFields: { sourceRFI: rfi }
+      }, details);
+    }
+    
+    if (suggestion.type === 'substitution') {
+      const original = suggestion.originalItem ? findItem(suggestion.originalItem.id) : null;
+      item = this.inventoryManager.updateItem(item.id, {
+        customFields: {
+          ...item.customFields,
+          substitutesFor: {
+            itemId: original ? original.id : null,
+            partNumber: original ? original.partNumber : suggestion.mention.substitutesFor.partNumber,
+            rfi
+          }
+        }
+      }, details);
+      
+      if (original) {
+        this.inventoryManager.updateItem(original.id, {
+          customFields: {
+            ...original.customFields,
+            substitutedBy: { itemId: item.id, partNumber: item.partNumber, rfi }
+          }
+        }, details);
+      }
+    }
+    
+    return item;
+  }
+
+  // RFI suggestions the user turned down, so later reviews don't offer them again
+  loadDismissedRFISuggestions(projectId) {
+    try {
+      return JSON.parse(localStorage.getItem(`inventory_rfi_dismissed_${projectId}`)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  dismissRFISuggestions(projectId, keys) {
+    const dismissed = new Set([...this.loadDismissedRFISuggestions(projectId), ...keys]);
+    localStorage.setItem(`inventory_rfi_dismissed_${projectId}`, JSON.stringify([...dismissed]));
+  }
+}
+
+/**
+ * Class: Barcode Generator
+ * Renders Code 128 and QR code symbols as SVG markup entirely in the browser
+ */
+class BarcodeGenerator {
+  constructor() {
+    // Code 128 bar/space widths for symbol values 0-106 (106 is the stop pattern)
+    this.code128Patterns = [
+      '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+      '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+      '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+      '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+      '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+      '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+      '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+      '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+      '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+      '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+      '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+    
+    // QR error correction codewords per block and block counts for versions 1-10 at level M
+    this.qrEccCodewordsPerBlock = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+    this.qrEccBlockCount = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+  }
+
+  // Render text as a Code 128 (code set B) barcode
+  code128Svg(text, options = {}) {
+    const moduleWidth = options.moduleWidth || 2;
+    const height = options.height || 60;
+    const quietZone = 10 * moduleWidth;
+    
+    const values = [104]; // Start B
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 126) {
+        throw new Error(`Code 128 cannot encode the character "${char}"`);
+      }
+      values.push(code - 32);
+    }
+    
+    // Weighted modulo-103 checksum; the start symbol has weight 1 like the first data symbol
+    const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+    values.push(checksum, 106);
+    
+    let x = quietZone;
+    let bars = '';
+    values.forEach(value => {
+      this.code128Patterns[value].split('').forEach((width, index) => {
+        const w = parseInt(width, 10) * moduleWidth;
+        // Patterns alternate bar, space, bar... starting with a bar
+        if (index % 2 === 0) {
+          bars += `<rect x="${x}" y="0" width="${w}" height="${height}"/>`;
+        }
+        x += w;
+      });
+    });
+    
+    const totalWidth = x + quietZone;
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="barcode code128" viewBox="0 0 ${totalWidth} ${height}" width="${totalWidth}" height="${height}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><g fill="#000">${bars}</g></svg>`;
+  }
+
+  // Render text as a QR code (byte mode, error correction level M)
+  qrSvg(text, options = {}) {
+    const moduleSize = options.moduleSize || 4;
+    const modules = this.createQrMatrix(text);
+    const size = modules.length;
+    const border = 4;
+    const total = (size + border * 2) * moduleSize;
+    
+    let path = '';
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          path += `M${(x + border) * moduleSize},${(y + border) * moduleSize}h${moduleSize}v${moduleSize}h-${moduleSize}z`;
+        }
+      }
+    }
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="barcode qr" viewBox="0 0 ${total} ${total}" width="${total}" height="${total}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  // Build the QR module matrix (true = dark) for the smallest version that fits
+  createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    
+    let version = 1;
+    for (; version < this.qrEccBlockCount.length; version++) {
+      const countBits = version <= 9 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= this.getQrDataCodewords(version) * 8) break;
+    }
+    if (version >= this.qrEccBlockCount.length) {
+      throw new Error('Text is too long for a label QR code');
+    }
+    
+    // Byte mode segment, terminator and padding
+    const capacityBits = this.getQrDataCodewords(version) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+      appendBits(pad, 8);
+    }
+    
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
     
-    modal.style.display = 'block';
+    const size = version * 4 + 17;
+    const qr = {
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
     
-    // Add event listeners
-    modal.querySelector('.close-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    this.drawQrFunctionPatterns(qr, version);
+    this.drawQrCodewords(qr, this.addQrErrorCorrection(dataCodewords, version));
     
-    modal.querySelector('.cancel-modal').addEventListener('click', () => {
-      modal.style.display = 'none';
-    });
+    // Pick the mask with the lowest penalty score
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyQrMask(qr, mask);
+      this.drawQrFormatBits(qr, mask);
+      const penalty = this.getQrPenaltyScore(qr);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this.applyQrMask(qr, mask); // XOR again to undo
+    }
+    this.applyQrMask(qr, bestMask);
+    this.drawQrFormatBits(qr, bestMask);
     
-    document.getElementById('print-report-btn').addEventListener('click', () => {
-      window.print();
+    return qr.modules;
+  }
+
+  // Number of data codewords available in a version at level M
+  getQrDataCodewords(version) {
+    return Math.floor(this.getQrRawModules(version) / 8) -
+      this.qrEccCodewordsPerBlock[version] * this.qrEccBlockCount[version];
+  }
+
+  // Modules available for data and error correction after function patterns
+  getQrRawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  // Center coordinates of the alignment patterns for a version
+  getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    
+    const alignCount = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (alignCount * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < alignCount; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+    return positions;
+  }
+
+  setQrFunctionModule(qr, x, y, dark) {
+    qr.modules[y][x] = dark;
+    qr.isFunction[y][x] = true;
+  }
+
+  // Finder, timing and alignment patterns plus reserved format/version areas
+  drawQrFunctionPatterns(qr, version) {
+    const size = qr.size;
+    
+    for (let i = 0; i < size; i++) {
+      this.setQrFunctionModule(qr, 6, i, i % 2 === 0);
+      this.setQrFunctionModule(qr, i, 6, i % 2 === 0);
+    }
+    
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            this.setQrFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
     });
     
-    document.getElementById('export-report-btn').addEventListener('click', () => {
-      this.exportReport(report);
+    const positions = this.getQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners occupied by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setQrFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
     });
+    
+    // Reserve the format areas; real bits are drawn once the mask is chosen
+    this.drawQrFormatBits(qr, 0);
+    
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      }
+      const versionBits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((versionBits >>> i) & 1) !== 0;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.setQrFunctionModule(qr, a, b, dark);
+        this.setQrFunctionModule(qr, b, a, dark);
+      }
+    }
   }
 
-  // Export report as PDF or structured data
-  exportReport(report) {
-    // This could be implemented with a PDF library
-    // For now, we'll just export the JSON data
-    const reportData = JSON.stringify(report, null, 2);
-    const blob = new Blob([reportData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+  // Both copies of the 15-bit format information for level M and a mask
+  drawQrFormatBits(qr, mask) {
+    const size = qr.size;
+    const data = mask; // Level M's format indicator is 00
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
     
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', `${this.currentProject.name}_LV_Inventory_Report_${new Date().toISOString().split('T')[0]}.json`);
-    document.body.appendChild(link);
+    for (let i = 0; i <= 5; i++) this.setQrFunctionModule(qr, 8, i, bit(i));
+    this.setQrFunctionModule(qr, 8, 7, bit(6));
+    this.setQrFunctionModule(qr, 8, 8, bit(7));
+    this.setQrFunctionModule(qr, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setQrFunctionModule(qr, 14 - i, 8, bit(i));
     
-    link.click();
-    document.body.removeChild(link);
+    for (let i = 0; i < 8; i++) this.setQrFunctionModule(qr, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setQrFunctionModule(qr, 8, size - 15 + i, bit(i));
+    this.setQrFunctionModule(qr, 8, size - 8, true); // Always-dark module
   }
 
-  // Show temporary message
-  showMessage(message) {
-    const msgElement = document.createElement('div');
-    msgElement.className = 'message success';
-    msgElement.textContent = message;
+  // Split data into blocks, append Reed-Solomon codewords and interleave
+  addQrErrorCorrection(data, version) {
+    const blockCount = this.qrEccBlockCount[version];
+    const eccLength = this.qrEccCodewordsPerBlock[version];
+    const rawCodewords = Math.floor(this.getQrRawModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = this.getReedSolomonDivisor(eccLength);
     
-    document.body.appendChild(msgElement);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      const ecc = this.getReedSolomonRemainder(block, divisor);
+      if (i < shortBlockCount) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
     
-    setTimeout(() => {
-      msgElement.classList.add('fade-out');
-      setTimeout(() => {
-        document.body.removeChild(msgElement);
-      }, 500);
-    }, 3000);
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte added to short blocks
+        if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
   }
 
-  // Show error message
-  showError(message) {
-    const errorElement = document.createElement('div');
-    errorElement.className = 'message error';
-    errorElement.textContent = message;
+  getReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = this.gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = this.gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  getReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= this.gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  // Place codeword bits in the zigzag order, skipping function modules
+  drawQrCodewords(qr, codewords) {
+    const size = qr.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+            qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR a mask pattern over the data modules
+  applyQrMask(qr, mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => x * y % 2 + x * y % 3 === 0,
+      (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (!qr.isFunction[y][x] && conditions[mask](x, y)) {
+          qr.modules[y][x] = !qr.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Score a masked symbol using the four penalty rules from ISO/IEC 18004
+  getQrPenaltyScore(qr) {
+    const size = qr.size;
+    const m = qr.modules;
+    let penalty = 0;
     
-    document.body.appendChild(errorElement);
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(m[i].map(dark => (dark ? '1' : '0')).join(''));
+      lines.push(m.map(row => (row[i] ? '1' : '0')).join(''));
+    }
     
-    setTimeout(() => {
-      errorElement.classList.add('fade-out');
-      setTimeout(() => {
-        document.body.removeChild(errorElement);
-      }, 500);
-    }, 5000);
+    lines.forEach(line => {
+      // Rule 1: runs of five or more same-colored modules
+      (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+        penalty += run.length - 2;
+      });
+      // Rule 3: finder-like patterns with light space on either side
+      penalty += 40 * ((line.match(/(?=10111010000|00001011101)/g) || []).length);
+    });
+    
+    // Rule 2: 2x2 blocks of the same color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = m[y][x];
+        if (color === m[y][x + 1] && color === m[y + 1][x] && color === m[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+    
+    // Rule 4: deviation of dark modules from 50%
+    const dark = m.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    
+    return penalty;
   }
 }
 
 /**
- * Class: Procore Integration Sync Manager
- * Handles synchronization with Procore's data structures
+ * Class: CSV Format
+ * Reads and writes delimited text per RFC 4180 (quoted fields, escaped quotes, embedded newlines)
  */
-class ProcoreSyncManager {
-  constructor(procoreApi, inventoryManager) {
-    this.procoreApi = procoreApi;
-    this.inventoryManager = inventoryManager;
-  }
-
-  // Sync inventory with purchase orders
-  async syncWithPurchaseOrders(projectId) {
-    try {
-      // Get purchase orders from Procore
-      const purchaseOrders = await this.procoreApi.request(`/projects/${projectId}/purchase_orders`);
-      
-      // Track which items we've updated
-      const updatedItems = new Set();
+class CSVFormat {
+  // Parse CSV text into an array of rows, each an array of field strings.
+  // The delimiter is detected from the first line when not given.
+  static parse(text, delimiter = null) {
+    const input = String(text || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    const separator = delimiter || CSVFormat.detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
       
-      // Process each PO
-      for (const po of purchaseOrders) {
-        // Skip POs that aren't for low voltage material
-        if (!this.isLowVoltagePO(po)) continue;
-        
-        // Get PO line items
-        const lineItems = await this.procoreApi.request(`/projects/${projectId}/purchase_order_contracts/${po.id}/line_items`);
-        
-        for (const lineItem of lineItems) {
-          // Try to match with existing inventory
-          const matchedItem = this.findMatchingInventoryItem(lineItem);
-          
-          if (matchedItem) {
-            // Update existing item
-            if (po.status === 'Approved' || po.status === 'Closed') {
-              // Only add to inventory if PO is approved or closed
-              const quantityChange = lineItem.quantity - (lineItem.received_quantity || 0);
-              
-              if (quantityChange > 0) {
-                this.inventoryManager.adjustQuantity(matchedItem.id, quantityChange, false);
-                updatedItems.add(matchedItem.id);
-              }
-            }
-          } else if (po.status === 'Approved' || po.status === 'Closed') {
-            // Create new inventory item from PO line item
-            const newItem = this.createInventoryItemFromPOLine(lineItem, projectId);
-            this.inventoryManager.addItem(newItem);
-            updatedItems.add(newItem.id);
+      if (inQuotes) {
+        if (char === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
           }
+        } else {
+          field += char;
         }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
       }
-      
-      // Save changes if any items were updated
-      if (updatedItems.size > 0) {
-        await this.inventoryManager.saveInventory(projectId);
-        return updatedItems.size;
-      }
-      
-      return 0;
-    } catch (error) {
-      console.error('Error syncing with purchase orders:', error);
-      throw error;
     }
+    
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  // Serialize rows to delimited text with CRLF line endings. A UTF-8 byte order mark
+  // is prepended by default so Excel does not misread non-ASCII characters.
+  static stringify(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const body = rows
+      .map(row => row.map(value => CSVFormat.escapeField(value, delimiter)).join(delimiter))
+      .join('\r\n');
+    
+    return (options.includeBom === false ? '' : '\uFEFF') + body + '\r\n';
+  }
+
+  // Quote a field when it contains the delimiter, a quote, a line break or edge whitespace
+  static escapeField(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  // Pick whichever of comma, semicolon or tab appears most in the header line
+  static detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+    const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ',';
+  }
+}
+
+/**
+ * Class: PDF Document
+ * Minimal PDF 1.4 writer for text, lines and rectangles using the built-in Helvetica fonts,
+ * so reports can be produced in the browser without a library or network access
+ */
+class PDFDocument {
+  constructor(options = {}) {
+    // US Letter in points
+    this.width = options.width || 612;
+    this.height = options.height || 792;
+    this.title = options.title || '';
+    this.pages = [];
+    this.currentPage = null;
+    
+    // Helvetica and Helvetica-Bold advance widths (1/1000 em) for character codes 32-126
+    this.fontWidths = {
+      regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+      ],
+      bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+      ]
+    };
+    
+    // Characters outside Latin-1 that WinAnsiEncoding can still represent
+    this.winAnsiExtras = {
+      '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+      '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+    };
   }
 
-  // Check if a PO is for low voltage material
-  isLowVoltagePO(po) {
-    // This would need customization based on how the company categorizes POs
-    const lvKeywords = ['low voltage', 'lv', 'communications', 'data', 'telecom', 'network', 'cable'];
+  // Start a new page and make it current; returns its 1-based page number
+  addPage() {
+    this.currentPage = [];
+    this.pages.push(this.currentPage);
+    return this.pages.length;
+  }
+
+  // Make an existing page current, e.g. to add footers once the page count is known
+  setPage(pageNumber) {
+    this.currentPage = this.pages[pageNumber - 1];
+  }
+
+  // Draw text with its baseline at y, measured from the top of the page
+  text(value, x, y, options = {}) {
+    const size = options.size || 10;
+    const bold = Boolean(options.bold);
+    let left = x;
     
-    // Check PO title, description, or cost code associations
-    return lvKeywords.some(keyword => 
-      po.title?.toLowerCase().includes(keyword) || 
-      po.description?.toLowerCase().includes(keyword)
+    if (options.align === 'right') {
+      left = x - this.textWidth(value, size, bold);
+    } else if (options.align === 'center') {
+      left = x - this.textWidth(value, size, bold) / 2;
+    }
+    
+    this.currentPage.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${this.color(options.color, 'rg')} ` +
+      `${this.number(left)} ${this.number(this.height - y)} Td (${this.encodeText(value)}) Tj ET`
     );
   }
 
-  // Find matching inventory item for a PO line item
-  findMatchingInventoryItem(lineItem) {
-    // Try to match based on part number or description
-    return this.inventoryManager.items.find(item => 
-      (lineItem.part_number && item.partNumber === lineItem.part_number) ||
-      (item.description.toLowerCase().includes(lineItem.description.toLowerCase()))
+  // Draw a straight line between two points (top-left origin)
+  line(x1, y1, x2, y2, options = {}) {
+    this.currentPage.push(
+      `${this.number(options.width || 0.5)} w ${this.color(options.color, 'RG')} ` +
+      `${this.number(x1)} ${this.number(this.height - y1)} m ${this.number(x2)} ${this.number(this.height - y2)} l S`
     );
   }
 
-  // Create inventory item from PO line item
-  createInventoryItemFromPOLine(lineItem, projectId) {
-    // Determine the most likely category based on description
-    const category = this.determineCategoryFromDescription(lineItem.description);
+  // Draw a rectangle whose top-left corner is at (x, y), filled and/or stroked
+  rect(x, y, width, height, options = {}) {
+    const path = `${this.number(x)} ${this.number(this.height - y - height)} ${this.number(width)} ${this.number(height)} re`;
     
-    return {
-      projectId,
-      category,
-      subCategory: '',
-      manufacturer: lineItem.manufacturer || '',
-      partNumber: lineItem.part_number || '',
-      description: lineItem.description,
-      unitOfMeasure: lineItem.unit || 'Each',
-      quantityAvailable: lineItem.quantity,
-      quantityAllocated: 0,
-      reorderThreshold: Math.floor(lineItem.quantity * 0.2), // Default to 20% of initial quantity
-      reorderQuantity: lineItem.quantity,
-      location: 'From PO',
-      cost: lineItem.unit_cost || 0
-    };
+    if (options.fill && options.stroke) {
+      this.currentPage.push(`${this.color(options.fill, 'rg')} ${this.color(options.stroke, 'RG')} 0.5 w ${path} B`);
+    } else if (options.fill) {
+      this.currentPage.push(`${this.color(options.fill, 'rg')} ${path} f`);
+    } else {
+      this.currentPage.push(`${this.color(options.stroke, 'RG')} 0.5 w ${path} S`);
+    }
   }
 
-  // Determine category from description
-  determineCategoryFromDescription(description) {
-    const desc = description.toLowerCase();
-    
-    if (desc.includes('cable') || desc.includes('wire')) return 'Cable';
-    if (desc.includes('connector') || desc.includes('terminal')) return 'Connectors';
-    if (desc.includes('camera') || desc.includes('sensor')) return 'Devices';
-    if (desc.includes('switch') || desc.includes('router') || desc.includes('access point')) return 'Network Equipment';
-    if (desc.includes('card reader') || desc.includes('door')) return 'Access Control';
-    if (desc.includes('speaker') || desc.includes('microphone') || desc.includes('projector')) return 'Audio/Visual';
-    if (desc.includes('alarm') || desc.includes('motion') || desc.includes('security')) return 'Security';
-    if (desc.includes('phone') || desc.includes('telecom')) return 'Telecommunications';
-    if (desc.includes('fiber')) return 'Fiber Optics';
-    if (desc.includes('tool')) return 'Tools';
-    if (desc.includes('bracket') || desc.includes('mount')) return 'Mounting Hardware';
-    if (desc.includes('conduit') || desc.includes('raceway') || desc.includes('tray')) return 'Conduit & Raceways';
-    
-    return 'Other';
-  }
-
-  // Sync with Procore RFIs for additional product information
-  async syncWithRFIs(projectId) {
-    try {
-      // Get RFIs from Procore
-      const rfis = await this.procoreApi.request(`/projects/${projectId}/rfis`);
+  // Width of text in points at the given size
+  textWidth(value, size = 10, bold = false) {
+    const widths = bold ? this.fontWidths.bold : this.fontWidths.regular;
+    let units = 0;
+    
+    for (const code of this.toWinAnsi(value)) {
+      units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return units * size / 1000;
+  }
+
+  // Shorten text with an ellipsis so it fits within maxWidth
+  fitText(value, maxWidth, size = 10, bold = false) {
+    let text = String(value === null || value === undefined ? '' : value);
+    if (this.textWidth(text, size, bold) <= maxWidth) return text;
+    
+    while (text.length > 0 && this.textWidth(`${text}...`, size, bold) > maxWidth) {
+      text = text.slice(0, -1);
+    }
+    return `${text}...`;
+  }
+
+  // Serialize the document; returns the file bytes
+  build() {
+    const objects = [];
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+    
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    
+    const pageIds = this.pages.map(operations => {
+      const content = operations.join('\n');
+      const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
       
-      // Filter RFIs related to low voltage
-      const lvRFIs = rfis.filter(rfi => 
-        rfi.subject?.toLowerCase().includes('low voltage') ||
-        rfi.subject?.toLowerCase().includes('communication') ||
-        rfi.subject?.toLowerCase().includes('data') ||
-        rfi.body?.toLowerCase().includes('low voltage') ||
-        rfi.body?.toLowerCase().includes('communication') ||
-        rfi.body?.toLowerCase().includes('data')
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
       );
+    });
+    
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    
+    const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const infoId = addObject(`<< /Title (${this.encodeText(this.title)}) /Producer (${this.encodeText(config.appName)}) /CreationDate (D:${created}Z) >>`);
+    
+    // Every object is ASCII, so string offsets equal byte offsets
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+    
+    return new TextEncoder().encode(output);
+  }
+
+  // Serialize the document as a downloadable Blob
+  toBlob() {
+    return new Blob([this.build()], { type: 'application/pdf' });
+  }
+
+  // Map text to WinAnsiEncoding character codes; unsupported characters become "?"
+  toWinAnsi(value) {
+    const codes = [];
+    
+    for (const char of String(value === null || value === undefined ? '' : value)) {
+      const code = char.codePointAt(0);
       
-      // Process relevant RFIs for inventory information
-      for (const rfi of lvRFIs) {
-        // Process responses for product information
-        if (rfi.responses && rfi.responses.length > 0) {
-          for (const response of rfi.responses) {
-            // Extract product information from RFI responses
-            this.extractProductInfoFromText(response.body);
-          }
-        }
+      if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+        codes.push(code);
+      } else if (this.winAnsiExtras[char]) {
+        codes.push(this.winAnsiExtras[char]);
+      } else if (/\s/.test(char)) {
+        codes.push(32);
+      } else {
+        codes.push(63);
+      }
+    }
+    return codes;
+  }
+
+  // Escape text for a PDF string literal, using octal escapes for non-ASCII codes
+  encodeText(value) {
+    return this.toWinAnsi(value).map(code => {
+      if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+      if (code > 126) return `\\${code.toString(8)}`;
+      return String.fromCharCode(code);
+    }).join('');
+  }
+
+  // Colors are [r, g, b] with components from 0 to 1; black by default
+  color(rgb, operator) {
+    const [r, g, b] = rgb || [0, 0, 0];
+    return `${this.number(r)} ${this.number(g)} ${this.number(b)} ${operator}`;
+  }
+
+  number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+}
+
+/**
+ * Class: Inventory Report PDF
+ * Lays out the inventory report (header, summary cards, category and location breakdowns,
+ * reorder list, page numbers) on a PDFDocument
+ */
+class InventoryReportPDF {
+  constructor(report, options = {}) {
+    this.report = report;
+    this.projectName = options.projectName || '';
+    this.projectNumber = options.projectNumber || '';
+    this.generatedBy = options.generatedBy || '';
+    this.generatedAt = options.generatedAt || new Date();
+    this.includesCost = report.includesCost !== false;
+    
+    this.margin = 50;
+    this.footerHeight = 40;
+    this.colors = {
+      text: [0.13, 0.13, 0.13],
+      muted: [0.46, 0.46, 0.46],
+      accent: [0.1, 0.46, 0.82],
+      warning: [0.83, 0.18, 0.18],
+      panel: [0.96, 0.96, 0.96],
+      rule: [0.8, 0.8, 0.8]
+    };
+  }
+
+  // Lay out the whole report and return the finished document
+  build() {
+    this.pdf = new PDFDocument({ title: `${this.projectName} - Low Voltage Inventory Report` });
+    this.contentWidth = this.pdf.width - this.margin * 2;
+    this.pdf.addPage();
+    this.y = this.margin;
+    
+    this.renderHeader();
+    this.renderSummary();
+    
+    this.renderSection('Inventory by Category');
+    const categories = Object.entries(this.report.byCategory);
+    if (categories.length > 0) {
+      this.renderTable([
+        { label: 'Category', width: 0.6 },
+        { label: 'Item Count', width: 0.2, align: 'right' },
+        { label: 'Total Value', width: 0.2, align: 'right', cost: true }
+      ], categories.map(([category, data]) => [category, data.count, data.value.toFixed(2)]));
+    } else {
+      this.renderNote('No inventory items.');
+    }
+    
+    this.renderSection('Inventory by Location');
+    const locations = Object.entries(this.report.byLocation || {});
+    if (locations.length > 0) {
+      this.renderTable([
+        { label: 'Location', width: 0.4 },
+        { label: 'Item Count', width: 0.15, align: 'right' },
+        { label: 'Available', width: 0.15, align: 'right' },
+        { label: 'Allocated', width: 0.15, align: 'right' },
+        { label: 'Total Value', width: 0.15, align: 'right', cost: true }
+      ], locations.map(([location, data]) => [location, data.itemCount, data.available, data.allocated, data.value.toFixed(2)]));
+    } else {
+      this.renderNote('No stock is currently held at any location.');
+    }
+    
+    this.renderSection('Items Needing Reorder');
+    const reorderItems = this.report.reorderItems;
+    if (reorderItems.length > 0) {
+      this.renderTable([
+        { label: 'Item', width: 0.46 },
+        { label: 'Available', width: 0.18, align: 'right' },
+        { label: 'Threshold', width: 0.18, align: 'right' },
+        { label: 'Reorder Qty', width: 0.18, align: 'right' }
+      ], reorderItems.map(item => [
+        `${item.manufacturer} - ${item.partNumber || item.description}`,
+        `${item.quantityAvailable} ${item.unitOfMeasure}`,
+        `${item.reorderThreshold} ${item.unitOfMeasure}`,
+        `${item.reorderQuantity} ${item.unitOfMeasure}${item.orderUnit !== item.unitOfMeasure ? ` (${item.orderQuantity} ${item.orderUnit})` : ''}`
+      ]));
+    } else {
+      this.renderNote('No items currently need reordering.');
+    }
+    
+    this.renderFooters();
+    return this.pdf;
+  }
+
+  renderHeader() {
+    const { pdf, margin } = this;
+    
+    pdf.text('Low Voltage Inventory Report', margin, this.y + 18, { size: 18, bold: true, color: this.colors.text });
+    this.y += 38;
+    
+    const project = this.projectNumber ? `${this.projectNumber} - ${this.projectName}` : this.projectName;
+    pdf.text(pdf.fitText(project, this.contentWidth, 12, true), margin, this.y, { size: 12, bold: true, color: this.colors.text });
+    this.y += 16;
+    
+    const generated = `Generated ${this.generatedAt.toLocaleString()}${this.generatedBy ? ` by ${this.generatedBy}` : ''}`;
+    pdf.text(generated, margin, this.y, { size: 9, color: this.colors.muted });
+    this.y += 10;
+    
+    pdf.line(margin, this.y, margin + this.contentWidth, this.y, { color: this.colors.rule });
+    this.y += 16;
+  }
+
+  // Summary cards side by side
+  renderSummary() {
+    const { pdf, margin } = this;
+    const gap = 12;
+    const cardHeight = 56;
+    const cards = [
+      { title: 'Total Items', value: String(this.report.totalItems) },
+      { title: 'Total Value', value: this.report.totalValue.toFixed(2), cost: true },
+      { title: 'Low Stock Items', value: String(this.report.lowStockItems), warning: this.report.lowStockItems > 0 }
+    ].filter(card => this.includesCost || !card.cost);
+    const cardWidth = (this.contentWidth - gap * (cards.length - 1)) / cards.length;
+    
+    cards.forEach((card, index) => {
+      const x = margin + index * (cardWidth + gap);
+      pdf.rect(x, this.y, cardWidth, cardHeight, { fill: this.colors.panel });
+      pdf.text(card.title.toUpperCase(), x + 12, this.y + 18, { size: 8, color: this.colors.muted });
+      pdf.text(pdf.fitText(card.value, cardWidth - 24, 20, true), x + 12, this.y + 44, {
+        size: 20,
+        bold: true,
+        color: card.warning ? this.colors.warning : this.colors.accent
+      });
+    });
+    
+    this.y += cardHeight + 12;
+  }
+
+  renderSection(title) {
+    // Keep a heading together with at least the first rows of its table
+    this.ensureSpace(80);
+    this.y += 14;
+    this.pdf.text(title, this.margin, this.y, { size: 13, bold: true, color: this.colors.text });
+    this.y += 10;
+  }
+
+  renderNote(text) {
+    this.pdf.text(text, this.margin, this.y + 12, { size: 10, color: this.colors.muted });
+    this.y += 20;
+  }
+
+  // Columns give their share of the content width; the header row repeats on each new page
+  renderTable(columns, rows) {
+    // Without costs, value columns are left out and the first column takes their width
+    if (!this.includesCost) {
+      const kept = columns.map((column, index) => index).filter(index => !columns[index].cost);
+      const freed = columns.reduce((sum, column) => sum + (column.cost ? column.width : 0), 0);
+      rows = rows.map(row => kept.map(index => row[index]));
+      columns = kept.map((index, position) => ({
+        ...columns[index],
+        width: columns[index].width + (position === 0 ? freed : 0)
+      }));
+    }
+    
+    const { pdf, margin } = this;
+    const rowHeight = 18;
+    const padding = 6;
+    let x = margin;
+    const layout = columns.map(column => {
+      const width = column.width * this.contentWidth;
+      const cell = { ...column, x, width };
+      x += width;
+      return cell;
+    });
+    
+    const drawRow = (values, header) => {
+      if (header) {
+        pdf.rect(margin, this.y, this.contentWidth, rowHeight, { fill: this.colors.panel });
+      }
+      
+      layout.forEach((column, index) => {
+        const text = pdf.fitText(values[index], column.width - padding * 2, 9, header);
+        const textX = column.align === 'right' ? column.x + column.width - padding : column.x + padding;
+        pdf.text(text, textX, this.y + 12.5, {
+          size: 9,
+          bold: header,
+          align: column.align,
+          color: header ? this.colors.muted : this.colors.text
+        });
+      });
+      
+      this.y += rowHeight;
+      pdf.line(margin, this.y, margin + this.contentWidth, this.y, { color: this.colors.rule });
+    };
+    
+    drawRow(columns.map(column => column.label), true);
+    
+    rows.forEach(row => {
+      if (this.ensureSpace(rowHeight)) {
+        drawRow(columns.map(column => column.label), true);
       }
-    } catch (error) {
-      console.error('Error syncing with RFIs:', error);
-      throw error;
+      drawRow(row, false);
+    });
+    
+    this.y += 6;
+  }
+
+  // Start a new page when the next block would run into the footer; returns true if it did
+  ensureSpace(height) {
+    if (this.y + height <= this.pdf.height - this.margin - this.footerHeight) {
+      return false;
     }
+    
+    this.pdf.addPage();
+    this.y = this.margin;
+    return true;
   }
 
-  // Extract product information from text
-  extractProductInfoFromText(text) {
-    // This would need a more sophisticated implementation
-    // Could use regex patterns to identify part numbers, manufacturers, etc.
-    console.log('Extracted info from RFI text:', text.substring(0, 100) + '...');
+  // Report date and "Page X of Y" on every page
+  renderFooters() {
+    const { pdf, margin } = this;
+    const pageCount = pdf.pages.length;
+    const footerY = pdf.height - margin + 10;
+    
+    for (let page = 1; page <= pageCount; page++) {
+      pdf.setPage(page);
+      pdf.line(margin, footerY - 14, margin + this.contentWidth, footerY - 14, { color: this.colors.rule });
+      pdf.text(pdf.fitText(`${this.projectName} - ${this.generatedAt.toLocaleDateString()}`, this.contentWidth - 100, 8),
+        margin, footerY, { size: 8, color: this.colors.muted });
+      pdf.text(`Page ${page} of ${pageCount}`, margin + this.contentWidth, footerY, {
+        size: 8,
+        align: 'right',
+        color: this.colors.muted
+      });
+    }
   }
 }
 
@@ -1387,22 +9958,22 @@ class ProcoreSyncManager {
  * Initialize the application
  */
 function initApp() {
-  // Get configuration from environment or config file
+  // Get configuration from environment or config file.
+  // The client secret is never needed here: PKCE or the token proxy replaces it.
   const clientId = 'YOUR_PROCORE_CLIENT_ID';
-  const clientSecret = 'YOUR_PROCORE_CLIENT_SECRET';
   const redirectUri = window.location.origin + '/callback';
   
   // Create instances
-  const procoreApi = new ProcoreAPI(clientId, clientSecret, redirectUri);
+  const procoreApi = new ProcoreAPI(clientId, redirectUri, {
+    tokenProxyUrl: config.tokenProxyUrl
+  });
   const inventoryManager = new LVInventoryManager(procoreApi);
-  const ui = new LVInventoryUI(inventoryManager, procoreApi);
+  const syncManager = new ProcoreSyncManager(procoreApi, inventoryManager);
+  const ui = new LVInventoryUI(inventoryManager, procoreApi, syncManager);
   
   // Initialize UI
   ui.initialize();
   
-  // Create sync manager (could be used in scheduled syncs)
-  const syncManager = new ProcoreSyncManager(procoreApi, inventoryManager);
-  
   // Expose to window for debugging
   window.app = {
     procoreApi,
@@ -1506,6 +10077,11 @@ const styles = `
     padding: 4px 8px;
     font-size: 0.875rem;
   }
+  
+  .btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
 
   /* Forms */
   .form-control {
@@ -1589,6 +10165,149 @@ const styles = `
   
   .search-container {
     min-width: 300px;
+    display: flex;
+    gap: 10px;
+  }
+  
+  .search-container select {
+    max-width: 180px;
+  }
+
+  /* Location totals */
+  .location-summary {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+    margin-bottom: 15px;
+  }
+  
+  .location-chip {
+    background-color: #f5f5f5;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 6px 10px;
+    cursor: pointer;
+  }
+  
+  .location-chip.active {
+    border-color: #1976d2;
+    background-color: #e3f2fd;
+  }
+  
+  .location-name {
+    font-weight: 600;
+  }
+  
+  .location-stats {
+    font-size: 0.8rem;
+    color: #757575;
+  }
+  
+  .location-line {
+    white-space: nowrap;
+    font-size: 0.875rem;
+  }
+  
+  .location-line.active {
+    font-weight: 600;
+  }
+  
+  .form-hint {
+    display: block;
+    margin-top: 5px;
+    color: #757575;
+  }
+
+  /* Labels */
+  .label-item-list {
+    max-height: 200px;
+    overflow-y: auto;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    padding: 8px;
+  }
+  
+  .label-item-list label {
+    display: block;
+  }
+  
+  .label-sheet {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+    margin-top: 15px;
+  }
+  
+  .label {
+    width: 2.625in;
+    border: 1px dashed #ccc;
+    padding: 6px;
+    display: flex;
+    gap: 6px;
+    align-items: center;
+    page-break-inside: avoid;
+    break-inside: avoid;
+  }
+  
+  .label.code128, .label.both {
+    flex-direction: column;
+  }
+  
+  .label .barcode.code128 {
+    max-width: 100%;
+    height: auto;
+  }
+  
+  .label-symbols {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 4px;
+  }
+  
+  .label-text {
+    font-size: 0.75rem;
+    overflow: hidden;
+  }
+  
+  .label-part {
+    font-weight: 700;
+  }
+  
+  .label-error {
+    color: #d32f2f;
+    font-size: 0.75rem;
+  }
+
+  /* Scan mode */
+  .scan-bar {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    z-index: 1100;
+    background-color: #fff8e1;
+    border-bottom: 2px solid #ff9800;
+    padding: 10px 20px;
+  }
+  
+  .scan-bar-content {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+  }
+  
+  .scan-bar-content .form-control {
+    width: auto;
+  }
+  
+  .scan-bar-content #scan-input {
+    flex: 1;
+  }
+  
+  .scan-status {
+    font-size: 0.875rem;
+    color: #555;
   }
 
   /* Modal */
@@ -1704,6 +10423,268 @@ const styles = `
     color: #1976d2;
   }
   
+  .card-value.error-value {
+    color: #d32f2f;
+  }
+
+  /* Cable reels */
+  .reel-run-form {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 15px;
+  }
+  
+  .reel-run-form .form-control {
+    width: 160px;
+  }
+  
+  .reel-fit {
+    display: inline-block;
+    font-size: 0.8rem;
+    font-weight: 600;
+  }
+  
+  .reel-fit.ok {
+    color: #388e3c;
+  }
+  
+  .reel-fit.short {
+    color: #d32f2f;
+  }
+  
+  .reel-empty td {
+    color: #9e9e9e;
+  }
+  
+  .reel-form {
+    margin-top: 20px;
+    padding-top: 10px;
+    border-top: 1px solid #e0e0e0;
+  }
+
+  /* Receiving */
+  .receiving-po {
+    margin-bottom: 20px;
+  }
+  
+  .receiving-po .form-control {
+    min-width: 80px;
+  }
+  
+  .receiving-complete td {
+    color: #9e9e9e;
+  }
+  
+  .backordered {
+    color: #f57c00;
+    font-weight: 600;
+  }
+  
+  .backorder-tag {
+    display: inline-block;
+    margin-left: 8px;
+    padding: 2px 8px;
+    border-radius: 10px;
+    background-color: #fff3e0;
+    color: #f57c00;
+    font-size: 0.8rem;
+  }
+
+  /* RFI review */
+  .rfi-review-table select {
+    min-width: 120px;
+  }
+  
+  .rfi-new-item {
+    display: flex;
+    gap: 5px;
+    margin-top: 5px;
+  }
+  
+  .rfi-excerpt {
+    margin-top: 4px;
+    color: #616161;
+    font-size: 0.85rem;
+    font-style: italic;
+  }
+
+  /* Classification rules */
+  .rules-table .form-control {
+    min-width: 90px;
+  }
+  
+  .rules-table .rule-priority {
+    width: 70px;
+    min-width: 0;
+  }
+  
+  .rule-invalid td {
+    background-color: #fff8e1;
+  }
+  
+  .rule-problem {
+    margin-top: 3px;
+    color: #c62828;
+    font-size: 0.8rem;
+  }
+  
+  .rules-tester {
+    margin-top: 20px;
+  }
+
+  /* Kits */
+  .kit-short {
+    color: #c62828;
+  }
+  
+  .kit-components-table .form-control {
+    display: inline-block;
+    width: auto;
+    min-width: 200px;
+  }
+  
+  .kit-components-table .kit-quantity {
+    min-width: 0;
+    width: 100px;
+  }
+
+  /* User roles */
+  .user-role {
+    margin-bottom: 12px;
+    color: #616161;
+    font-size: 0.9rem;
+  }
+  
+  .roles-table .form-control {
+    min-width: 160px;
+  }
+
+  /* Requisitions */
+  .requisition-vendor {
+    margin-bottom: 20px;
+  }
+  
+  .requisition-vendor .report-table .form-control {
+    display: inline-block;
+    width: auto;
+    min-width: 80px;
+  }
+  
+  .requisition-excluded td {
+    color: #9e9e9e;
+  }
+  
+  .requisition-vendor tfoot td {
+    font-weight: 600;
+  }
+
+  /* Sync status */
+  .sync-status {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 12px;
+  }
+  
+  .sync-indicator {
+    display: inline-block;
+    padding: 2px 8px;
+    border-radius: 10px;
+    font-size: 0.85rem;
+    font-weight: 600;
+  }
+  
+  .sync-indicator.sync-online {
+    background-color: #e8f5e9;
+    color: #388e3c;
+  }
+  
+  .sync-indicator.sync-pending {
+    background-color: #fff8e1;
+    color: #f57c00;
+  }
+  
+  .sync-indicator.sync-offline {
+    background-color: #eceff1;
+    color: #546e7a;
+  }
+  
+  .sync-indicator.sync-conflict {
+    background-color: #ffebee;
+    color: #d32f2f;
+  }
+  
+  .sync-conflict-item {
+    margin-bottom: 20px;
+  }
+  
+  .sync-conflict-item td:first-child {
+    font-weight: 600;
+    white-space: nowrap;
+  }
+
+  /* PO sync review */
+  .po-sync-table select,
+  .po-sync-table input[type="text"] {
+    min-width: 180px;
+  }
+  
+  .po-sync-new-item {
+    display: flex;
+    gap: 6px;
+    margin-top: 6px;
+  }
+  
+  .po-sync-rejected td {
+    color: #9e9e9e;
+  }
+  
+  .confidence-tag {
+    display: inline-block;
+    padding: 2px 6px;
+    border-radius: 10px;
+    font-size: 0.8rem;
+    font-weight: 600;
+  }
+  
+  .confidence-tag.high {
+    background-color: #e8f5e9;
+    color: #388e3c;
+  }
+  
+  .confidence-tag.medium {
+    background-color: #fff8e1;
+    color: #f57c00;
+  }
+  
+  .confidence-tag.low {
+    background-color: #ffebee;
+    color: #d32f2f;
+  }
+
+  /* CSV export */
+  .export-columns {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+    gap: 4px 16px;
+  }
+  
+  .export-column {
+    font-weight: normal;
+  }
+
+  /* Import wizard */
+  .import-text {
+    min-height: 120px;
+    font-family: monospace;
+  }
+  
+  .import-sample {
+    font-size: 0.8rem;
+    color: #757575;
+  }
+  
   .report-table {
     width: 100%;
     border-collapse: collapse;
@@ -1721,6 +10702,26 @@ const styles = `
     font-weight: 600;
   }
 
+  /* Item history */
+  .history-modal {
+    max-width: 900px;
+  }
+  
+  .history-change, .history-reference {
+    font-size: 0.875rem;
+    color: #757575;
+  }
+  
+  .source-tag {
+    display: inline-block;
+    margin-left: 5px;
+    padding: 1px 6px;
+    border-radius: 3px;
+    background-color: #e3f2fd;
+    color: #1565c0;
+    font-size: 0.75rem;
+  }
+
   /* Messages */
   .message {
     position: fixed;
@@ -1745,6 +10746,17 @@ const styles = `
   .message.fade-out {
     opacity: 0;
   }
+  
+  .message.undo {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+  }
+  
+  .message.undo .undo-btn {
+    background-color: white;
+    color: #388e3c;
+  }
 
   /* Loading indicator */
   .loading {
@@ -1763,27 +10775,26 @@ const styles = `
   }
 
   /* Print styles */
+  .print-frame {
+    position: fixed;
+    right: 0;
+    bottom: 0;
+    width: 0;
+    height: 0;
+    border: 0;
+  }
+  
+  .print-document {
+    padding: 15px;
+  }
+  
   @media print {
-    body * {
-      visibility: hidden;
-    }
-    
-    .modal-content, .modal-content * {
-      visibility: visible;
-    }
-    
-    .modal-content {
-      position: absolute;
-      left: 0;
-      top: 0;
-      width: 100%;
-      margin: 0;
-      padding: 15px;
-      box-shadow: none;
+    .form-actions, .close-modal, .no-print {
+      display: none;
     }
     
-    .form-actions, .close-modal {
-      display: none;
+    .label {
+      border-color: transparent;
     }
   }
 `;